@@ -0,0 +1,230 @@
+/**
+ * Optional access control: API tokens, a password sign-in for the player, and HMAC-signed,
+ * expiring links that open one video to someone without a login.
+ * Sessions and links are both stateless signatures made with the server's secret, so
+ * changing the secret signs everyone out and invalidates every link handed out so far.
+ */
+
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'streamflow_session';
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+// Compare secrets in constant time (hashing first makes the lengths equal)
+function safeEqual(a, b) {
+    return crypto.timingSafeEqual(sha256(a), sha256(b));
+}
+
+function linkError(message) {
+    const error = new Error(message);
+    error.code = 'ELINK';
+    return error;
+}
+
+// Whether prefix can scope a link: a normalized directory below the root of its origin
+// ("https://cdn.example.com/videos/1/", never "https://cdn.example.com/")
+function isScopePrefix(prefix) {
+    try {
+        const scope = new URL(prefix);
+        return scope.href === prefix && prefix.endsWith('/') && scope.pathname !== '/';
+    } catch (e) {
+        return false;
+    }
+}
+
+// Whether targetUrl lies under a scoped link's prefix. Both are normalized first, so "../"
+// can't climb out of the prefix.
+function withinPrefix(targetUrl, prefix) {
+    try {
+        const target = new URL(targetUrl);
+        return isScopePrefix(prefix) && target.origin === new URL(prefix).origin && target.href.startsWith(prefix);
+    } catch (e) {
+        return false;
+    }
+}
+
+function sameOrigin(a, b) {
+    try {
+        return new URL(a).origin === new URL(b).origin;
+    } catch (e) {
+        return false;
+    }
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index > 0) cookies[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+    });
+    return cookies;
+}
+
+/**
+ * @param {object} [options]
+ * @param {string[]} [options.tokens] - API tokens accepted as `Authorization: Bearer <token>`
+ * @param {string} [options.password] - password for the player's sign-in
+ * @param {string} [options.secret] - HMAC key for sessions and links (random per start if unset)
+ * @param {string} [options.serviceToken] - extra token for the server's own requests; doesn't turn access control on
+ * @param {number} [options.sessionTtl] - seconds a sign-in lasts
+ * @param {number} [options.linkTtl] - seconds a signed link works by default
+ */
+function createAccessControl({
+    tokens = [], password = '', secret, serviceToken, sessionTtl = 7 * 24 * 60 * 60, linkTtl = 24 * 60 * 60
+} = {}) {
+    const apiTokens = tokens.map(token => token.trim()).filter(Boolean);
+    const key = secret || crypto.randomBytes(32);
+    const enabled = apiTokens.length > 0 || !!password;
+
+    const sign = (message) => crypto.createHmac('sha256', key).update(message).digest('base64url');
+    const now = () => Math.floor(Date.now() / 1000);
+
+    /**
+     * A password or API token, as typed into the sign-in form
+     * @param {string} value
+     * @returns {boolean}
+     */
+    function checkCredential(value) {
+        if (!value) return false;
+        // No short-circuit, so the time taken doesn't tell which one matched
+        return [password, ...apiTokens].filter(Boolean)
+            .reduce((matched, expected) => safeEqual(value, expected) || matched, false);
+    }
+
+    /**
+     * How a request proves who it is, if it does: 'token', 'session', or 'service' for the
+     * server's own requests
+     * @param {import('http').IncomingMessage} req
+     * @returns {string|null}
+     */
+    function authenticate(req) {
+        const bearer = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+        if (bearer) {
+            const token = bearer[1].trim();
+            if (serviceToken && safeEqual(token, serviceToken)) {
+                return 'service';
+            }
+            if (apiTokens.some(t => safeEqual(token, t))) {
+                return 'token';
+            }
+        }
+
+        const session = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        const [expires, signature] = (session || '').split('.');
+        if (signature && Number(expires) > now() && safeEqual(signature, sign(`session\n${expires}`))) {
+            return 'session';
+        }
+        return null;
+    }
+
+    /**
+     * Set-Cookie value for a new sign-in
+     * @param {boolean} secure - the player was reached over https
+     * @returns {string}
+     */
+    function sessionCookie(secure) {
+        const expires = now() + sessionTtl;
+        return `${SESSION_COOKIE}=${expires}.${sign(`session\n${expires}`)}; Path=/; Max-Age=${sessionTtl}; ` +
+            `HttpOnly; SameSite=Lax${secure ? '; Secure' : ''}`;
+    }
+
+    /**
+     * Set-Cookie value that signs the browser out
+     * @returns {string}
+     */
+    function clearedCookie() {
+        return `${SESSION_COOKIE}=; Path=/; Max-Age=0; HttpOnly; SameSite=Lax`;
+    }
+
+    /**
+     * Query parameters that open `targetUrl` (exactly) until `expires`
+     * @param {string} targetUrl
+     * @param {number} [expires] - unix seconds; defaults to linkTtl from now
+     * @returns {{expires: number, sig: string}}
+     */
+    function signLink(targetUrl, expires = now() + linkTtl) {
+        return { expires: expires, sig: sign(`link\n${expires}\n${targetUrl}`) };
+    }
+
+    /**
+     * Query parameters that open every URL under a directory until `expires` - only for DASH
+     * SegmentTemplates, whose segment URLs aren't known until the player fills them in
+     * @param {string} prefix - absolute URL ending in "/", below the root of its origin
+     * @param {number} expires - unix seconds
+     * @returns {{expires: number, scope: string, sig: string}}
+     */
+    function signPrefix(prefix, expires) {
+        return { expires: expires, scope: prefix, sig: sign(`scope\n${expires}\n${prefix}`) };
+    }
+
+    /**
+     * signLink for a URL listed in a manifest that was opened with a signed link. Only URLs on
+     * the manifest's own origin are signed, so a link to one manifest can't be used to open
+     * whatever else that manifest points at.
+     * @param {string} manifestUrl
+     * @param {string} targetUrl
+     * @param {number} expires - unix seconds
+     * @returns {{expires: number, sig: string}|null} null when targetUrl is on another origin
+     */
+    function signManifestLink(manifestUrl, targetUrl, expires) {
+        return sameOrigin(manifestUrl, targetUrl) ? signLink(targetUrl, expires) : null;
+    }
+
+    /**
+     * signPrefix for a SegmentTemplate in a manifest that was opened with a signed link, on the
+     * same terms as signManifestLink - and never for a whole origin
+     * @param {string} manifestUrl
+     * @param {string} prefix
+     * @param {number} expires - unix seconds
+     * @returns {{expires: number, scope: string, sig: string}|null} null when the prefix can't be a scope
+     */
+    function signManifestScope(manifestUrl, prefix, expires) {
+        return sameOrigin(manifestUrl, prefix) && isScopePrefix(prefix) ? signPrefix(prefix, expires) : null;
+    }
+
+    /**
+     * Check the link parameters of a request for `targetUrl`. Returns null when the request
+     * carries no signature, and throws (code ELINK) when it is expired or doesn't match.
+     * @param {string} targetUrl - the request's url parameter
+     * @param {{expires?: string, scope?: string, sig?: string}} query
+     * @returns {{expires: number}|null}
+     */
+    function verifyLink(targetUrl, { expires, scope, sig } = {}) {
+        if (!sig) return null;
+
+        const expiresAt = parseInt(expires);
+        if (!(expiresAt > 0) || !targetUrl) {
+            throw linkError('Invalid link signature');
+        }
+
+        const expected = scope
+            ? withinPrefix(targetUrl, String(scope)) && sign(`scope\n${expiresAt}\n${scope}`)
+            : sign(`link\n${expiresAt}\n${targetUrl}`);
+        if (!expected || !safeEqual(String(sig), expected)) {
+            throw linkError('Invalid link signature');
+        }
+        if (expiresAt <= now()) {
+            throw linkError('This link has expired');
+        }
+        return { expires: expiresAt };
+    }
+
+    return {
+        enabled,
+        linkTtl,
+        checkCredential,
+        authenticate,
+        sessionCookie,
+        clearedCookie,
+        signLink,
+        signPrefix,
+        signManifestLink,
+        signManifestScope,
+        verifyLink
+    };
+}
+
+module.exports = { createAccessControl };
@@ -0,0 +1,162 @@
+/**
+ * Destination policy for everything the server fetches on a user's behalf
+ * Only http(s) URLs pass, hostnames are matched against an optional allowlist and a
+ * denylist, and the addresses a hostname resolves to are checked as the connection is
+ * made - so loopback, private, link-local and other internal ranges stay out of reach
+ * even through redirects or a DNS record that changes between check and connect.
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+
+// Special-purpose ranges a public video host never lives in. IPv4-mapped addresses
+// (::ffff:a.b.c.d) are checked against the IPv4 ranges by BlockList itself; the IPv6 ranges
+// that translate to IPv4 some other way are refused outright.
+const INTERNAL_NETWORKS = [
+    ['0.0.0.0', 8, 'ipv4'],       // "this" network
+    ['10.0.0.0', 8, 'ipv4'],      // private
+    ['100.64.0.0', 10, 'ipv4'],   // carrier-grade NAT
+    ['127.0.0.0', 8, 'ipv4'],     // loopback
+    ['169.254.0.0', 16, 'ipv4'],  // link-local (cloud metadata services)
+    ['172.16.0.0', 12, 'ipv4'],   // private
+    ['192.0.0.0', 24, 'ipv4'],    // IETF protocol assignments
+    ['192.168.0.0', 16, 'ipv4'],  // private
+    ['198.18.0.0', 15, 'ipv4'],   // benchmarking
+    ['224.0.0.0', 4, 'ipv4'],     // multicast
+    ['240.0.0.0', 4, 'ipv4'],     // reserved, broadcast
+    ['::', 128, 'ipv6'],          // unspecified
+    ['::1', 128, 'ipv6'],         // loopback
+    ['::', 96, 'ipv6'],           // IPv4-compatible (deprecated), e.g. ::127.0.0.1
+    ['64:ff9b::', 96, 'ipv6'],    // NAT64 - 64:ff9b::7f00:1 is 127.0.0.1 on NAT64 networks
+    ['64:ff9b:1::', 48, 'ipv6'],  // local-use NAT64
+    ['2002::', 16, 'ipv6'],       // 6to4, which embeds an IPv4 address as well
+    ['fc00::', 7, 'ipv6'],        // unique local
+    ['fe80::', 10, 'ipv6'],       // link-local
+    ['fec0::', 10, 'ipv6'],       // site-local
+    ['ff00::', 8, 'ipv6']         // multicast
+];
+
+function destinationError(reason) {
+    const error = new Error(`Destination not allowed: ${reason}`);
+    error.code = 'EDESTINATION';
+    return error;
+}
+
+// "example.com", ".example.com" and "*.example.com" all mean the domain and its subdomains
+function normalizeDomain(domain) {
+    return domain.trim().toLowerCase().replace(/^\*?\./, '').replace(/\.$/, '');
+}
+
+/**
+ * @param {object} [options]
+ * @param {string[]} [options.allowedDomains] - when not empty, only these domains (and subdomains) are reachable
+ * @param {string[]} [options.blockedDomains] - never reachable, even when allowed
+ * @param {boolean} [options.allowPrivateNetworks=false] - let requests reach internal addresses
+ * @returns {{check: Function, lookup: Function, resolve: Function}}
+ */
+function createDestinationPolicy({ allowedDomains = [], blockedDomains = [], allowPrivateNetworks = false } = {}) {
+    const allowed = allowedDomains.map(normalizeDomain).filter(Boolean);
+    const blocked = blockedDomains.map(normalizeDomain).filter(Boolean);
+
+    const internalNetworks = new net.BlockList();
+    INTERNAL_NETWORKS.forEach(([network, prefix, type]) => internalNetworks.addSubnet(network, prefix, type));
+
+    const matchesDomain = (hostname, domains) =>
+        domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+
+    function checkAddress(address) {
+        const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+        if (!allowPrivateNetworks && internalNetworks.check(address, type)) {
+            throw destinationError(`${address} is an internal address`);
+        }
+    }
+
+    /**
+     * Check what can be known without DNS: protocol, host lists and IP-literal hosts
+     * @param {string} targetUrl
+     * @returns {URL} the parsed URL (IPv6 hosts keep their brackets)
+     */
+    function check(targetUrl) {
+        let target;
+        try {
+            target = new URL(targetUrl);
+        } catch (e) {
+            throw destinationError('invalid URL');
+        }
+
+        if (!ALLOWED_PROTOCOLS.includes(target.protocol)) {
+            throw destinationError(`${target.protocol} URLs are not supported`);
+        }
+
+        const hostname = target.hostname.replace(/^\[(.*)\]$/, '$1').replace(/\.$/, '');
+        if (matchesDomain(hostname, blocked)) {
+            throw destinationError(`${hostname} is blocked`);
+        }
+        if (allowed.length > 0 && !matchesDomain(hostname, allowed)) {
+            throw destinationError(`${hostname} is not on the allowlist`);
+        }
+        if (net.isIP(hostname)) {
+            checkAddress(hostname);
+        }
+        return target;
+    }
+
+    /**
+     * Drop-in for dns.lookup (the `lookup` option of http.request and net.connect): every
+     * address the name resolves to must pass, so the checked address is the one connected to
+     */
+    function lookup(hostname, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        } else if (typeof options === 'number') {
+            options = { family: options };
+        }
+
+        dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+            try {
+                if (addresses.length === 0) {
+                    throw destinationError(`${hostname} has no addresses`);
+                }
+                addresses.forEach(({ address }) => checkAddress(address));
+            } catch (error) {
+                callback(error);
+                return;
+            }
+
+            if (options.all) {
+                callback(null, addresses);
+            } else {
+                callback(null, addresses[0].address, addresses[0].family);
+            }
+        });
+    }
+
+    /**
+     * Full check including DNS, for callers that can't pass `lookup` to their connection
+     * (or want to refuse a URL before starting any work on it)
+     * @param {string} targetUrl
+     * @returns {Promise<URL>}
+     */
+    function resolve(targetUrl) {
+        return new Promise((resolvePromise, reject) => {
+            const target = check(targetUrl);
+            const hostname = target.hostname.replace(/^\[(.*)\]$/, '$1');
+            if (net.isIP(hostname)) {
+                resolvePromise(target);
+                return;
+            }
+            lookup(hostname, { all: true }, (err) => err ? reject(err) : resolvePromise(target));
+        });
+    }
+
+    return { check, lookup, resolve };
+}
+
+module.exports = { createDestinationPolicy };
@@ -0,0 +1,248 @@
+/**
+ * Rewriting of streaming manifests so the player fetches everything they list through the proxy
+ * Each URL in an HLS playlist or DASH manifest is resolved against where it was listed and
+ * turned into a same-origin /proxy URL. When the manifest itself was opened with a signed
+ * link, the caller passes query builders that sign those URLs too.
+ */
+
+const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
+
+// Content types servers use for HLS playlists
+const HLS_CONTENT_TYPES = [
+    'application/vnd.apple.mpegurl',
+    'application/x-mpegurl',
+    'audio/mpegurl',
+    'audio/x-mpegurl'
+];
+
+// Content types servers use for DASH manifests
+const DASH_CONTENT_TYPES = ['application/dash+xml'];
+
+// MPD elements whose attributes hold segment URLs
+const DASH_URL_ATTRIBUTES = {
+    SegmentTemplate: ['media', 'initialization', 'index', 'bitstreamSwitching'],
+    SegmentURL: ['media', 'index'],
+    Initialization: ['sourceURL'],
+    RepresentationIndex: ['sourceURL'],
+    BitstreamSwitching: ['sourceURL']
+};
+
+const unsigned = () => '';
+
+function mimeType(contentType) {
+    return (contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+function pathnameOf(targetUrl) {
+    try {
+        return new URL(targetUrl).pathname.toLowerCase();
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Whether a response is an HLS playlist, by its Content-Type or else its URL
+ * @param {string} playlistUrl
+ * @param {string} [contentType]
+ * @returns {boolean}
+ */
+function isHlsPlaylist(playlistUrl, contentType) {
+    return HLS_CONTENT_TYPES.includes(mimeType(contentType)) || pathnameOf(playlistUrl).endsWith('.m3u8');
+}
+
+/**
+ * A same-origin proxy URL, so players resolve it against the proxy itself
+ * @param {string} targetUrl
+ * @param {(targetUrl: string) => string} [linkQuery] - extra query ("&expires=..&sig=..") for targetUrl
+ * @returns {string}
+ */
+function toProxyUrl(targetUrl, linkQuery = unsigned) {
+    return `/proxy?url=${encodeURIComponent(targetUrl)}${linkQuery(targetUrl)}`;
+}
+
+// Resolve a manifest reference against its base URL, ignoring data:, skd: and other non-HTTP URIs
+function resolveMediaUrl(reference, baseUrl) {
+    try {
+        const resolved = new URL(reference, baseUrl);
+        if (resolved.protocol !== 'http:' && resolved.protocol !== 'https:') {
+            return null;
+        }
+        return resolved.href;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Point the segments, keys and variant playlists of an HLS playlist at the proxy.
+ * Text that isn't a playlist (e.g. an HTML error page) is returned untouched.
+ * @param {string} playlist
+ * @param {string} playlistUrl - where the playlist came from, after redirects
+ * @param {object} [links]
+ * @param {(targetUrl: string) => string} [links.linkQuery] - signs each URL written into the playlist
+ * @returns {string}
+ */
+function rewriteHlsPlaylist(playlist, playlistUrl, { linkQuery = unsigned } = {}) {
+    if (!playlist.replace(/^\uFEFF/, '').trimStart().startsWith('#EXTM3U')) {
+        return playlist;
+    }
+
+    return playlist.split(/\r?\n/).map((line) => {
+        const trimmed = line.trim();
+        if (!trimmed) {
+            return line;
+        }
+
+        // Tags such as EXT-X-KEY, EXT-X-MAP and EXT-X-MEDIA carry their URI in a quoted attribute
+        if (trimmed.startsWith('#')) {
+            return line.replace(/URI="([^"]*)"/g, (match, uri) => {
+                const resolved = resolveMediaUrl(uri, playlistUrl);
+                return resolved ? `URI="${toProxyUrl(resolved, linkQuery)}"` : match;
+            });
+        }
+
+        // Any other line is a segment or variant playlist URI
+        const resolved = resolveMediaUrl(trimmed, playlistUrl);
+        return resolved ? toProxyUrl(resolved, linkQuery) : line;
+    }).join('\n');
+}
+
+/**
+ * Whether a response is a DASH manifest, by its Content-Type or else its URL
+ * @param {string} manifestUrl
+ * @param {string} [contentType]
+ * @returns {boolean}
+ */
+function isDashManifest(manifestUrl, contentType) {
+    return DASH_CONTENT_TYPES.includes(mimeType(contentType)) || pathnameOf(manifestUrl).endsWith('.mpd');
+}
+
+// Proxy a SegmentTemplate URL, leaving identifiers such as $Number$ unencoded for the player to fill in
+function toProxyTemplateUrl(targetUrl, templateLinkQuery) {
+    const encoded = targetUrl.split(/(\$[^$]*\$)/)
+        .map((part, index) => (index % 2 === 1 ? part : encodeURIComponent(part)))
+        .join('');
+    return `/proxy?url=${encoded}${templateLinkQuery(targetUrl)}`;
+}
+
+function childElements(element, localName) {
+    return Array.from(element.childNodes).filter((node) => {
+        return node.nodeType === 1 && (!localName || node.localName === localName);
+    });
+}
+
+/**
+ * Point the BaseURLs, segment URLs and Location of a DASH manifest at the proxy. Each URL is
+ * resolved against the BaseURLs it inherits, so it stays correct once it is absolute.
+ * A well-formed document that isn't an MPD is returned untouched.
+ * @param {string} manifest
+ * @param {string} manifestUrl - where the manifest came from, after redirects
+ * @param {object} [links]
+ * @param {(targetUrl: string) => string} [links.linkQuery] - signs each URL written into the manifest
+ * @param {(templateUrl: string) => string} [links.templateLinkQuery] - signs each SegmentTemplate URL,
+ *   which stands for every segment URL the player fills in
+ * @returns {string}
+ * @throws {Error} when the manifest isn't well-formed XML
+ */
+function rewriteDashManifest(manifest, manifestUrl, { linkQuery = unsigned, templateLinkQuery = unsigned } = {}) {
+    const links = { linkQuery, templateLinkQuery };
+    const doc = new DOMParser({
+        onError: (level, message) => {
+            if (level === 'fatalError') throw new Error(`Could not parse MPD: ${message}`);
+        }
+    }).parseFromString(manifest, 'application/xml');
+
+    const root = doc.documentElement;
+    if (!root || root.localName !== 'MPD') {
+        return manifest;
+    }
+
+    // Live manifests refresh from Location/PatchLocation, which must also go through the proxy
+    ['Location', 'PatchLocation'].forEach((name) => {
+        childElements(root, name).forEach((element) => {
+            const resolved = resolveMediaUrl(element.textContent.trim(), manifestUrl);
+            if (resolved) element.textContent = toProxyUrl(resolved, links.linkQuery);
+        });
+    });
+
+    rewriteDashElement(root, manifestUrl, {}, links);
+    return new XMLSerializer().serializeToString(doc);
+}
+
+// Walk MPD > Period > AdaptationSet > Representation, resolving BaseURLs level by level
+function rewriteDashElement(element, parentBase, inheritedTemplate, links) {
+    // Each BaseURL resolves against the parent level; the first one is this level's base
+    let base = parentBase;
+    let baseFound = false;
+    childElements(element, 'BaseURL').forEach((baseUrlElement) => {
+        const resolved = resolveMediaUrl(baseUrlElement.textContent.trim(), parentBase);
+        if (!resolved) return;
+        if (!baseFound) {
+            base = resolved;
+            baseFound = true;
+        }
+        baseUrlElement.textContent = toProxyUrl(resolved, links.linkQuery);
+    });
+
+    // Remember template URLs with the base they were declared against
+    const templateUrls = { ...inheritedTemplate };
+    const template = childElements(element, 'SegmentTemplate')[0];
+    if (template) {
+        DASH_URL_ATTRIBUTES.SegmentTemplate.forEach((attribute) => {
+            if (!template.hasAttribute(attribute)) return;
+            const value = template.getAttribute(attribute);
+            templateUrls[attribute] = { value, base };
+            const resolved = resolveMediaUrl(value, base);
+            if (resolved) template.setAttribute(attribute, toProxyTemplateUrl(resolved, links.templateLinkQuery));
+        });
+    }
+
+    // Template URLs resolve against the Representation's own BaseURL, so pin inherited ones
+    // that were rewritten against a different base on the Representation itself
+    if (element.localName === 'Representation') {
+        const overrides = Object.keys(templateUrls).filter((attribute) => {
+            return templateUrls[attribute].base !== base && !(template && template.hasAttribute(attribute));
+        });
+        if (overrides.length > 0) {
+            let ownTemplate = template;
+            if (!ownTemplate) {
+                ownTemplate = element.ownerDocument.createElementNS(element.namespaceURI, 'SegmentTemplate');
+                element.appendChild(ownTemplate);
+            }
+            overrides.forEach((attribute) => {
+                const resolved = resolveMediaUrl(templateUrls[attribute].value, base);
+                if (resolved) ownTemplate.setAttribute(attribute, toProxyTemplateUrl(resolved, links.templateLinkQuery));
+            });
+        }
+    }
+
+    // SegmentList/SegmentBase entries resolve against this level's base
+    ['SegmentList', 'SegmentBase', 'SegmentTemplate'].forEach((name) => {
+        childElements(element, name).forEach((segmentInfo) => {
+            rewriteDashSegmentUrls(segmentInfo, base, links);
+        });
+    });
+
+    ['Period', 'AdaptationSet', 'Representation'].forEach((name) => {
+        childElements(element, name).forEach((child) => {
+            rewriteDashElement(child, base, templateUrls, links);
+        });
+    });
+}
+
+function rewriteDashSegmentUrls(element, base, links) {
+    childElements(element).forEach((child) => {
+        const attributes = DASH_URL_ATTRIBUTES[child.localName];
+        if (attributes && child.localName !== 'SegmentTemplate') {
+            attributes.forEach((attribute) => {
+                if (!child.hasAttribute(attribute)) return;
+                const resolved = resolveMediaUrl(child.getAttribute(attribute), base);
+                if (resolved) child.setAttribute(attribute, toProxyUrl(resolved, links.linkQuery));
+            });
+        }
+        rewriteDashSegmentUrls(child, base, links);
+    });
+}
+
+module.exports = { isHlsPlaylist, isDashManifest, toProxyUrl, rewriteHlsPlaylist, rewriteDashManifest };
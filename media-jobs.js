@@ -0,0 +1,269 @@
+/**
+ * Media job runner for ffmpeg/ffprobe
+ * Processes are spawned with argument arrays, never through a shell, so a URL is only ever
+ * one argument. At most `concurrency` run at once; the rest wait in a first-come queue.
+ * Jobs can time out (waiting in the queue as well as running), be cancelled (directly, with an
+ * AbortSignal, or when the HTTP response they work for closes) and are listed in the runner's status.
+ */
+
+const { spawn } = require('child_process');
+
+const STDERR_TAIL = 2000; // characters of stderr kept for error messages
+const RECENT_JOBS = 20;   // finished jobs still listed in the status
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.concurrency=2] - processes allowed to run at once
+ * @returns {{run: Function, list: Function}}
+ */
+function createJobRunner({ concurrency = 2 } = {}) {
+    const queued = [];
+    const running = new Set();
+    const recent = [];
+    let nextId = 1;
+
+    /**
+     * Queue a process. The promise resolves once it exits with code 0 (with its output if
+     * collectStdout is set) and rejects with its last stderr line otherwise; error.cancelled
+     * tells a cancelled job from a failed one, and code ETIMEDOUT one that ran out of time.
+     * @param {string} command - 'ffmpeg' or 'ffprobe'
+     * @param {string[]} args
+     * @param {object} [options]
+     * @param {string} [options.label] - what the job is for, shown in the status
+     * @param {string} [options.url] - the video it works on, shown in the status
+     * @param {number} [options.queueTimeout] - ms the job may wait for a free slot before it fails (code EBUSY)
+     * @param {number} [options.timeout] - ms the process may run in total
+     * @param {number} [options.stallTimeout] - ms it may go without writing anything
+     * @param {number} [options.collectStdout] - buffer stdout up to this many bytes
+     * @param {AbortSignal} [options.signal] - aborting cancels the job
+     * @param {import('http').ServerResponse} [options.client] - closing it before it ends cancels the job
+     * @param {(child: import('child_process').ChildProcess) => void} [options.onStart] - called once spawned
+     * @param {(chunk: Buffer) => void} [options.onStdout]
+     * @param {(line: string) => boolean|void} [options.onStderrLine] - return true to keep the line out of errors
+     * @returns {{id: number, promise: Promise<{stdout: string}>, cancel: (reason?: string) => void}}
+     */
+    function run(command, args, options = {}) {
+        const job = {
+            id: nextId++,
+            command: command,
+            args: args,
+            options: options,
+            label: options.label || command,
+            url: options.url || null,
+            status: 'queued',
+            error: null,
+            queuedAt: Date.now(),
+            startedAt: 0,
+            finishedAt: 0,
+            child: null,
+            killReason: null,
+            cancelled: false,
+            timedOut: false,
+            cleanup: []
+        };
+        job.promise = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+        job.cancel = (reason = 'cancelled') => cancel(job, reason);
+
+        if (options.signal) {
+            const onAbort = () => job.cancel();
+            options.signal.addEventListener('abort', onAbort, { once: true });
+            job.cleanup.push(() => options.signal.removeEventListener('abort', onAbort));
+        }
+        if (options.client) {
+            // 'close' also follows a normal end, when there is nothing left to cancel
+            const onClose = () => {
+                if (!options.client.writableFinished) job.cancel('client disconnected');
+            };
+            options.client.on('close', onClose);
+            job.cleanup.push(() => options.client.removeListener('close', onClose));
+        }
+
+        if (options.queueTimeout) {
+            job.queueTimer = setTimeout(() => expire(job), options.queueTimeout);
+            job.cleanup.push(() => clearTimeout(job.queueTimer));
+        }
+
+        queued.push(job);
+        if (options.signal && options.signal.aborted) {
+            job.cancel();
+        }
+        startNext();
+        return { id: job.id, promise: job.promise, cancel: job.cancel };
+    }
+
+    function startNext() {
+        while (running.size < concurrency && queued.length > 0) {
+            start(queued.shift());
+        }
+    }
+
+    function start(job) {
+        const { options } = job;
+        clearTimeout(job.queueTimer);
+        job.status = 'running';
+        job.startedAt = Date.now();
+        running.add(job);
+
+        const child = spawn(job.command, job.args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        job.child = child;
+
+        const chunks = [];
+        let stdoutSize = 0;
+        let stderr = '';
+        let stderrLine = '';
+        let stallTimer = null;
+
+        const keepStderr = (line) => {
+            if (options.onStderrLine && options.onStderrLine(line)) return;
+            stderr = (stderr + line + '\n').slice(-STDERR_TAIL);
+        };
+        const timeOut = (reason) => {
+            job.timedOut = !job.killReason;
+            kill(job, reason);
+        };
+        const resetStallTimer = () => {
+            if (!options.stallTimeout) return;
+            clearTimeout(stallTimer);
+            stallTimer = setTimeout(() => timeOut('stalled'), options.stallTimeout);
+        };
+        resetStallTimer();
+
+        const timer = options.timeout ? setTimeout(() => timeOut('timed out'), options.timeout) : null;
+        job.cleanup.push(() => {
+            clearTimeout(timer);
+            clearTimeout(stallTimer);
+        });
+
+        child.on('error', (err) => {
+            if (err.code === 'ENOENT') {
+                const error = new Error(`${job.command} not available`);
+                error.code = 'ENOENT';
+                finish(job, error);
+            } else {
+                finish(job, err);
+            }
+        });
+
+        // Left alone unless the job reads it, so onStart can pipe it with backpressure
+        if (options.collectStdout || options.onStdout || options.stallTimeout) {
+            child.stdout.on('data', (chunk) => {
+                resetStallTimer();
+                if (options.collectStdout) {
+                    stdoutSize += chunk.length;
+                    if (stdoutSize > options.collectStdout) {
+                        kill(job, 'output too large');
+                        return;
+                    }
+                    chunks.push(chunk);
+                }
+                if (options.onStdout) options.onStdout(chunk);
+            });
+        }
+
+        child.stderr.on('data', (chunk) => {
+            resetStallTimer();
+            const lines = (stderrLine + chunk).split('\n');
+            stderrLine = lines.pop();
+            lines.forEach(keepStderr);
+        });
+
+        child.on('close', (code, signal) => {
+            if (stderrLine) keepStderr(stderrLine);
+
+            if (code === 0 && !job.killReason) {
+                finish(job, null, { stdout: Buffer.concat(chunks).toString('utf8') });
+                return;
+            }
+            const reason = job.killReason || stderr.trim().split('\n').pop() ||
+                (signal ? `killed by ${signal}` : `exit code ${code}`);
+            const error = new Error(`${job.command} failed: ${reason}`);
+            if (job.timedOut) error.code = 'ETIMEDOUT';
+            finish(job, error);
+        });
+
+        if (options.onStart) options.onStart(child);
+    }
+
+    function kill(job, reason) {
+        if (job.killReason || !job.child) return;
+        job.killReason = reason;
+        job.child.kill('SIGKILL');
+    }
+
+    function expire(job) {
+        if (job.status !== 'queued') return;
+        queued.splice(queued.indexOf(job), 1);
+        const error = new Error(`${job.command} waited too long for a free slot`);
+        error.code = 'EBUSY';
+        finish(job, error);
+    }
+
+    function cancel(job, reason) {
+        if (job.status === 'queued') {
+            job.cancelled = true;
+            queued.splice(queued.indexOf(job), 1);
+            finish(job, new Error(`${job.command} ${reason}`));
+        } else if (job.status === 'running') {
+            job.cancelled = true;
+            kill(job, reason);
+        }
+    }
+
+    function finish(job, error, result) {
+        if (job.finishedAt) return;
+        job.finishedAt = Date.now();
+        job.cleanup.forEach(fn => fn());
+        running.delete(job);
+
+        job.status = !error ? 'done' : job.cancelled ? 'cancelled' : 'failed';
+        job.error = error ? error.message : null;
+        recent.unshift(job);
+        recent.splice(RECENT_JOBS);
+
+        if (error) {
+            error.cancelled = job.cancelled;
+            job.reject(error);
+        } else {
+            job.resolve(result);
+        }
+        startNext();
+    }
+
+    function describe(job, includeUrls) {
+        const time = (ms) => ms ? new Date(ms).toISOString() : null;
+        return {
+            id: job.id,
+            label: job.label,
+            command: job.command,
+            url: includeUrls ? job.url : undefined,
+            status: job.status,
+            error: job.error,
+            queuedAt: time(job.queuedAt),
+            startedAt: time(job.startedAt),
+            finishedAt: time(job.finishedAt)
+        };
+    }
+
+    /**
+     * Status of every job that is running or waiting, plus the last few that finished
+     * @param {object} [options]
+     * @param {boolean} [options.includeUrls=false] - list the video each job works on
+     * @returns {{concurrency: number, running: object[], queued: object[], recent: object[]}}
+     */
+    function list({ includeUrls = false } = {}) {
+        const describeJob = (job) => describe(job, includeUrls);
+        return {
+            concurrency: concurrency,
+            running: [...running].map(describeJob),
+            queued: queued.map(describeJob),
+            recent: recent.map(describeJob)
+        };
+    }
+
+    return { run, list };
+}
+
+module.exports = { createJobRunner };
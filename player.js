@@ -3,6 +3,68 @@
  * High-quality streaming video player with smart buffering
  */
 
+// MIME strings used to ask the browser whether it can decode an ffprobe codec
+const CODEC_MIME_TYPES = {
+    h264: 'video/mp4; codecs="avc1.640028"',
+    hevc: 'video/mp4; codecs="hvc1.1.6.L120.90"',
+    vp8: 'video/webm; codecs="vp8"',
+    vp9: 'video/webm; codecs="vp9"',
+    av1: 'video/mp4; codecs="av01.0.08M.08"',
+    aac: 'audio/mp4; codecs="mp4a.40.2"',
+    mp3: 'audio/mpeg',
+    opus: 'audio/webm; codecs="opus"',
+    vorbis: 'audio/webm; codecs="vorbis"',
+    flac: 'audio/mp4; codecs="flac"',
+    ac3: 'audio/mp4; codecs="ac-3"',
+    eac3: 'audio/mp4; codecs="ec-3"'
+};
+
+// Subtitle appearance - browser defaults for cues, saved under SUBTITLE_APPEARANCE_KEY
+const SUBTITLE_APPEARANCE_KEY = 'streamflow.subtitleAppearance';
+const SUBTITLE_APPEARANCE_DEFAULTS = {
+    size: 100,              // % of the normal cue size
+    font: 'sans-serif',
+    color: '#ffffff',
+    background: '#000000',
+    backgroundOpacity: 80,  // %
+    edge: 'none',
+    lift: 0                 // % of the picture height to raise bottom lines by
+};
+
+const SUBTITLE_APPEARANCE_PRESETS = {
+    default: {},
+    large: { size: 150 },
+    contrast: { color: '#ffff00', backgroundOpacity: 100 },
+    outline: { backgroundOpacity: 0, edge: 'outline' },
+    cinema: { font: 'serif', color: '#f5f5dc', backgroundOpacity: 0, edge: 'shadow', lift: 5 }
+};
+
+const SUBTITLE_FONTS = {
+    'sans-serif': 'Arial, Helvetica, sans-serif',
+    serif: 'Georgia, "Times New Roman", serif',
+    monospace: '"JetBrains Mono", "Courier New", monospace',
+    casual: '"Comic Sans MS", "Comic Neue", cursive'
+};
+
+const SUBTITLE_EDGE_SHADOWS = {
+    none: 'none',
+    outline: '-1px -1px 0 #000, 1px -1px 0 #000, -1px 1px 0 #000, 1px 1px 0 #000, 0 0 3px #000',
+    shadow: '2px 2px 4px rgba(0, 0, 0, 0.9)',
+    raised: '1px 1px 0 #222, 2px 2px 0 #000',
+    depressed: '-1px -1px 0 #222, 1px 1px 0 rgba(255, 255, 255, 0.4)'
+};
+
+// Watch history - position and playback settings per video, saved under WATCH_HISTORY_KEY
+const WATCH_HISTORY_KEY = 'streamflow.watchHistory';
+const WATCH_HISTORY_LIMIT = 50;         // videos kept, least recently watched dropped first
+const WATCH_HISTORY_SAVE_INTERVAL = 5;  // seconds of playback between saves
+const RESUME_MIN_POSITION = 10;         // seconds - earlier positions aren't worth resuming
+const RESUME_MAX_PROGRESS = 0.95;       // past this share of the duration the video counts as finished
+const RESUME_PROMPT_DURATION = 10000;   // ms the "Resume from" prompt stays up
+
+// ASS override tag colour/alpha numbers (\1c, \3a, ...) -> render state keys
+const ASS_COLOUR_KEYS = { 1: 'primary', 2: 'secondary', 3: 'outline', 4: 'back' };
+
 class StreamFlowPlayer {
     constructor() {
         // DOM Elements
@@ -21,6 +83,8 @@ class StreamFlowPlayer {
         this.errorOverlay = document.getElementById('errorOverlay');
         this.errorText = document.getElementById('errorText');
         this.bufferIndicator = document.getElementById('bufferIndicator');
+        this.assOverlay = document.getElementById('assOverlay');
+        this.bitmapSubtitleEl = document.getElementById('bitmapSubtitle');
         
         // Controls
         this.controls = document.getElementById('controls');
@@ -36,7 +100,13 @@ class StreamFlowPlayer {
         this.speedBtn = document.getElementById('speedBtn');
         this.speedMenu = document.getElementById('speedMenu');
         this.speedValue = document.getElementById('speedValue');
+        this.qualityContainer = document.getElementById('qualityContainer');
+        this.qualityBtn = document.getElementById('qualityBtn');
+        this.qualityMenu = document.getElementById('qualityMenu');
+        this.qualityLevelsEl = document.getElementById('qualityLevels');
         this.retryBtn = document.getElementById('retryBtn');
+        this.resumePrompt = document.getElementById('resumePrompt');
+        this.resumeTime = document.getElementById('resumeTime');
         
         // Progress
         this.progressContainer = document.getElementById('progressContainer');
@@ -44,6 +114,12 @@ class StreamFlowPlayer {
         this.progressPlayed = document.getElementById('progressPlayed');
         this.progressThumb = document.getElementById('progressThumb');
         this.progressTooltip = document.getElementById('progressTooltip');
+        this.progressTooltipTime = document.getElementById('progressTooltipTime');
+        this.progressTooltipChapter = document.getElementById('progressTooltipChapter');
+        this.progressChapters = document.getElementById('progressChapters');
+        this.progressSearchMarkers = document.getElementById('progressSearchMarkers');
+        this.progressPreview = document.getElementById('progressPreview');
+        this.progressPreviewImage = document.getElementById('progressPreviewImage');
         
         // Time Display
         this.currentTimeEl = document.getElementById('currentTime');
@@ -52,15 +128,30 @@ class StreamFlowPlayer {
         this.timeInputWrapper = document.getElementById('timeInputWrapper');
         this.timeInput = document.getElementById('timeInput');
         this.timeGoBtn = document.getElementById('timeGoBtn');
+        this.liveBtn = document.getElementById('liveBtn');
         
         // Stats
         this.bufferPercent = document.getElementById('bufferPercent');
         this.networkSpeed = document.getElementById('networkSpeed');
+        this.qualityStat = document.getElementById('qualityStat');
+        this.qualityValue = document.getElementById('qualityValue');
         
         // Shortcuts Modal
         this.shortcutsModal = document.getElementById('shortcutsModal');
         this.closeShortcuts = document.getElementById('closeShortcuts');
 
+        // Sign-in (servers with access control)
+        this.loginModal = document.getElementById('loginModal');
+        this.loginForm = document.getElementById('loginForm');
+        this.loginPassword = document.getElementById('loginPassword');
+        this.loginError = document.getElementById('loginError');
+        this.logoutBtn = document.getElementById('logoutBtn');
+
+        // Watch history
+        this.historySection = document.getElementById('historySection');
+        this.historyList = document.getElementById('historyList');
+        this.historyImportInput = document.getElementById('historyImport');
+
         // New UI Elements
         this.videoInfoSection = document.getElementById('videoInfoSection');
         this.filenameText = document.getElementById('filenameText');
@@ -70,9 +161,34 @@ class StreamFlowPlayer {
         this.loadSubtitleBtn = document.getElementById('loadSubtitleBtn');
         this.subtitleUrlInput = document.getElementById('subtitleUrl');
         this.subtitleFileInput = document.getElementById('subtitleFile');
+        this.subtitleSync = document.getElementById('subtitleSync');
+        this.subtitleTimingValue = document.getElementById('subtitleTimingValue');
+        this.syncCueText = document.getElementById('syncCueText');
+        this.secondarySubtitleEl = document.getElementById('secondarySubtitle');
+        this.secondarySubtitleSettings = document.getElementById('secondarySubtitleSettings');
+        this.subtitleAppearancePanel = document.getElementById('subtitleAppearancePanel');
+        this.transcriptBtn = document.getElementById('transcriptBtn');
+        this.transcriptPanel = document.getElementById('transcriptPanel');
+        this.transcriptList = document.getElementById('transcriptList');
+        this.transcriptSearch = document.getElementById('transcriptSearch');
+        this.transcriptMatchCount = document.getElementById('transcriptMatchCount');
+        this.queueBtn = document.getElementById('queueBtn');
+        this.queuePanel = document.getElementById('queuePanel');
+        this.queueList = document.getElementById('queueList');
+        this.queueCount = document.getElementById('queueCount');
+        this.queueInput = document.getElementById('queueInput');
+        this.prevVideoBtn = document.getElementById('prevVideoBtn');
+        this.nextVideoBtn = document.getElementById('nextVideoBtn');
+        this.playlistFileInput = document.getElementById('playlistFile');
         this.audioBtn = document.getElementById('audioBtn');
         this.audioMenu = document.getElementById('audioMenu');
         this.audioTracks = document.getElementById('audioTracks');
+        this.chapterBtn = document.getElementById('chapterBtn');
+        this.chapterMenu = document.getElementById('chapterMenu');
+        this.chapterList = document.getElementById('chapterList');
+        this.chapterUrlInput = document.getElementById('chapterUrl');
+        this.loadChapterBtn = document.getElementById('loadChapterBtn');
+        this.chapterFileInput = document.getElementById('chapterFile');
         this.linkBtn = document.getElementById('linkBtn');
         this.linkMenu = document.getElementById('linkMenu');
         this.copyStreamingLink = document.getElementById('copyStreamingLink');
@@ -96,8 +212,50 @@ class StreamFlowPlayer {
         // Subtitle & Audio State
         this.loadedSubtitles = [];
         this.currentSubtitle = -1;
+        this.syncCueIndex = null; // line picked for resync, null = follow playback
+        this.secondarySubtitle = -1;
+        this.secondaryPosition = 'top';
+        this.secondaryCueHandler = () => this.renderSecondarySubtitle();
+        this.bitmapTrack = null; // text track of the image-based subtitle being shown
+        this.bitmapCueHandler = () => this.renderBitmapSubtitle();
+        this.embeddedSubtitles = []; // subtitle streams found by the analysis
+        this.extractionPollInterval = 3000; // ms between refreshes of a track still being extracted
+
+        // Queue: [{url, title}] played one after another; queueIndex is the item playing (-1 = none)
+        this.queue = [];
+        this.queueIndex = -1;
+        this.queueAutoplay = false; // start playback as soon as the queued video can play
+        this.queueDragIndex = null;
+
+        // Subtitle appearance, applied to every track through ::cue and the overlays
+        this.subtitleAppearance = this.loadSubtitleAppearance();
+        this.subtitleStyleSheet = document.createElement('style');
+        document.head.appendChild(this.subtitleStyleSheet);
+
+        // Transcript panel: the primary track's cues, their line elements and search matches
+        this.transcriptCues = [];
+        this.transcriptLines = [];
+        this.transcriptActive = -1;
+        this.transcriptMatches = [];
+        this.transcriptMatchIndex = -1;
+        this.transcriptScrollPause = 0;
+        this.transcriptScrollPauseDuration = 4000; // ms without auto-scroll after the user scrolls
         this.currentAudioTrack = 0;
         this.videoAnalysis = null;
+        this.analysisPromise = null;
+        this.destinationRefused = null; // the server's reason for not fetching this URL at all
+
+        // ASS/SSA overlay: the selected script, the events on screen and the frame loop
+        this.assScript = null;
+        this.assTiming = null;
+        this.assStage = null;
+        this.assActive = [];
+        this.assActiveKey = null;
+        this.assFrame = null;
+
+        // Chapters: [{start, end, title}] from the container or an external file
+        this.chapters = [];
+        this.currentChapter = -1;
 
         // Buffer Management
         this.bufferCheckInterval = null;
@@ -115,6 +273,42 @@ class StreamFlowPlayer {
         // Range request support detection
         this.supportsRangeRequests = null; // null = unknown, true/false after check
         this.rangeRequestChecked = false;
+
+        // Lazily loaded playback engines (hls.js, dash.js)
+        this.scriptPromises = {};
+        this.hls = null;
+        this.dashPlayer = null;
+
+        // Seek-bar thumbnails: [{start, end, url, x, y, width, height}] from the stream or the server
+        this.thumbnails = null;
+        this.thumbnailPollTimeout = null;
+        this.thumbnailsRequested = false; // server thumbnails wait until the seek bar is used
+        this.previewTime = null;
+        this.previewMaxWidth = 160;
+
+        // Adaptive quality state (-1 = Auto/ABR)
+        this.qualityLevels = [];
+        this.selectedQuality = -1;
+        this.playingQuality = -1;
+
+        // Live streams (HLS without #EXT-X-ENDLIST, dynamic MPD)
+        this.isLive = false;
+        this.liveEdgeTolerance = 10; // seconds behind the edge still counted as "live"
+
+        // Server-side transcoding (/transcode) for codecs the browser can't decode.
+        // { plan, startTime, duration } - the element's clock starts at startTime
+        this.transcode = null;
+
+        // Watch history: the entry found for the video being loaded, and the position last saved
+        this.historyEntry = null;
+        this.historySavedAt = 0;
+        this.resumePosition = 0;
+        this.resumePromptTimeout = null;
+
+        // Access control: whether the server wants a sign-in, and the grant of the signed
+        // share link this page was opened with ({ url, expires, sig }, see /play)
+        this.accessRequired = false;
+        this.accessGrant = window.STREAMFLOW_GRANT || null;
         
         this.init();
     }
@@ -123,6 +317,9 @@ class StreamFlowPlayer {
         this.bindEvents();
         this.setupVideoEvents();
         this.updateVolumeUI();
+        this.applySubtitleAppearance();
+        this.renderWatchHistory();
+        this.checkAccess();
         
         // Focus input on load
         this.urlInput.focus();
@@ -130,7 +327,12 @@ class StreamFlowPlayer {
         // Check for URL in query params
         const params = new URLSearchParams(window.location.search);
         const videoUrl = params.get('url');
-        if (videoUrl) {
+        const sharedQueue = window.STREAMFLOW_QUEUE;
+        if (Array.isArray(sharedQueue) && sharedQueue.length > 0) {
+            // /play?list= - the server resolved the list; url= names the item to start at
+            const start = videoUrl ? sharedQueue.findIndex(item => item.url === decodeURIComponent(videoUrl)) : 0;
+            this.startQueue(sharedQueue, Math.max(0, start), false);
+        } else if (videoUrl) {
             this.urlInput.value = decodeURIComponent(videoUrl);
             this.loadVideo();
         }
@@ -142,6 +344,10 @@ class StreamFlowPlayer {
         this.urlInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') this.loadVideo();
         });
+        this.urlInput.addEventListener('paste', (e) => this.pasteQueue(e));
+        if (this.playlistFileInput) {
+            this.playlistFileInput.addEventListener('change', (e) => this.importPlaylistFile(e));
+        }
         this.backBtn.addEventListener('click', () => this.showUrlSection());
         this.retryBtn.addEventListener('click', () => this.loadVideo());
         
@@ -158,6 +364,10 @@ class StreamFlowPlayer {
         // Progress Bar
         this.progressContainer.addEventListener('click', (e) => this.seek(e));
         this.progressContainer.addEventListener('mousemove', (e) => this.updateTooltip(e));
+        // Only ask the server for a sprite sheet once someone reaches for the seek bar
+        ['mouseenter', 'touchstart', 'focusin'].forEach(type => {
+            this.progressContainer.addEventListener(type, () => this.requestServerThumbnails(), { passive: true });
+        });
         
         // Add drag support for progress bar
         let isDragging = false;
@@ -186,6 +396,9 @@ class StreamFlowPlayer {
         this.timeInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') this.jumpToInputTime();
         });
+        if (this.liveBtn) {
+            this.liveBtn.addEventListener('click', () => this.jumpToLive());
+        }
         this.timeInput.addEventListener('blur', () => {
             // Hide input after a short delay (allows clicking Go button)
             setTimeout(() => this.hideTimeInput(), 200);
@@ -204,6 +417,14 @@ class StreamFlowPlayer {
             });
         });
         
+        // Quality menu
+        if (this.qualityBtn) {
+            this.qualityBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.qualityMenu.classList.toggle('active');
+            });
+        }
+        
         // Custom speed input
         const customSpeedInput = document.getElementById('customSpeedInput');
         const customSpeedBtn = document.getElementById('customSpeedBtn');
@@ -257,6 +478,46 @@ class StreamFlowPlayer {
             this.subtitleFileInput.addEventListener('change', (e) => this.loadSubtitleFromFile(e));
         }
 
+        // Secondary subtitle placement
+        if (this.secondarySubtitleSettings) {
+            this.secondarySubtitleSettings.addEventListener('click', (e) => e.stopPropagation());
+            this.secondarySubtitleSettings.querySelectorAll('[data-secondary-position]').forEach(btn => {
+                btn.addEventListener('click', () => this.setSecondaryPosition(btn.dataset.secondaryPosition));
+            });
+        }
+
+        // Subtitle timing controls
+        if (this.subtitleSync) {
+            this.subtitleSync.addEventListener('click', (e) => e.stopPropagation());
+            document.getElementById('subtitleDelayDown').addEventListener('click', () => this.adjustSubtitleDelay(-0.1));
+            document.getElementById('subtitleDelayUp').addEventListener('click', () => this.adjustSubtitleDelay(0.1));
+            document.getElementById('subtitleTimingReset').addEventListener('click', () => this.resetSubtitleTiming());
+            document.getElementById('syncPrevCue').addEventListener('click', () => this.stepSyncCue(-1));
+            document.getElementById('syncNextCue').addEventListener('click', () => this.stepSyncCue(1));
+            document.getElementById('syncMarkBtn').addEventListener('click', () => this.markSubtitleSyncPoint());
+            this.subtitleSync.querySelectorAll('[data-export]').forEach(btn => {
+                btn.addEventListener('click', () => this.exportSubtitle(btn.dataset.export));
+            });
+        }
+
+        // Subtitle appearance controls
+        if (this.subtitleAppearancePanel) {
+            const appearance = this.subtitleAppearancePanel.parentElement;
+            appearance.addEventListener('click', (e) => e.stopPropagation());
+            document.getElementById('subtitleAppearanceToggle').addEventListener('click', (e) => {
+                e.currentTarget.classList.toggle('active', this.subtitleAppearancePanel.classList.toggle('active'));
+            });
+            appearance.querySelectorAll('[data-subtitle-preset]').forEach(btn => {
+                btn.addEventListener('click', () => this.applySubtitlePreset(btn.dataset.subtitlePreset));
+            });
+            appearance.querySelectorAll('[data-subtitle-setting]').forEach(input => {
+                input.addEventListener('input', () => {
+                    const value = input.type === 'range' ? parseInt(input.value, 10) : input.value;
+                    this.setSubtitleAppearance({ [input.dataset.subtitleSetting]: value });
+                });
+            });
+        }
+
         // Audio track controls
         if (this.audioBtn) {
             this.audioBtn.addEventListener('click', (e) => {
@@ -266,6 +527,76 @@ class StreamFlowPlayer {
             });
         }
 
+        // Chapter controls
+        if (this.chapterBtn) {
+            this.chapterBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.chapterMenu.classList.toggle('active');
+            });
+        }
+
+        if (this.loadChapterBtn) {
+            this.loadChapterBtn.addEventListener('click', () => this.loadChaptersFromUrl());
+        }
+
+        if (this.chapterUrlInput) {
+            this.chapterUrlInput.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') this.loadChaptersFromUrl();
+            });
+            this.chapterUrlInput.addEventListener('click', (e) => e.stopPropagation());
+        }
+
+        if (this.chapterFileInput) {
+            this.chapterFileInput.addEventListener('change', (e) => this.loadChaptersFromFile(e));
+        }
+
+        // Transcript panel
+        if (this.transcriptPanel) {
+            this.transcriptBtn.addEventListener('click', () => this.toggleTranscript());
+            document.getElementById('transcriptClose').addEventListener('click', () => this.toggleTranscript());
+            document.getElementById('transcriptPrevMatch').addEventListener('click', () => this.stepTranscriptMatch(-1));
+            document.getElementById('transcriptNextMatch').addEventListener('click', () => this.stepTranscriptMatch(1));
+            this.transcriptSearch.addEventListener('input', () => this.searchTranscript());
+            this.transcriptSearch.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.stepTranscriptMatch(e.shiftKey ? -1 : 1);
+            });
+            this.transcriptPanel.querySelectorAll('[data-export]').forEach(btn => {
+                btn.addEventListener('click', () => this.exportTranscript(btn.dataset.export));
+            });
+            ['wheel', 'touchmove'].forEach(type => {
+                this.transcriptList.addEventListener(type, () => {
+                    this.transcriptScrollPause = Date.now() + this.transcriptScrollPauseDuration;
+                }, { passive: true });
+            });
+        }
+
+        // Queue panel and previous/next
+        if (this.queuePanel) {
+            this.queueBtn.addEventListener('click', () => this.toggleQueue());
+            document.getElementById('queueClose').addEventListener('click', () => this.toggleQueue());
+            document.getElementById('queueClear').addEventListener('click', () => this.clearQueue());
+            document.getElementById('queueShare').addEventListener('click', () => this.copyQueueLink());
+            document.getElementById('queueAddBtn').addEventListener('click', () => this.addQueueFromInput());
+            document.getElementById('queueFile').addEventListener('change', (e) => this.importPlaylistFile(e));
+            this.prevVideoBtn.addEventListener('click', () => this.playQueueItem(this.queueIndex - 1));
+            this.nextVideoBtn.addEventListener('click', () => this.playQueueItem(this.queueIndex + 1));
+        }
+
+        // Resume prompt
+        if (this.resumePrompt) {
+            document.getElementById('resumeBtn').addEventListener('click', () => this.resumePlayback());
+            document.getElementById('resumeDismiss').addEventListener('click', () => this.hideResumePrompt());
+        }
+
+        // Watch history
+        if (this.historySection) {
+            document.getElementById('historyExport').addEventListener('click', () => this.exportWatchHistory());
+            document.getElementById('historyClear').addEventListener('click', () => this.clearWatchHistory());
+            this.historyImportInput.addEventListener('change', (e) => this.importWatchHistory(e));
+        }
+        // Save the position when the tab is closed or reloaded
+        window.addEventListener('pagehide', () => this.saveWatchProgress());
+
         // Link & Download controls
         if (this.linkBtn) {
             this.linkBtn.addEventListener('click', (e) => {
@@ -274,22 +605,25 @@ class StreamFlowPlayer {
             });
         }
 
+        // Links to this server are signed when it requires a sign-in, so recipients need none
         if (this.copyStreamingLink) {
-            this.copyStreamingLink.addEventListener('click', () => {
-                this.copyToClipboard(this.currentUrl, 'Streaming link copied!');
+            this.copyStreamingLink.addEventListener('click', async () => {
+                const streamingUrl = this.currentUrl === this.originalUrl ? this.currentUrl :
+                    await this.signShareLink(`${this.getProxyOrigin()}/proxy?url=${encodeURIComponent(this.originalUrl)}`);
+                this.copyToClipboard(streamingUrl, 'Streaming link copied!');
             });
         }
 
         if (this.copyPlayLink) {
-            this.copyPlayLink.addEventListener('click', () => {
-                const playUrl = `${window.location.origin}/play?url=${encodeURIComponent(this.originalUrl)}`;
+            this.copyPlayLink.addEventListener('click', async () => {
+                const playUrl = await this.signShareLink(`${window.location.origin}/play?url=${encodeURIComponent(this.originalUrl)}`);
                 this.copyToClipboard(playUrl, 'Web player link copied!');
             });
         }
 
         if (this.copyDownloadLink) {
-            this.copyDownloadLink.addEventListener('click', () => {
-                const downloadUrl = this.getDownloadUrl();
+            this.copyDownloadLink.addEventListener('click', async () => {
+                const downloadUrl = await this.signShareLink(this.getDownloadUrl());
                 this.copyToClipboard(downloadUrl, 'Download link copied!');
             });
         }
@@ -304,12 +638,22 @@ class StreamFlowPlayer {
             if (this.subtitleMenu) this.subtitleMenu.classList.remove('active');
             if (this.audioMenu) this.audioMenu.classList.remove('active');
             if (this.linkMenu) this.linkMenu.classList.remove('active');
+            if (this.qualityMenu) this.qualityMenu.classList.remove('active');
+            if (this.chapterMenu) this.chapterMenu.classList.remove('active');
         });
         
         // Shortcuts Modal
         this.closeShortcuts.addEventListener('click', () => {
             this.shortcutsModal.classList.remove('active');
         });
+
+        // Sign-in
+        if (this.loginForm) {
+            this.loginForm.addEventListener('submit', (e) => this.submitLogin(e));
+        }
+        if (this.logoutBtn) {
+            this.logoutBtn.addEventListener('click', () => this.logout());
+        }
         
         // Keyboard Shortcuts
         document.addEventListener('keydown', (e) => this.handleKeyboard(e));
@@ -324,6 +668,12 @@ class StreamFlowPlayer {
         // Double-click to fullscreen
         this.video.addEventListener('dblclick', () => this.toggleFullscreen());
         
+        // The ASS and image subtitle overlays follow the picture size
+        window.addEventListener('resize', () => {
+            this.layoutAssStage();
+            this.layoutBitmapSubtitle();
+        });
+
         // Fullscreen change
         document.addEventListener('fullscreenchange', () => this.onFullscreenChange());
         document.addEventListener('webkitfullscreenchange', () => this.onFullscreenChange());
@@ -345,24 +695,47 @@ class StreamFlowPlayer {
                 this.loadTimeout = null;
             }
 
-            this.durationEl.textContent = this.formatTime(this.video.duration);
+            // Live streams report an infinite duration (native HLS, MSE without ENDLIST).
+            // So does a transcoded stream, whose length comes from the analysis instead.
+            if (this.video.duration === Infinity && !this.transcode) {
+                this.setLiveMode(true);
+            }
+
+            this.durationEl.textContent = this.formatTime(this.getDuration());
+            this.renderChapterMarkers();
+            this.renderTranscriptMarkers();
+            this.layoutAssStage();
+            this.layoutBitmapSubtitle();
             this.hideLoading();
             // Start buffer management once we have metadata
             this.startBufferManagement();
             // Initialize speed status
             this.updateSpeedStatus();
 
-            // New feature initializations
-            this.extractFilename();
-            this.detectAudioTracks();
-            this.analyzeVideoStreams();
+            // New feature initializations (once per video, not again for each transcode restart)
+            if (!this.transcode) {
+                this.extractFilename();
+                this.detectAudioTracks();
+                const watched = this.historyEntry;
+                this.restoreWatchSettings(watched);
+                this.analyzeVideoStreams().then(() => {
+                    this.checkTranscodeNeeded();
+                    this.restoreWatchTracks(watched);
+                });
+            }
 
-            console.log(`Video loaded: ${this.formatTime(this.video.duration)} duration`);
+            console.log(this.isLive ? 'Live stream loaded' : `Video loaded: ${this.formatTime(this.getDuration())} duration`);
         });
         
         this.video.addEventListener('canplay', () => {
             this.hideLoading();
             this.playOverlay.classList.remove('hidden');
+            if (this.queueAutoplay) {
+                this.queueAutoplay = false;
+                this.video.play().catch(e => {
+                    console.error('Play error:', e);
+                });
+            }
         });
         
         this.video.addEventListener('canplaythrough', () => {
@@ -378,6 +751,7 @@ class StreamFlowPlayer {
             this.isPlaying = true;
             this.playerContainer.classList.add('playing');
             this.playOverlay.classList.add('hidden');
+            this.scheduleResumePromptHide();
         });
         
         this.video.addEventListener('pause', () => {
@@ -386,20 +760,37 @@ class StreamFlowPlayer {
             // Continue buffering even when paused - browser handles this
             // but we update the UI to show buffer progress
             this.updateBuffer();
+            this.saveWatchProgress();
         });
         
         this.video.addEventListener('ended', () => {
             this.isPlaying = false;
             this.playerContainer.classList.remove('playing');
             this.playOverlay.classList.remove('hidden');
+            this.saveWatchProgress();
+            // Auto-advance through the queue
+            if (this.queue[this.queueIndex + 1]) {
+                this.playQueueItem(this.queueIndex + 1);
+            }
         });
         
         // Time update
         this.video.addEventListener('timeupdate', () => {
             this.updateProgress();
+            this.updateCurrentChapter();
+            this.renderAssSubtitles();
+            if (this.subtitleMenu && this.subtitleMenu.classList.contains('active')) {
+                this.updateSubtitleSyncPanel();
+            }
+            if (this.transcriptPanel && this.transcriptPanel.classList.contains('active')) {
+                this.updateTranscriptPosition();
+            }
             // Track max watched position for history buffer
-            if (this.video.currentTime > this.maxWatchedPosition) {
-                this.maxWatchedPosition = this.video.currentTime;
+            if (this.getCurrentTime() > this.maxWatchedPosition) {
+                this.maxWatchedPosition = this.getCurrentTime();
+            }
+            if (Math.abs(this.getCurrentTime() - this.historySavedAt) >= WATCH_HISTORY_SAVE_INTERVAL) {
+                this.saveWatchProgress();
             }
         });
         
@@ -415,7 +806,11 @@ class StreamFlowPlayer {
         this.video.addEventListener('error', (e) => this.handleError(e));
         
         // Volume change
-        this.video.addEventListener('volumechange', () => this.updateVolumeUI());
+        this.video.addEventListener('volumechange', () => {
+            this.updateVolumeUI();
+            this.saveWatchProgress();
+        });
+        this.video.addEventListener('ratechange', () => this.saveWatchProgress());
     }
     
     loadVideo() {
@@ -424,17 +819,50 @@ class StreamFlowPlayer {
             this.urlInput.focus();
             return;
         }
+
+        // Several URLs at once make a queue
+        const items = this.parsePlaylistText(url);
+        if (items.length > 1) {
+            this.startQueue(items);
+            return;
+        }
+        
+        // Remember where the previous video was left
+        this.saveWatchProgress();
+        this.hideResumePrompt();
         
         // Check if proxy should be used
         const useProxy = this.useProxyCheckbox && this.useProxyCheckbox.checked;
         if (useProxy) {
             // Use local proxy server (run server.js with node)
-            url = `http://localhost:4000/proxy?url=${encodeURIComponent(url)}`;
+            url = this.withAccessGrant(`${this.getProxyOrigin()}/proxy?url=${encodeURIComponent(url)}`, url);
             console.log('🔄 Using local proxy server for URL');
         }
         
+        // Tear down any hls.js/dash.js instance from the previous video
+        this.destroyStreamingEngines();
+        this.resetThumbnails();
+        this.setChapters([]);
+        this.setLiveMode(false);
+        this.transcode = null;
+        this.videoAnalysis = null;
+        this.analysisPromise = null;
+        this.destinationRefused = null;
+        this.populateEmbeddedSubtitles([]);
+        this.currentAudioTrack = 0;
+        
         this.currentUrl = url;
         this.originalUrl = this.urlInput.value.trim(); // Store original for display
+        this.historyEntry = this.getWatchHistoryEntry(this.originalUrl);
+        this.historySavedAt = 0;
+
+        // A URL loaded by hand leaves the queue alone and only marks its item, if it has one
+        const queued = this.queue[this.queueIndex];
+        if (!queued || queued.url !== this.originalUrl) {
+            this.queueIndex = this.queue.findIndex(item => item.url === this.originalUrl);
+            this.queueAutoplay = false;
+        }
+        this.renderQueue();
         this.hideError();
         this.showPlayerSection();
         this.showLoading();
@@ -450,15 +878,20 @@ class StreamFlowPlayer {
         this.triedWithCors = false;
         this.rangeRequestChecked = false;
         
-        // Check if HLS stream
-        if (url.includes('.m3u8')) {
-            this.loadHLS(url);
-        } else if (url.includes('.mpd')) {
-            this.loadDASH(url);
-        } else {
-            // Direct video URL - try loading with best settings for streaming
-            this.loadDirectVideo(url);
-        }
+        // Pick a playback engine from the URL, falling back to the Content-Type
+        this.detectStreamType(url).then((streamType) => {
+            // Another video was loaded while we were sniffing
+            if (this.currentUrl !== url) return;
+
+            if (streamType === 'hls') {
+                this.loadHLS(url);
+            } else if (streamType === 'dash') {
+                this.loadDASH(url);
+            } else {
+                // Direct video URL - try loading with best settings for streaming
+                this.loadDirectVideo(url);
+            }
+        });
         
         // Update URL params
         const newUrl = new URL(window.location.href);
@@ -466,6 +899,46 @@ class StreamFlowPlayer {
         window.history.replaceState({}, '', newUrl);
     }
     
+    async detectStreamType(url) {
+        const lowerUrl = url.toLowerCase();
+        if (lowerUrl.includes('.m3u8')) return 'hls';
+        if (lowerUrl.includes('.mpd')) return 'dash';
+
+        // No telltale extension - ask the server what it is
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), 5000);
+        try {
+            const response = await fetch(url, { method: 'HEAD', signal: controller.signal });
+            const contentType = (response.headers.get('Content-Type') || '').toLowerCase();
+            if (contentType.includes('mpegurl')) return 'hls';
+            if (contentType.includes('dash+xml')) return 'dash';
+        } catch (error) {
+            console.log('ℹ️ Could not sniff content type, assuming direct video');
+        } finally {
+            clearTimeout(timeout);
+        }
+        return 'direct';
+    }
+    
+    // Load a vendored script from the server once, sharing the promise between callers
+    loadScript(src) {
+        if (!this.scriptPromises[src]) {
+            this.scriptPromises[src] = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = src;
+                script.async = true;
+                script.onload = () => resolve();
+                script.onerror = () => {
+                    delete this.scriptPromises[src];
+                    script.remove();
+                    reject(new Error(`Failed to load ${src}`));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return this.scriptPromises[src];
+    }
+    
     async loadDirectVideo(url) {
         // Reset video element for fresh load
         this.video.pause();
@@ -564,12 +1037,24 @@ class StreamFlowPlayer {
         }, 5000);
     }
     
-    loadHLS(url) {
+    async loadHLS(url) {
         // Check if native HLS is supported (Safari)
         if (this.video.canPlayType('application/vnd.apple.mpegurl')) {
             this.video.src = url;
             this.video.load();
-        } else if (typeof Hls !== 'undefined') {
+            return;
+        }
+
+        try {
+            await this.loadScript(`${window.location.origin}/vendor/hls.min.js`);
+        } catch (error) {
+            console.error('hls.js load error:', error);
+        }
+        
+        // Another video was loaded while the engine was downloading
+        if (this.currentUrl !== url) return;
+
+        if (typeof Hls !== 'undefined' && Hls.isSupported()) {
             // Use hls.js for other browsers
             const hls = new Hls({
                 maxBufferLength: 60,
@@ -577,10 +1062,20 @@ class StreamFlowPlayer {
                 maxBufferSize: 60 * 1000 * 1000, // 60MB
                 maxBufferHole: 0.5,
             });
+            this.hls = hls;
             hls.loadSource(url);
             hls.attachMedia(this.video);
             hls.on(Hls.Events.MANIFEST_PARSED, () => {
                 this.hideLoading();
+                this.updateQualityLevels();
+                this.loadHlsThumbnails(url);
+            });
+            hls.on(Hls.Events.LEVEL_SWITCHED, (event, data) => {
+                this.onQualityRendered(data.level);
+            });
+            // hls.js flags a level as live when its playlist has no #EXT-X-ENDLIST
+            hls.on(Hls.Events.LEVEL_LOADED, (event, data) => {
+                this.setLiveMode(data.details.live);
             });
             hls.on(Hls.Events.ERROR, (event, data) => {
                 if (data.fatal) {
@@ -588,13 +1083,31 @@ class StreamFlowPlayer {
                 }
             });
         } else {
-            this.showError('HLS playback not supported. Please use Safari or add hls.js library.');
+            this.showError('HLS playback not supported in this browser.');
         }
     }
     
-    loadDASH(url) {
+    async loadDASH(url) {
+        try {
+            await this.loadScript(`${window.location.origin}/vendor/dash.all.min.js`);
+        } catch (error) {
+            console.error('dash.js load error:', error);
+        }
+        
+        // Another video was loaded while the engine was downloading
+        if (this.currentUrl !== url) return;
+
         if (typeof dashjs !== 'undefined') {
             const player = dashjs.MediaPlayer().create();
+            this.dashPlayer = player;
+            player.on(dashjs.MediaPlayer.events.STREAM_INITIALIZED, () => {
+                this.updateQualityLevels();
+                // type="dynamic" MPDs are live
+                this.setLiveMode(player.isDynamic());
+            });
+            player.on(dashjs.MediaPlayer.events.QUALITY_CHANGE_RENDERED, (e) => {
+                if (e.mediaType === 'video') this.onQualityRendered(e.newQuality);
+            });
             player.initialize(this.video, url, false);
             player.updateSettings({
                 streaming: {
@@ -606,8 +1119,165 @@ class StreamFlowPlayer {
                 }
             });
         } else {
-            this.showError('DASH playback requires dash.js library.');
+            this.showError('DASH playback engine could not be loaded.');
+        }
+    }
+    
+    destroyStreamingEngines() {
+        if (this.hls) {
+            this.hls.destroy();
+            this.hls = null;
+        }
+        if (this.dashPlayer) {
+            this.dashPlayer.reset();
+            this.dashPlayer = null;
+        }
+        this.resetQuality();
+    }
+    
+    // Quality / rendition selection for adaptive streams
+    getQualityLevels() {
+        if (this.hls) {
+            return this.hls.levels.map((level, index) => ({
+                index: index,
+                width: level.width,
+                height: level.height,
+                bitrate: level.bitrate,
+                codec: [level.videoCodec, level.audioCodec].filter(Boolean).join(', ')
+            }));
+        }
+        
+        if (this.dashPlayer) {
+            // dash.js reports codecs per track as 'video/mp4;codecs="avc1.64001f"'
+            const track = this.dashPlayer.getCurrentTrackFor('video');
+            const codecMatch = track && track.codec ? track.codec.match(/codecs="?([^"]+)"?/) : null;
+            return this.dashPlayer.getBitrateInfoListFor('video').map(info => ({
+                index: info.qualityIndex,
+                width: info.width,
+                height: info.height,
+                bitrate: info.bitrate,
+                codec: codecMatch ? codecMatch[1] : ''
+            }));
+        }
+        
+        return [];
+    }
+    
+    updateQualityLevels() {
+        this.qualityLevels = this.getQualityLevels();
+        
+        if (this.qualityContainer) {
+            this.qualityContainer.style.display = this.qualityLevels.length > 1 ? '' : 'none';
+        }
+        
+        this.renderQualityMenu();
+        console.log(`🎚️ ${this.qualityLevels.length} quality levels available`);
+    }
+    
+    renderQualityMenu() {
+        if (!this.qualityLevelsEl) return;
+        
+        // Highest quality first, Auto on top
+        const levels = [...this.qualityLevels].sort((a, b) => (b.height - a.height) || (b.bitrate - a.bitrate));
+        const autoDetails = this.selectedQuality === -1 && this.playingQuality >= 0
+            ? this.formatQualityLabel(this.qualityLevels[this.playingQuality])
+            : 'Adaptive bitrate';
+        
+        // Codecs and sizes come from the manifest, so they are set as text rather than markup
+        const addOption = (index, label, details, isSelected, isPlaying) => {
+            const option = document.createElement('button');
+            option.className = `quality-option ${isSelected ? 'active' : ''} ${isPlaying ? 'playing' : ''}`;
+            option.dataset.quality = index;
+            option.innerHTML = '<span class="quality-label"></span><span class="quality-details"></span>';
+            option.firstChild.textContent = label;
+            option.lastChild.textContent = details;
+            
+            option.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.setQuality(index);
+            });
+            this.qualityLevelsEl.appendChild(option);
+        };
+        
+        this.qualityLevelsEl.innerHTML = '';
+        addOption(-1, 'Auto', autoDetails, this.selectedQuality === -1, false);
+        levels.forEach(level => {
+            const details = `${this.formatBitrate(level.bitrate)}${level.codec ? ` · ${level.codec}` : ''}`;
+            addOption(level.index, this.formatQualityLabel(level), details,
+                level.index === this.selectedQuality, level.index === this.playingQuality);
+        });
+    }
+    
+    setQuality(index) {
+        if (this.hls) {
+            // -1 re-enables hls.js ABR
+            this.hls.currentLevel = index;
+        } else if (this.dashPlayer) {
+            this.dashPlayer.updateSettings({
+                streaming: {
+                    abr: {
+                        autoSwitchBitrate: { video: index === -1 }
+                    }
+                }
+            });
+            if (index !== -1) {
+                this.dashPlayer.setQualityFor('video', index, true);
+            }
+        } else {
+            return;
+        }
+        
+        this.selectedQuality = index;
+        this.renderQualityMenu();
+        this.updateQualityStat();
+        this.qualityMenu.classList.remove('active');
+        
+        const level = this.qualityLevels.find(l => l.index === index);
+        this.showNotification(`Quality: ${level ? this.formatQualityLabel(level) : 'Auto'}`);
+    }
+    
+    onQualityRendered(index) {
+        this.playingQuality = index;
+        this.renderQualityMenu();
+        this.updateQualityStat();
+    }
+    
+    updateQualityStat() {
+        if (!this.qualityStat) return;
+        
+        const level = this.qualityLevels.find(l => l.index === this.playingQuality);
+        if (!level) {
+            this.qualityStat.style.display = 'none';
+            return;
+        }
+        
+        const label = this.formatQualityLabel(level);
+        this.qualityStat.style.display = '';
+        this.qualityValue.textContent = this.selectedQuality === -1 ? `${label} (Auto)` : label;
+        this.qualityValue.title = `${this.formatBitrate(level.bitrate)}${level.codec ? ` · ${level.codec}` : ''}`;
+    }
+    
+    resetQuality() {
+        this.qualityLevels = [];
+        this.selectedQuality = -1;
+        this.playingQuality = -1;
+        if (this.qualityContainer) this.qualityContainer.style.display = 'none';
+        if (this.qualityLevelsEl) this.qualityLevelsEl.innerHTML = '';
+        if (this.qualityStat) this.qualityStat.style.display = 'none';
+    }
+    
+    formatQualityLabel(level) {
+        if (!level) return 'Auto';
+        if (level.height) return `${level.height}p`;
+        return this.formatBitrate(level.bitrate);
+    }
+    
+    formatBitrate(bitsPerSecond) {
+        if (!bitsPerSecond) return 'Unknown bitrate';
+        if (bitsPerSecond >= 1000000) {
+            return `${(bitsPerSecond / 1000000).toFixed(1)} Mbps`;
         }
+        return `${Math.round(bitsPerSecond / 1000)} kbps`;
     }
     
     togglePlay() {
@@ -621,7 +1291,7 @@ class StreamFlowPlayer {
     }
     
     skip(seconds) {
-        const newTime = this.video.currentTime + seconds;
+        const newTime = this.getCurrentTime() + seconds;
         this.seekToTime(newTime);
         
         // Show seek indicator
@@ -644,14 +1314,61 @@ class StreamFlowPlayer {
     }
     
     seek(e) {
+        this.seekToTime(this.getTimeAtPosition(e).time);
+    }
+    
+    // Map a mouse position on the progress bar to a time within the seekable window
+    getTimeAtPosition(e) {
         const rect = this.progressContainer.getBoundingClientRect();
         const pos = (e.clientX - rect.left) / rect.width;
         const clampedPos = Math.max(0, Math.min(1, pos));
-        this.seekToTime(clampedPos * this.video.duration);
+        const seekWindow = this.getSeekWindow();
+        return {
+            position: clampedPos,
+            time: seekWindow.start + clampedPos * (seekWindow.end - seekWindow.start)
+        };
+    }
+    
+    // VOD seeks over [0, duration]; live streams over the DVR window the stream exposes
+    getSeekWindow() {
+        const seekable = this.video.seekable;
+        if (this.isLive && seekable && seekable.length > 0) {
+            return {
+                start: seekable.start(0),
+                end: seekable.end(seekable.length - 1)
+            };
+        }
+        return { start: 0, end: this.getDuration() };
+    }
+    
+    // Timeline helpers - a transcoded stream restarts at each seek, so the element's
+    // own clock is relative to this.transcode.startTime
+    getTimeOffset() {
+        return this.transcode ? this.transcode.startTime : 0;
+    }
+    
+    getCurrentTime() {
+        return this.video.currentTime + this.getTimeOffset();
+    }
+    
+    getDuration() {
+        return this.transcode ? this.transcode.duration : this.video.duration;
+    }
+    
+    getBufferedRanges() {
+        const offset = this.getTimeOffset();
+        const ranges = [];
+        for (let i = 0; i < this.video.buffered.length; i++) {
+            ranges.push({
+                start: this.video.buffered.start(i) + offset,
+                end: this.video.buffered.end(i) + offset
+            });
+        }
+        return ranges;
     }
     
     seekToTime(targetTime) {
-        if (!this.video.duration) return;
+        if (!this.getDuration()) return;
         
         // Check if target is within buffered range
         const isBuffered = this.isTimeBuffered(targetTime);
@@ -675,31 +1392,73 @@ class StreamFlowPlayer {
             }
         }
         
-        this.video.currentTime = Math.max(0, Math.min(targetTime, this.video.duration));
+        const seekWindow = this.getSeekWindow();
+        const clampedTime = Math.max(seekWindow.start, Math.min(targetTime, seekWindow.end));
+        
+        // Transcoded output can't be range-requested - restart ffmpeg at the new offset
+        if (this.transcode && !isBuffered) {
+            this.startTranscode(clampedTime);
+            return;
+        }
+        
+        this.video.currentTime = clampedTime - this.getTimeOffset();
     }
     
     isTimeBuffered(time) {
-        for (let i = 0; i < this.video.buffered.length; i++) {
-            if (time >= this.video.buffered.start(i) && time <= this.video.buffered.end(i)) {
-                return true;
-            }
-        }
-        return false;
+        return this.getBufferedRanges().some(range => time >= range.start && time <= range.end);
     }
     
-    // Seek to a specific percentage (0-100)
+    // Seek to a specific percentage (0-100) of the video, or of the DVR window when live
     seekToPercent(percent) {
-        if (!this.video.duration) return;
-        const targetTime = (percent / 100) * this.video.duration;
+        if (!this.getDuration()) return;
+        const seekWindow = this.getSeekWindow();
+        const targetTime = seekWindow.start + (percent / 100) * (seekWindow.end - seekWindow.start);
         this.seekToTime(targetTime);
     }
     
+    // Live stream support
+    setLiveMode(isLive) {
+        if (this.isLive === isLive) return;
+        this.isLive = isLive;
+        
+        this.playerContainer.classList.toggle('live', isLive);
+        this.timeDisplay.classList.toggle('live', isLive);
+        if (this.liveBtn) {
+            this.liveBtn.style.display = isLive ? '' : 'none';
+        }
+        
+        if (isLive) {
+            console.log('🔴 Live stream detected');
+        }
+        this.updateProgress();
+    }
+    
+    getLiveEdge() {
+        // hls.js knows the target latency; otherwise use the end of the seekable window
+        if (this.hls && this.hls.liveSyncPosition) {
+            return this.hls.liveSyncPosition;
+        }
+        return this.getSeekWindow().end;
+    }
+    
+    isAtLiveEdge() {
+        return this.getLiveEdge() - this.getCurrentTime() <= this.liveEdgeTolerance;
+    }
+    
+    jumpToLive() {
+        if (!this.isLive) return;
+        this.seekToTime(this.getLiveEdge());
+        if (this.video.paused) {
+            this.togglePlay();
+        }
+    }
+    
     // Time input methods
     showTimeInput() {
         this.timeDisplay.style.display = 'none';
         this.timeInputWrapper.style.display = 'flex';
         this.timeInput.value = '';
-        this.timeInput.placeholder = this.formatTime(this.video.currentTime);
+        this.timeInput.placeholder = this.formatTime(this.getCurrentTime());
         this.timeInput.focus();
     }
     
@@ -716,7 +1475,7 @@ class StreamFlowPlayer {
         }
         
         const seconds = this.parseTimeInput(input);
-        if (seconds !== null && seconds >= 0 && seconds <= this.video.duration) {
+        if (seconds !== null && seconds >= 0 && seconds <= this.getDuration()) {
             this.seekToTime(seconds);
             this.hideTimeInput();
         } else {
@@ -767,57 +1526,428 @@ class StreamFlowPlayer {
     }
     
     updateTooltip(e) {
-        const rect = this.progressContainer.getBoundingClientRect();
-        const pos = (e.clientX - rect.left) / rect.width;
-        const clampedPos = Math.max(0, Math.min(1, pos));
-        const time = clampedPos * this.video.duration;
+        const { position, time } = this.getTimeAtPosition(e);
+        
+        // Live: show how far behind the live edge this point is
+        this.progressTooltipTime.textContent = this.isLive
+            ? `-${this.formatTime(this.getSeekWindow().end - time)}`
+            : this.formatTime(time);
+        
+        const chapter = this.chapters[this.getChapterIndexAt(time)];
+        this.progressTooltipChapter.textContent = chapter ? chapter.title : '';
+        
+        if (this.dashPlayer) {
+            // dash.js resolves image AdaptationSets itself, possibly asynchronously
+            this.previewTime = time;
+            this.dashPlayer.provideThumbnail(time, (thumbnail) => {
+                if (this.previewTime === time) this.showPreview(thumbnail);
+            });
+        } else {
+            this.showPreview(this.getThumbnailAt(time));
+        }
         
-        this.progressTooltip.textContent = this.formatTime(time);
-        this.progressTooltip.style.left = `${clampedPos * 100}%`;
+        // Keep the tooltip (and its preview) from spilling off either end of the bar
+        const barWidth = this.progressContainer.clientWidth;
+        const halfWidth = this.progressTooltip.offsetWidth / 2;
+        const left = Math.max(halfWidth, Math.min(barWidth - halfWidth, position * barWidth));
+        this.progressTooltip.style.left = `${left}px`;
     }
     
-    updateProgress() {
-        if (!this.video.duration) return;
-        
-        const progress = (this.video.currentTime / this.video.duration) * 100;
-        this.progressPlayed.style.width = `${progress}%`;
-        this.progressThumb.style.left = `${progress}%`;
-        this.currentTimeEl.textContent = this.formatTime(this.video.currentTime);
+    // Seek-bar thumbnails
+    getThumbnailAt(time) {
+        if (!this.thumbnails) return null;
+        return this.thumbnails.find(cue => time >= cue.start && time < cue.end) || null;
     }
     
-    updateBuffer() {
-        if (!this.video.duration || this.video.buffered.length === 0) return;
+    showPreview(thumbnail) {
+        if (!thumbnail || !thumbnail.url) {
+            this.progressTooltip.classList.remove('has-preview');
+            return;
+        }
         
-        const duration = this.video.duration;
-        const currentTime = this.video.currentTime;
-        const now = Date.now();
+        // Large tiles (HLS/DASH image tracks) are scaled down to the preview size
+        const scale = Math.min(1, this.previewMaxWidth / thumbnail.width);
+        this.progressPreview.style.width = `${Math.round(thumbnail.width * scale)}px`;
+        this.progressPreview.style.height = `${Math.round(thumbnail.height * scale)}px`;
         
-        // Track max watched position for history buffer calculation
-        if (currentTime > this.maxWatchedPosition) {
-            this.maxWatchedPosition = currentTime;
-        }
+        const image = this.progressPreviewImage;
+        image.style.width = `${thumbnail.width}px`;
+        image.style.height = `${thumbnail.height}px`;
+        image.style.backgroundImage = `url("${thumbnail.url}")`;
+        image.style.backgroundPosition = `-${thumbnail.x}px -${thumbnail.y}px`;
+        image.style.transform = `scale(${scale})`;
+        this.progressTooltip.classList.add('has-preview');
+    }
+    
+    resetThumbnails() {
+        clearTimeout(this.thumbnailPollTimeout);
+        this.thumbnailPollTimeout = null;
+        this.thumbnailsRequested = false;
+        this.thumbnails = null;
+        this.progressTooltip.classList.remove('has-preview');
+    }
+    
+    // Have the server render a sprite sheet, unless the stream ships its own thumbnails
+    requestServerThumbnails() {
+        if (this.thumbnailsRequested || this.thumbnails || this.hls || this.dashPlayer || this.isLive) return;
+        if (!this.videoAnalysis || !(this.videoAnalysis.duration > 0)) return;
         
-        // Collect all buffer ranges
-        this.bufferRanges = [];
-        for (let i = 0; i < this.video.buffered.length; i++) {
-            this.bufferRanges.push({
-                start: this.video.buffered.start(i),
-                end: this.video.buffered.end(i)
-            });
-        }
+        this.thumbnailsRequested = true;
+        this.pollServerThumbnails();
+    }
+    
+    async pollServerThumbnails() {
+        const url = this.currentUrl;
+        const statusUrl = this.withAccessGrant(`${window.location.origin}/thumbnails?url=${encodeURIComponent(this.originalUrl)}`);
         
-        // Find buffer range containing current time
-        let currentBufferEnd = currentTime;
-        let currentBufferStart = currentTime;
-        for (const range of this.bufferRanges) {
-            if (currentTime >= range.start && currentTime <= range.end) {
-                currentBufferEnd = range.end;
-                currentBufferStart = range.start;
-                break;
+        try {
+            const response = await fetch(statusUrl);
+            const job = await response.json();
+            if (this.currentUrl !== url) return;
+            
+            if (job.status === 'ready') {
+                const indexUrl = this.withAccessGrant(`${window.location.origin}${job.vtt}`);
+                const index = await (await fetch(indexUrl)).text();
+                if (this.currentUrl !== url) return;
+                
+                this.thumbnails = this.parseThumbnailVtt(index, indexUrl);
+                console.log(`🖼️ Loaded ${this.thumbnails.length} thumbnails`);
+            } else if (job.status === 'error' || !response.ok) {
+                console.log('ℹ️ Thumbnails unavailable:', job.error);
+            } else {
+                // Still generating in the background - check again shortly
+                this.thumbnailPollTimeout = setTimeout(() => this.pollServerThumbnails(), 2000);
             }
+        } catch (error) {
+            console.log('ℹ️ Thumbnails unavailable');
         }
-        
-        // Calculate buffer ahead (from current position)
+    }
+    
+    // "01:02:03.456" or "02:03.456" -> seconds
+    parseVttTimestamp(timestamp) {
+        return timestamp.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+    }
+    
+    // WebVTT thumbnail index: each cue's text is an image URL with a #xywh=x,y,w,h fragment
+    parseThumbnailVtt(vtt, baseUrl) {
+        const cues = [];
+        
+        vtt.replace(/\r/g, '').split(/\n\n+/).forEach(block => {
+            const lines = block.trim().split('\n');
+            const timingIndex = lines.findIndex(line => line.includes('-->'));
+            if (timingIndex === -1 || !lines[timingIndex + 1]) return;
+            
+            const [start, end] = lines[timingIndex].split('-->').map(part => this.parseVttTimestamp(part.trim().split(/\s+/)[0]));
+            const imageUrl = new URL(lines[timingIndex + 1].trim(), baseUrl);
+            const xywh = (imageUrl.hash.match(/xywh=(\d+),(\d+),(\d+),(\d+)/) || []).slice(1).map(Number);
+            if (xywh.length !== 4) return;
+            
+            imageUrl.hash = '';
+            cues.push({ start, end, url: this.withAccessGrant(imageUrl.href), x: xywh[0], y: xywh[1], width: xywh[2], height: xywh[3] });
+        });
+        
+        return cues;
+    }
+    
+    // HLS image streams (#EXT-X-IMAGE-STREAM-INF): playlists of tiled JPEGs
+    async loadHlsThumbnails(manifestUrl) {
+        try {
+            const master = await (await fetch(manifestUrl)).text();
+            const streamInf = master.split('\n').find(line => line.startsWith('#EXT-X-IMAGE-STREAM-INF:'));
+            if (!streamInf) return;
+            
+            const attributes = this.parseM3u8Attributes(streamInf);
+            if (!attributes.URI) return;
+            
+            const playlistUrl = new URL(attributes.URI, manifestUrl).href;
+            const playlist = await (await fetch(playlistUrl)).text();
+            if (this.currentUrl !== manifestUrl) return;
+            
+            const cues = this.parseHlsImagePlaylist(playlist, playlistUrl, attributes.RESOLUTION);
+            if (cues.length > 0) {
+                this.thumbnails = cues;
+                console.log(`🖼️ Loaded ${cues.length} thumbnails from the HLS image stream`);
+            }
+        } catch (error) {
+            console.log('ℹ️ Could not load HLS image stream');
+        }
+    }
+    
+    parseHlsImagePlaylist(playlist, playlistUrl, defaultResolution) {
+        const cues = [];
+        let time = 0;
+        let segmentDuration = 0;
+        let tiles = null;
+        
+        playlist.split('\n').map(line => line.trim()).forEach(line => {
+            if (line.startsWith('#EXTINF:')) {
+                segmentDuration = parseFloat(line.slice('#EXTINF:'.length)) || 0;
+            } else if (line.startsWith('#EXT-X-TILES:')) {
+                tiles = this.parseM3u8Attributes(line);
+            } else if (line && !line.startsWith('#')) {
+                // Without #EXT-X-TILES the whole image is one thumbnail
+                const resolution = (tiles && tiles.RESOLUTION) || defaultResolution;
+                const [columns, rows] = ((tiles && tiles.LAYOUT) || '1x1').split('x').map(Number);
+                const tileCount = columns * rows;
+                const tileDuration = (tiles && parseFloat(tiles.DURATION)) || segmentDuration / tileCount;
+                
+                if (resolution && tileDuration > 0) {
+                    const [width, height] = resolution.split('x').map(Number);
+                    const imageUrl = new URL(line, playlistUrl).href;
+                    
+                    for (let i = 0; i < tileCount && i * tileDuration < segmentDuration; i++) {
+                        cues.push({
+                            start: time + i * tileDuration,
+                            end: time + Math.min((i + 1) * tileDuration, segmentDuration),
+                            url: imageUrl,
+                            x: (i % columns) * width,
+                            y: Math.floor(i / columns) * height,
+                            width: width,
+                            height: height
+                        });
+                    }
+                }
+                
+                time += segmentDuration;
+                tiles = null;
+            }
+        });
+        
+        return cues;
+    }
+    
+    // Chapters
+    setChapters(chapters) {
+        const duration = this.getDuration();
+        const sorted = chapters
+            .filter(chapter => isFinite(chapter.start))
+            .sort((a, b) => a.start - b.start);
+        
+        // External files often only give start times - each chapter runs until the next one
+        this.chapters = sorted.map((chapter, i) => ({
+            start: chapter.start,
+            end: chapter.end > chapter.start ? chapter.end : (i + 1 < sorted.length ? sorted[i + 1].start : duration || Infinity),
+            title: chapter.title || `Chapter ${i + 1}`
+        }));
+        this.currentChapter = -1;
+        
+        this.renderChapterMarkers();
+        this.renderChapterMenu();
+        this.updateCurrentChapter();
+    }
+    
+    getChapterIndexAt(time) {
+        for (let i = this.chapters.length - 1; i >= 0; i--) {
+            if (time >= this.chapters[i].start) return i;
+        }
+        return -1;
+    }
+    
+    renderChapterMarkers() {
+        if (!this.progressChapters) return;
+        
+        const duration = this.getDuration();
+        if (this.isLive || !(duration > 0) || !isFinite(duration)) {
+            this.progressChapters.innerHTML = '';
+            return;
+        }
+        
+        this.progressChapters.innerHTML = this.chapters
+            .filter(chapter => chapter.start > 0 && chapter.start < duration)
+            .map(chapter => `<div class="chapter-marker" style="left: ${(chapter.start / duration) * 100}%"></div>`)
+            .join('');
+    }
+    
+    renderChapterMenu() {
+        if (!this.chapterList) return;
+        
+        if (this.chapters.length === 0) {
+            this.chapterList.innerHTML = '<div class="no-tracks">No chapters in this video</div>';
+            if (this.chapterBtn) this.chapterBtn.classList.remove('available');
+            return;
+        }
+        
+        // Titles come from arbitrary files, so they are set as text rather than markup
+        this.chapterList.innerHTML = '';
+        this.chapters.forEach((chapter, i) => {
+            const option = document.createElement('button');
+            option.className = 'chapter-option';
+            option.dataset.chapter = i;
+            option.innerHTML = `<span></span><span class="chapter-time">${this.formatTime(chapter.start)}</span>`;
+            option.firstChild.textContent = chapter.title;
+            
+            option.addEventListener('click', () => this.seekToChapter(i));
+            this.chapterList.appendChild(option);
+        });
+        if (this.chapterBtn) this.chapterBtn.classList.add('available');
+    }
+    
+    updateCurrentChapter() {
+        const index = this.getChapterIndexAt(this.getCurrentTime());
+        if (index === this.currentChapter) return;
+        
+        this.currentChapter = index;
+        this.chapterList.querySelectorAll('.chapter-option').forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.chapter) === index);
+        });
+    }
+    
+    seekToChapter(index) {
+        const chapter = this.chapters[index];
+        if (!chapter) return;
+        
+        this.seekToTime(chapter.start);
+        this.showNotification(`Chapter: ${chapter.title}`);
+    }
+    
+    previousChapter() {
+        if (this.chapters.length === 0) return;
+        
+        // Like a DVD remote: first back to the start of this chapter, then to the one before
+        const currentTime = this.getCurrentTime();
+        const index = this.getChapterIndexAt(currentTime);
+        const restartCurrent = index >= 0 && currentTime - this.chapters[index].start > 3;
+        this.seekToChapter(restartCurrent ? index : Math.max(0, index - 1));
+    }
+    
+    nextChapter() {
+        const index = this.getChapterIndexAt(this.getCurrentTime());
+        if (index + 1 < this.chapters.length) {
+            this.seekToChapter(index + 1);
+        }
+    }
+    
+    async loadChaptersFromUrl() {
+        const url = this.chapterUrlInput.value.trim();
+        if (!url) return;
+        
+        try {
+            // Reuse the subtitle proxy for CORS - chapter files are plain text too
+            const response = await fetch(`${window.location.origin}/subtitle/proxy?url=${encodeURIComponent(url)}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            
+            this.applyExternalChapters(await response.text());
+            this.chapterUrlInput.value = '';
+        } catch (error) {
+            console.error('Chapter load error:', error);
+            this.showNotification('Failed to load chapters');
+        }
+    }
+    
+    async loadChaptersFromFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        
+        try {
+            this.applyExternalChapters(await file.text());
+        } catch (error) {
+            console.error('Chapter file error:', error);
+            this.showNotification('Failed to load chapters file');
+        }
+        
+        // Reset input
+        event.target.value = '';
+    }
+    
+    applyExternalChapters(text) {
+        const chapters = this.parseChapters(text);
+        if (chapters.length === 0) {
+            throw new Error('No chapters found (expected WebVTT chapters or OGM CHAPTERxx= lines)');
+        }
+        
+        this.setChapters(chapters);
+        this.showNotification(`Loaded ${chapters.length} chapters`);
+    }
+    
+    // WebVTT chapters (cue text is the title) or OGM-style CHAPTER01=00:00:00.000 / CHAPTER01NAME=Title
+    parseChapters(text) {
+        const content = text.replace(/^\uFEFF/, '').replace(/\r/g, '');
+        
+        if (content.trim().startsWith('WEBVTT')) {
+            const chapters = [];
+            content.split(/\n\n+/).forEach(block => {
+                const lines = block.trim().split('\n');
+                const timingIndex = lines.findIndex(line => line.includes('-->'));
+                if (timingIndex === -1) return;
+                
+                const [start, end] = lines[timingIndex].split('-->').map(part => this.parseVttTimestamp(part.trim().split(/\s+/)[0]));
+                const title = lines.slice(timingIndex + 1).join(' ').trim();
+                chapters.push({ start, end, title });
+            });
+            return chapters;
+        }
+        
+        const ogmChapters = {};
+        content.split('\n').forEach(line => {
+            const match = line.trim().match(/^CHAPTER(\d+)(NAME)?=(.*)$/i);
+            if (!match) return;
+            
+            const chapter = ogmChapters[match[1]] || (ogmChapters[match[1]] = {});
+            if (match[2]) {
+                chapter.title = match[3].trim();
+            } else {
+                chapter.start = this.parseVttTimestamp(match[3].trim());
+            }
+        });
+        return Object.values(ogmChapters).filter(chapter => chapter.start !== undefined);
+    }
+    
+    parseM3u8Attributes(line) {
+        const attributes = {};
+        const attributeList = line.slice(line.indexOf(':') + 1);
+        attributeList.replace(/([A-Z0-9-]+)=("[^"]*"|[^,]*)/g, (match, name, value) => {
+            attributes[name] = value.replace(/^"|"$/g, '');
+        });
+        return attributes;
+    }
+    
+    updateProgress() {
+        if (!this.getDuration()) return;
+        
+        const seekWindow = this.getSeekWindow();
+        const windowLength = seekWindow.end - seekWindow.start;
+        if (!(windowLength > 0) || !isFinite(windowLength)) return;
+        
+        const currentTime = this.getCurrentTime();
+        const progress = Math.max(0, Math.min(100, ((currentTime - seekWindow.start) / windowLength) * 100));
+        this.progressPlayed.style.width = `${progress}%`;
+        this.progressThumb.style.left = `${progress}%`;
+        
+        if (this.isLive) {
+            const atEdge = this.isAtLiveEdge();
+            this.currentTimeEl.textContent = atEdge ? 'LIVE' : `-${this.formatTime(this.getLiveEdge() - currentTime)}`;
+            if (this.liveBtn) this.liveBtn.classList.toggle('behind', !atEdge);
+        } else {
+            this.currentTimeEl.textContent = this.formatTime(currentTime);
+        }
+    }
+    
+    updateBuffer() {
+        if (!this.getDuration() || this.video.buffered.length === 0) return;
+        
+        const currentTime = this.getCurrentTime();
+        const now = Date.now();
+        
+        // Track max watched position for history buffer calculation
+        if (currentTime > this.maxWatchedPosition) {
+            this.maxWatchedPosition = currentTime;
+        }
+        
+        // Collect all buffer ranges
+        this.bufferRanges = this.getBufferedRanges();
+        
+        // Find buffer range containing current time
+        let currentBufferEnd = currentTime;
+        let currentBufferStart = currentTime;
+        for (const range of this.bufferRanges) {
+            if (currentTime >= range.start && currentTime <= range.end) {
+                currentBufferEnd = range.end;
+                currentBufferStart = range.start;
+                break;
+            }
+        }
+        
+        // Calculate buffer ahead (from current position)
         const bufferAhead = currentBufferEnd - currentTime;
         
         // Calculate history buffer (from start of current buffer range)
@@ -830,8 +1960,11 @@ class StreamFlowPlayer {
         }
         
         // Update visual buffer bar - show the continuous buffer range around current position
-        const bufferStartPercent = (currentBufferStart / duration) * 100;
-        const bufferEndPercent = (currentBufferEnd / duration) * 100;
+        const seekWindow = this.getSeekWindow();
+        const windowLength = seekWindow.end - seekWindow.start;
+        const toPercent = (time) => Math.max(0, Math.min(100, ((time - seekWindow.start) / windowLength) * 100));
+        const bufferStartPercent = toPercent(currentBufferStart);
+        const bufferEndPercent = toPercent(currentBufferEnd);
         
         this.progressBuffer.style.left = `${bufferStartPercent}%`;
         this.progressBuffer.style.width = `${bufferEndPercent - bufferStartPercent}%`;
@@ -877,7 +2010,7 @@ class StreamFlowPlayer {
                 this.displayNetworkSpeed(avgSpeed);
             } else if (timeDelta > 2) {
                 // No recent buffering activity
-                const isFullyBuffered = totalBuffered >= this.video.duration - 1;
+                const isFullyBuffered = totalBuffered >= this.getDuration() - 1;
                 if (isFullyBuffered) {
                     this.networkSpeed.textContent = 'Complete';
                     this.networkSpeed.style.color = 'var(--accent-primary)';
@@ -907,16 +2040,17 @@ class StreamFlowPlayer {
     
     // Update speed status when not actively buffering
     updateSpeedStatus() {
-        if (!this.video.duration) return;
+        // Live streams never finish loading, so there is no percentage to show
+        if (!this.getDuration() || this.isLive) return;
         
         // Calculate total buffered
         let totalBuffered = 0;
-        for (let i = 0; i < this.video.buffered.length; i++) {
-            totalBuffered += this.video.buffered.end(i) - this.video.buffered.start(i);
+        for (const range of this.getBufferedRanges()) {
+            totalBuffered += range.end - range.start;
         }
         
-        const isFullyBuffered = totalBuffered >= this.video.duration - 1;
-        const bufferPercent = Math.round((totalBuffered / this.video.duration) * 100);
+        const isFullyBuffered = totalBuffered >= this.getDuration() - 1;
+        const bufferPercent = Math.round((totalBuffered / this.getDuration()) * 100);
         
         // Update based on current state
         if (isFullyBuffered) {
@@ -951,10 +2085,10 @@ class StreamFlowPlayer {
     }
     
     manageBuffer() {
-        if (!this.video.duration || !this.video.src) return;
+        if (!this.getDuration() || !this.video.src) return;
         
-        const currentTime = this.video.currentTime;
-        const duration = this.video.duration;
+        const currentTime = this.getCurrentTime();
+        const duration = this.getDuration();
         
         // Calculate required history buffer (10% of max watched position)
         const requiredHistoryBuffer = this.maxWatchedPosition * this.historyBufferRatio;
@@ -964,9 +2098,7 @@ class StreamFlowPlayer {
         let bufferBehind = 0;
         let totalBuffered = 0;
         
-        for (let i = 0; i < this.video.buffered.length; i++) {
-            const start = this.video.buffered.start(i);
-            const end = this.video.buffered.end(i);
+        for (const { start, end } of this.getBufferedRanges()) {
             totalBuffered += end - start;
             
             if (currentTime >= start && currentTime <= end) {
@@ -1148,8 +2280,8 @@ class StreamFlowPlayer {
     }
     
     handleKeyboard(e) {
-        // Don't handle if typing in input
-        if (e.target.tagName === 'INPUT') return;
+        // Don't handle if typing in a field or choosing from a select (arrows, space and letters are theirs)
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName) || e.target.isContentEditable) return;
         
         const key = e.key.toLowerCase();
         
@@ -1191,6 +2323,30 @@ class StreamFlowPlayer {
                 e.preventDefault();
                 this.setVolume(Math.max(0, this.video.volume - 0.1));
                 break;
+            case '[':
+                e.preventDefault();
+                this.previousChapter();
+                break;
+            case ']':
+                e.preventDefault();
+                this.nextChapter();
+                break;
+            case 'g':
+                e.preventDefault();
+                this.adjustSubtitleDelay(-0.1);
+                break;
+            case 'h':
+                e.preventDefault();
+                this.adjustSubtitleDelay(0.1);
+                break;
+            case 't':
+                e.preventDefault();
+                if (this.transcriptPanel) this.toggleTranscript();
+                break;
+            case 'n':
+                e.preventDefault();
+                this.playQueueItem(this.queueIndex + (e.shiftKey ? -1 : 1));
+                break;
             case '?':
                 e.preventDefault();
                 this.shortcutsModal.classList.toggle('active');
@@ -1230,6 +2386,12 @@ class StreamFlowPlayer {
         const error = this.video.error;
         let message = 'Unable to load video';
         
+        // The transcoded stream itself failed - nothing left to fall back to
+        if (this.transcode) {
+            this.showError('Server transcoding failed.\n\nCheck that ffmpeg is installed on the server.');
+            return;
+        }
+        
         if (error) {
             switch (error.code) {
                 case MediaError.MEDIA_ERR_ABORTED:
@@ -1240,6 +2402,10 @@ class StreamFlowPlayer {
                     break;
                 case MediaError.MEDIA_ERR_DECODE:
                     message = 'Video format not supported by browser';
+                    if (this.canTranscode()) {
+                        this.fallbackToTranscode(message);
+                        return;
+                    }
                     break;
                 case MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED:
                     // Try without crossorigin attribute if it was set
@@ -1267,6 +2433,12 @@ class StreamFlowPlayer {
                     } else {
                         message = 'Video cannot be played.\n\n• URL may be expired or invalid\n• Server may block external access\n• Format may not be supported';
                     }
+                    
+                    // The container may be the problem - let the server remux/transcode it
+                    if (this.canTranscode()) {
+                        this.fallbackToTranscode(message);
+                        return;
+                    }
                     break;
             }
         }
@@ -1280,12 +2452,28 @@ class StreamFlowPlayer {
     }
     
     showUrlSection() {
+        this.saveWatchProgress();
+        this.hideResumePrompt();
+        this.queueAutoplay = false;
+        this.historyEntry = null;
+        this.renderWatchHistory();
         this.urlSection.classList.remove('hidden');
         this.playerSection.classList.remove('active');
         
         // Stop buffer management
         this.stopBufferManagement();
         
+        // Release adaptive streaming engines
+        this.destroyStreamingEngines();
+        this.resetThumbnails();
+        this.setChapters([]);
+        this.setLiveMode(false);
+        this.transcode = null;
+        this.videoAnalysis = null;
+        this.analysisPromise = null;
+        this.destinationRefused = null;
+        this.populateEmbeddedSubtitles([]);
+        
         // Reset video
         this.video.pause();
         this.video.src = '';
@@ -1377,6 +2565,103 @@ class StreamFlowPlayer {
         }
     }
 
+    // Access control: ask the server whether it wants a sign-in. A signed share link lets
+    // its recipient watch that one video without one.
+    async checkAccess() {
+        try {
+            const response = await fetch(`${this.getProxyOrigin()}/auth/status`, { cache: 'no-store' });
+            const status = await response.json();
+            this.accessRequired = !!status.required;
+            if (this.logoutBtn) this.logoutBtn.hidden = status.via !== 'session';
+
+            if (status.required && !status.signedIn && !this.accessGrant) {
+                this.showLogin();
+            }
+        } catch (error) {
+            // No server to ask (e.g. the page was opened from disk) - nothing to sign in to
+        }
+    }
+
+    showLogin() {
+        if (!this.loginModal) return;
+        this.loginError.textContent = '';
+        this.loginModal.classList.add('active');
+        this.loginPassword.focus();
+    }
+
+    async submitLogin(event) {
+        event.preventDefault();
+        this.loginError.textContent = '';
+
+        try {
+            const response = await fetch(`${this.getProxyOrigin()}/auth/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ password: this.loginPassword.value })
+            });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+        } catch (error) {
+            this.loginError.textContent = error.message;
+            this.loginPassword.select();
+            return;
+        }
+
+        // Start over signed in (a /play link loads its video again)
+        window.location.reload();
+    }
+
+    async logout() {
+        try {
+            await fetch(`${this.getProxyOrigin()}/auth/logout`, { method: 'POST' });
+        } catch (error) {
+            this.showNotification('Failed to sign out');
+            return;
+        }
+        window.location.reload();
+    }
+
+    // The server behind /proxy and the other endpoints: this page's own origin, or the default
+    // local server when the page was opened from disk
+    getProxyOrigin() {
+        return window.location.protocol.startsWith('http') ? window.location.origin : 'http://localhost:4000';
+    }
+
+    // A link to one of this server's endpoints for targetUrl, carrying the share link grant
+    // when this page was opened through one for that video
+    withAccessGrant(serverUrl, targetUrl = this.originalUrl) {
+        const grant = this.accessGrant;
+        if (!grant || grant.url !== targetUrl) return serverUrl;
+
+        const params = new URLSearchParams({ expires: grant.expires, sig: grant.sig });
+        if (grant.scope) params.set('scope', grant.scope);
+        return `${serverUrl}${serverUrl.includes('?') ? '&' : '?'}${params}`;
+    }
+
+    // Share links get an expiring signature from the server when it requires a sign-in.
+    // Someone watching through a share link passes on the one they were given.
+    async signShareLink(link) {
+        if (!this.accessRequired) return link;
+
+        const granted = this.withAccessGrant(link);
+        if (granted !== link) return granted;
+
+        try {
+            const response = await fetch(`${this.getProxyOrigin()}/sign?url=${encodeURIComponent(this.originalUrl)}`);
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+            const params = new URLSearchParams({ expires: data.expires, sig: data.sig });
+            return `${link}&${params}`;
+        } catch (error) {
+            this.showNotification(`Link could not be signed: ${error.message}`);
+            return link;
+        }
+    }
+
     // Download functionality
     getDownloadUrl() {
         const filename = this.originalFilename || 'video.mp4';
@@ -1385,7 +2670,7 @@ class StreamFlowPlayer {
 
     downloadVideo() {
         const link = document.createElement('a');
-        link.href = this.getDownloadUrl();
+        link.href = this.withAccessGrant(this.getDownloadUrl());
         link.download = this.originalFilename || 'video.mp4';
         document.body.appendChild(link);
         link.click();
@@ -1393,6 +2678,17 @@ class StreamFlowPlayer {
         this.showNotification('Download started!');
     }
 
+    downloadFile(blob, filename) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        // Give the browser a moment to start the download before the blob goes away
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
     copyToClipboard(text, message) {
         navigator.clipboard.writeText(text).then(() => {
             this.showNotification(message);
@@ -1417,56 +2713,643 @@ class StreamFlowPlayer {
         }, 2000);
     }
 
-    // Audio track management
-    updateAudioTrackList() {
-        if (!this.video.audioTracks || this.video.audioTracks.length === 0) {
-            this.audioTracks.innerHTML = '<div class="no-tracks">No audio tracks detected</div>';
-            return;
+    // Watch history: one entry per video (see getWatchHistoryKey), newest first
+    loadWatchHistory() {
+        let saved = [];
+        try {
+            saved = JSON.parse(localStorage.getItem(WATCH_HISTORY_KEY)) || [];
+        } catch (e) {
+            // Storage blocked or a broken value - start with an empty history
         }
+        return Array.isArray(saved) ? saved.map(entry => this.cleanWatchEntry(entry)).filter(Boolean) : [];
+    }
 
-        const tracksHTML = [];
-        for (let i = 0; i < this.video.audioTracks.length; i++) {
-            const track = this.video.audioTracks[i];
-            const isActive = track.enabled;
-            const trackLabel = track.label || track.language || `Track ${i + 1}`;
-
-            tracksHTML.push(`
-                <button class="audio-track-option ${isActive ? 'active' : ''}" data-track="${i}">
-                    <span>${trackLabel}</span>
-                    ${isActive ? '<svg viewBox="0 0 24 24" fill="none"><path d="M20 6L9 17l-5-5" stroke="currentColor" stroke-width="2" stroke-linecap="round"/></svg>' : ''}
-                </button>
-            `);
+    storeWatchHistory(history) {
+        try {
+            localStorage.setItem(WATCH_HISTORY_KEY, JSON.stringify(history.slice(0, WATCH_HISTORY_LIMIT)));
+        } catch (e) {
+            // Private mode or storage full - the history just isn't kept
         }
+    }
 
-        this.audioTracks.innerHTML = tracksHTML.join('');
-
-        // Add click handlers
-        this.audioTracks.querySelectorAll('.audio-track-option').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const trackIndex = parseInt(e.currentTarget.dataset.track);
-                this.selectAudioTrack(trackIndex);
-            });
-        });
+    // Entries come from storage and imported files, so check every field
+    cleanWatchEntry(entry) {
+        if (!entry || typeof entry.url !== 'string' || !entry.url) return null;
+        const number = (value, fallback) => typeof value === 'number' && isFinite(value) ? value : fallback;
+        return {
+            url: entry.url,
+            proxy: !!entry.proxy,
+            title: typeof entry.title === 'string' && entry.title ? entry.title : this.parseFilenameFromUrl(entry.url),
+            position: Math.max(0, number(entry.position, 0)),
+            duration: Math.max(0, number(entry.duration, 0)),
+            live: !!entry.live,
+            audioTrack: Math.max(0, Math.floor(number(entry.audioTrack, 0))),
+            subtitle: this.cleanWatchSubtitle(entry.subtitle),
+            speed: number(entry.speed, 0) > 0 ? entry.speed : 1,
+            volume: Math.min(1, Math.max(0, number(entry.volume, 1))),
+            muted: !!entry.muted,
+            updatedAt: number(entry.updatedAt, 0)
+        };
     }
 
-    selectAudioTrack(trackIndex) {
-        if (!this.video.audioTracks || trackIndex >= this.video.audioTracks.length) {
-            return;
+    // An embedded stream index or an http(s) subtitle URL, as getWatchSubtitle saves them; anything
+    // else (an imported file can hold anything) is dropped before it reaches /subtitle/proxy
+    cleanWatchSubtitle(subtitle) {
+        if (!subtitle || typeof subtitle !== 'object') return null;
+        if (Number.isInteger(subtitle.embedded) && subtitle.embedded >= 0) {
+            return { embedded: subtitle.embedded };
         }
-
-        // Disable all tracks
-        for (let i = 0; i < this.video.audioTracks.length; i++) {
-            this.video.audioTracks[i].enabled = false;
+        if (typeof subtitle.url === 'string') {
+            try {
+                const parsed = new URL(subtitle.url);
+                if (parsed.protocol === 'http:' || parsed.protocol === 'https:') return { url: subtitle.url };
+            } catch (e) {
+                // Not a URL
+            }
         }
+        return null;
+    }
 
-        // Enable selected track
-        this.video.audioTracks[trackIndex].enabled = true;
-        this.currentAudioTrack = trackIndex;
+    // The same video however the link was written: no fragment, sorted query, no utm_* tracking
+    getWatchHistoryKey(url) {
+        try {
+            const parsed = new URL(url);
+            const params = [...parsed.searchParams]
+                .filter(([name]) => !name.toLowerCase().startsWith('utm_'))
+                .sort(([a], [b]) => a.localeCompare(b));
+            parsed.hash = '';
+            parsed.search = new URLSearchParams(params).toString();
+            return parsed.href;
+        } catch (e) {
+            return url;
+        }
+    }
 
-        // Update UI
-        this.updateAudioTrackList();
-        const trackLabel = this.video.audioTracks[trackIndex].label || 'Track ' + (trackIndex + 1);
-        this.showNotification(`Audio track: ${trackLabel}`);
+    getWatchHistoryEntry(url) {
+        const key = this.getWatchHistoryKey(url);
+        return this.loadWatchHistory().find(entry => this.getWatchHistoryKey(entry.url) === key) || null;
+    }
+
+    // Called on pause, on settings changes and every few seconds of playback
+    saveWatchProgress() {
+        if (!this.originalUrl || this.video.readyState === 0) return;
+        // Keep the saved position until the resume prompt is answered
+        if (this.resumePrompt && this.resumePrompt.classList.contains('active')) return;
+
+        const position = this.getCurrentTime();
+        const duration = this.getDuration();
+        this.historySavedAt = position;
+        this.historyEntry = {
+            url: this.originalUrl,
+            proxy: !!(this.useProxyCheckbox && this.useProxyCheckbox.checked),
+            title: this.originalFilename || this.parseFilenameFromUrl(this.originalUrl),
+            position: this.isLive ? 0 : position,
+            duration: this.isLive || !isFinite(duration) ? 0 : duration,
+            live: this.isLive,
+            audioTrack: this.currentAudioTrack,
+            subtitle: this.getWatchSubtitle(),
+            speed: this.video.playbackRate,
+            volume: this.video.volume,
+            muted: this.video.muted,
+            updatedAt: Date.now()
+        };
+
+        const key = this.getWatchHistoryKey(this.originalUrl);
+        const history = this.loadWatchHistory().filter(entry => this.getWatchHistoryKey(entry.url) !== key);
+        this.storeWatchHistory([this.historyEntry, ...history]);
+    }
+
+    // Embedded streams are remembered by index, loaded files by URL; uploads can't be reopened
+    getWatchSubtitle() {
+        const sub = this.getCurrentSubtitle();
+        if (!sub) return null;
+        if (sub.embedded) {
+            const params = new URL(sub.embedded).searchParams;
+            return params.get('url') === this.originalUrl ? { embedded: parseInt(params.get('index'), 10) } : null;
+        }
+        return sub.source && sub.source.type === 'url' ? { url: sub.source.url } : null;
+    }
+
+    // Speed and volume as they were left, then offer to pick up at the saved position
+    restoreWatchSettings(entry) {
+        if (!entry) return;
+        this.setPlaybackSpeed(entry.speed);
+        this.video.volume = entry.volume;
+        this.video.muted = entry.muted;
+
+        const duration = this.getDuration();
+        const finished = isFinite(duration) && duration > 0 && entry.position >= duration * RESUME_MAX_PROGRESS;
+        if (!this.isLive && !finished && entry.position >= RESUME_MIN_POSITION) {
+            this.offerResume(entry.position);
+        }
+    }
+
+    // Audio and subtitle streams are only known once the analysis is in
+    restoreWatchTracks(entry) {
+        if (!entry || this.getWatchHistoryKey(entry.url) !== this.getWatchHistoryKey(this.originalUrl)) return;
+        if (entry.audioTrack > 0) this.selectAudioTrack(entry.audioTrack);
+
+        // A track picked in the meantime wins
+        const subtitle = entry.subtitle;
+        if (!subtitle || this.currentSubtitle !== -1) return;
+        if (subtitle.embedded !== undefined) {
+            if (this.embeddedSubtitles[subtitle.embedded]) {
+                this.loadEmbeddedSubtitle(subtitle.embedded, this.embeddedSubtitles[subtitle.embedded]);
+            }
+        } else if (subtitle.url) {
+            this.loadSubtitleUrl(subtitle.url);
+        }
+    }
+
+    offerResume(position) {
+        if (!this.resumePrompt) return;
+        this.resumePosition = position;
+        this.resumeTime.textContent = this.formatTime(position);
+        this.resumePrompt.classList.add('active');
+    }
+
+    // Starting playback without answering means starting over - give it a few seconds, then drop the prompt
+    scheduleResumePromptHide() {
+        if (!this.resumePrompt || !this.resumePrompt.classList.contains('active') || this.resumePromptTimeout) return;
+        this.resumePromptTimeout = setTimeout(() => this.hideResumePrompt(), RESUME_PROMPT_DURATION);
+    }
+
+    hideResumePrompt() {
+        if (!this.resumePrompt) return;
+        clearTimeout(this.resumePromptTimeout);
+        this.resumePromptTimeout = null;
+        this.resumePrompt.classList.remove('active');
+    }
+
+    resumePlayback() {
+        this.hideResumePrompt();
+        this.seekToTime(this.resumePosition);
+        this.video.play().catch(e => {
+            console.error('Play error:', e);
+        });
+    }
+
+    getWatchProgress(entry) {
+        return entry.duration > 0 ? Math.min(1, entry.position / entry.duration) : 0;
+    }
+
+    describeWatchEntry(entry) {
+        let host = '';
+        try {
+            host = new URL(entry.url).hostname;
+        } catch (e) {
+            // Not a full URL - show the progress alone
+        }
+
+        let progress;
+        if (entry.live) {
+            progress = 'Live stream';
+        } else if (entry.duration > 0 && entry.position >= entry.duration * RESUME_MAX_PROGRESS) {
+            progress = 'Watched';
+        } else {
+            progress = `${this.formatTime(entry.position)} / ${this.formatTime(entry.duration)}`;
+        }
+        return host ? `${host} · ${progress}` : progress;
+    }
+
+    // "Recently watched" on the URL screen
+    renderWatchHistory() {
+        if (!this.historySection) return;
+
+        const history = this.loadWatchHistory();
+        this.historySection.classList.toggle('empty', history.length === 0);
+        this.historyList.innerHTML = '';
+
+        history.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'history-item';
+            item.title = entry.url;
+
+            const name = document.createElement('span');
+            name.className = 'history-name';
+            name.textContent = entry.title;
+
+            const meta = document.createElement('span');
+            meta.className = 'history-meta';
+            meta.textContent = this.describeWatchEntry(entry);
+
+            const remove = document.createElement('button');
+            remove.className = 'history-remove';
+            remove.title = 'Remove from history';
+            remove.textContent = '×';
+            remove.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.removeWatchHistoryEntry(entry.url);
+            });
+
+            const progress = document.createElement('div');
+            progress.className = 'history-progress';
+            const fill = document.createElement('span');
+            fill.style.width = `${this.getWatchProgress(entry) * 100}%`;
+            progress.appendChild(fill);
+
+            item.append(name, meta, remove, progress);
+            item.addEventListener('click', () => this.playFromHistory(entry));
+            this.historyList.appendChild(item);
+        });
+    }
+
+    playFromHistory(entry) {
+        this.urlInput.value = entry.url;
+        if (this.useProxyCheckbox) this.useProxyCheckbox.checked = entry.proxy;
+        this.loadVideo();
+    }
+
+    removeWatchHistoryEntry(url) {
+        const key = this.getWatchHistoryKey(url);
+        this.storeWatchHistory(this.loadWatchHistory().filter(entry => this.getWatchHistoryKey(entry.url) !== key));
+        this.renderWatchHistory();
+    }
+
+    clearWatchHistory() {
+        if (!confirm('Clear the whole watch history?')) return;
+        this.storeWatchHistory([]);
+        this.renderWatchHistory();
+        this.showNotification('Watch history cleared');
+    }
+
+    exportWatchHistory() {
+        const history = this.loadWatchHistory();
+        if (history.length === 0) {
+            this.showNotification('Watch history is empty');
+            return;
+        }
+
+        const data = { version: 1, exportedAt: new Date().toISOString(), history: history };
+        this.downloadFile(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), 'streamflow-history.json');
+        this.showNotification(`Exported ${history.length} videos`);
+    }
+
+    // Merged into the current history; when both have a video, the more recently watched entry is kept
+    async importWatchHistory(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        try {
+            const data = JSON.parse(await file.text());
+            const imported = Array.isArray(data) ? data : data && data.history;
+            if (!Array.isArray(imported)) throw new Error('Not a watch history file');
+
+            const entries = imported.map(entry => this.cleanWatchEntry(entry)).filter(Boolean);
+            const merged = new Map();
+            [...this.loadWatchHistory(), ...entries].forEach(entry => {
+                const key = this.getWatchHistoryKey(entry.url);
+                const existing = merged.get(key);
+                if (!existing || entry.updatedAt > existing.updatedAt) merged.set(key, entry);
+            });
+
+            this.storeWatchHistory([...merged.values()].sort((a, b) => b.updatedAt - a.updatedAt));
+            this.renderWatchHistory();
+            this.showNotification(`Imported ${entries.length} videos`);
+        } catch (error) {
+            console.error('History import error:', error);
+            this.showNotification('Failed to import watch history');
+        }
+
+        // Reset input
+        event.target.value = '';
+    }
+
+    // Queue: videos played one after another, from pasted URLs, playlists or a /play?list= link
+    parsePlaylistText(text) {
+        try {
+            return PlaylistFormats.parse(text);
+        } catch (error) {
+            return []; // an HLS stream playlist - one video, not a queue
+        }
+    }
+
+    // Replace the queue and start on items[index]
+    startQueue(items, index = 0, autoplay = true) {
+        this.queue = items.map(item => ({ url: item.url, title: item.title || null }));
+        this.queueIndex = -1;
+        this.renderQueue();
+        this.playQueueItem(index, autoplay);
+        if (this.queue.length > 1) {
+            this.showNotification(`Queued ${this.queue.length} videos`);
+        }
+    }
+
+    addToQueue(items) {
+        this.queue.push(...items.map(item => ({ url: item.url, title: item.title || null })));
+        this.renderQueue();
+        this.showNotification(`Added ${items.length} ${items.length === 1 ? 'video' : 'videos'} to the queue`);
+    }
+
+    playQueueItem(index, autoplay = true) {
+        const item = this.queue[index];
+        if (!item) return;
+
+        this.queueIndex = index;
+        this.queueAutoplay = autoplay;
+        this.urlInput.value = item.url;
+        this.loadVideo();
+    }
+
+    removeQueueItem(index) {
+        const current = this.queue[this.queueIndex];
+        this.queue.splice(index, 1);
+        this.queueIndex = this.queue.indexOf(current);
+        this.renderQueue();
+    }
+
+    moveQueueItem(from, to) {
+        if (from === null || from === to || !this.queue[from]) return;
+
+        const current = this.queue[this.queueIndex];
+        const [item] = this.queue.splice(from, 1);
+        this.queue.splice(to, 0, item);
+        this.queueIndex = this.queue.indexOf(current);
+        this.renderQueue();
+    }
+
+    clearQueue() {
+        this.queue = [];
+        this.queueIndex = -1;
+        this.renderQueue();
+    }
+
+    toggleQueue() {
+        const isOpen = this.queuePanel.classList.toggle('active');
+        if (this.queueBtn) this.queueBtn.classList.toggle('active', isOpen);
+        this.layoutAssStage();
+        this.layoutBitmapSubtitle();
+    }
+
+    renderQueue() {
+        if (!this.queuePanel) return;
+
+        this.playerContainer.classList.toggle('has-queue', this.queue.length > 0);
+        this.prevVideoBtn.disabled = !this.queue[this.queueIndex - 1];
+        this.nextVideoBtn.disabled = !this.queue[this.queueIndex + 1];
+        this.queueCount.textContent = this.queueIndex !== -1 ? `${this.queueIndex + 1}/${this.queue.length}` :
+            this.queue.length > 0 ? `${this.queue.length}` : '';
+
+        if (this.queue.length === 0) {
+            this.queueList.innerHTML = '<div class="no-tracks">Add video URLs below or import a playlist</div>';
+            return;
+        }
+
+        this.queueList.innerHTML = '';
+        this.queue.forEach((item, index) => {
+            const row = document.createElement('div');
+            row.className = 'queue-item' + (index === this.queueIndex ? ' active' : '');
+            row.draggable = true;
+            row.title = item.url;
+
+            const number = document.createElement('span');
+            number.className = 'queue-number';
+            number.textContent = index + 1;
+
+            const name = document.createElement('span');
+            name.className = 'queue-name';
+            name.textContent = item.title || this.parseFilenameFromUrl(item.url);
+
+            const remove = document.createElement('button');
+            remove.className = 'queue-remove';
+            remove.title = 'Remove from queue';
+            remove.textContent = '×';
+            remove.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.removeQueueItem(index);
+            });
+
+            row.append(number, name, remove);
+            row.addEventListener('click', () => this.playQueueItem(index));
+
+            // Drag to reorder: the dragged row is dropped in place of the one under the pointer
+            row.addEventListener('dragstart', (e) => {
+                this.queueDragIndex = index;
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', item.url); // Firefox only starts a drag with data
+                row.classList.add('dragging');
+            });
+            row.addEventListener('dragend', () => {
+                this.queueDragIndex = null;
+                row.classList.remove('dragging');
+            });
+            row.addEventListener('dragover', (e) => {
+                if (this.queueDragIndex === null) return;
+                e.preventDefault();
+                row.classList.add('drop-target');
+            });
+            row.addEventListener('dragleave', () => row.classList.remove('drop-target'));
+            row.addEventListener('drop', (e) => {
+                e.preventDefault();
+                row.classList.remove('drop-target');
+                this.moveQueueItem(this.queueDragIndex, index);
+            });
+
+            this.queueList.appendChild(row);
+        });
+    }
+
+    // Pasting several URLs (one per line) into the URL box queues them all
+    pasteQueue(e) {
+        const text = e.clipboardData && e.clipboardData.getData('text');
+        if (!text) return;
+
+        const items = this.parsePlaylistText(text);
+        if (items.length > 1) {
+            e.preventDefault();
+            this.startQueue(items);
+        }
+    }
+
+    // URLs, playlist text, or the URL of a hosted playlist (fetched by the server)
+    async addQueueFromInput() {
+        const text = this.queueInput.value.trim();
+        if (!text) return;
+
+        let items = this.parsePlaylistText(text);
+        if (items.length === 1 && PlaylistFormats.isPlaylistUrl(items[0].url)) {
+            try {
+                items = await this.fetchPlaylist(items[0].url);
+            } catch (error) {
+                console.error('Playlist load error:', error);
+                this.showNotification(`Failed to load playlist: ${error.message}`);
+                return;
+            }
+        }
+
+        if (items.length === 0) {
+            this.showNotification('No video URLs found');
+            return;
+        }
+        this.addToQueue(items);
+        this.queueInput.value = '';
+    }
+
+    async fetchPlaylist(playlistUrl) {
+        const response = await fetch(`${window.location.origin}/playlist?url=${encodeURIComponent(playlistUrl)}`);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        return data.items;
+    }
+
+    // From the URL screen the playlist replaces the queue and starts; in the player it's appended
+    async importPlaylistFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        try {
+            const { text } = SubtitleFormats.decodeText(new Uint8Array(await file.arrayBuffer()));
+            const items = PlaylistFormats.parse(text);
+            if (items.length === 0) {
+                throw new Error('no http(s) URLs in the playlist');
+            }
+
+            if (this.playerSection.classList.contains('active')) {
+                this.addToQueue(items);
+            } else {
+                this.startQueue(items);
+            }
+        } catch (error) {
+            console.error('Playlist import error:', error);
+            this.showNotification(`Failed to import ${file.name}: ${error.message}`);
+        }
+
+        // Reset input
+        event.target.value = '';
+    }
+
+    copyQueueLink() {
+        if (this.queue.length === 0) {
+            this.showNotification('The queue is empty');
+            return;
+        }
+
+        const params = new URLSearchParams({ list: PlaylistFormats.stringify(this.queue) });
+        const current = this.queue[this.queueIndex];
+        if (current) params.set('url', encodeURIComponent(current.url)); // read back like loadVideo() writes it
+        this.copyToClipboard(`${window.location.origin}/play?${params}`, 'Queue link copied!');
+    }
+
+    // Audio track management
+    // Chrome and Firefox don't expose video.audioTracks, and a transcoded stream only carries
+    // one track, so fall back to the ffprobe analysis whenever it knows about more tracks
+    useAnalysisAudioTracks() {
+        const analysisTracks = this.videoAnalysis ? this.videoAnalysis.audioTracks : [];
+        if (analysisTracks.length === 0 || this.hls || this.dashPlayer) return false;
+        
+        const nativeCount = this.video.audioTracks ? this.video.audioTracks.length : 0;
+        return !!this.transcode || nativeCount < analysisTracks.length;
+    }
+    
+    updateAudioTrackList() {
+        if (this.useAnalysisAudioTracks()) {
+            this.renderAnalysisAudioTracks();
+            return;
+        }
+        
+        if (!this.video.audioTracks || this.video.audioTracks.length === 0) {
+            this.audioTracks.innerHTML = '<div class="no-tracks">No audio tracks detected</div>';
+            return;
+        }
+
+        const tracksHTML = [];
+        for (let i = 0; i < this.video.audioTracks.length; i++) {
+            const track = this.video.audioTracks[i];
+            const isActive = track.enabled;
+            const trackLabel = track.label || track.language || `Track ${i + 1}`;
+
+            tracksHTML.push(`
+                <button class="audio-track-option ${isActive ? 'active' : ''}" data-track="${i}">
+                    <span>${trackLabel}</span>
+                    ${isActive ? '<svg viewBox="0 0 24 24" fill="none"><path d="M20 6L9 17l-5-5" stroke="currentColor" stroke-width="2" stroke-linecap="round"/></svg>' : ''}
+                </button>
+            `);
+        }
+
+        this.audioTracks.innerHTML = tracksHTML.join('');
+
+        // Add click handlers
+        this.audioTracks.querySelectorAll('.audio-track-option').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const trackIndex = parseInt(e.currentTarget.dataset.track);
+                this.selectAudioTrack(trackIndex);
+            });
+        });
+    }
+
+    renderAnalysisAudioTracks() {
+        const checkIcon = '<svg viewBox="0 0 24 24" fill="none"><path d="M20 6L9 17l-5-5" stroke="currentColor" stroke-width="2" stroke-linecap="round"/></svg>';
+        
+        // Titles, languages and codecs come from the file's own metadata, so they are set as
+        // text rather than markup
+        this.audioTracks.innerHTML = '';
+        this.videoAnalysis.audioTracks.forEach((track, i) => {
+            const isActive = i === this.currentAudioTrack;
+            const details = [track.codec, track.channelLayout || (track.channels && `${track.channels}ch`)].filter(Boolean).join(' · ');
+            
+            const option = document.createElement('button');
+            option.className = `audio-track-option ${isActive ? 'active' : ''}`;
+            option.dataset.track = i;
+            option.innerHTML = `<span></span>${isActive ? checkIcon : ''}`;
+            
+            const label = option.firstChild;
+            label.textContent = this.formatAudioTrackLabel(track);
+            if (details) {
+                const small = document.createElement('small');
+                small.textContent = details;
+                label.append(' ', small);
+            }
+            
+            option.addEventListener('click', () => this.selectAudioTrack(i));
+            this.audioTracks.appendChild(option);
+        });
+    }
+    
+    formatAudioTrackLabel(track) {
+        return track.language && track.language !== 'unknown'
+            ? `${track.title} (${track.language})`
+            : track.title;
+    }
+    
+    // Switch to a server stream that maps only the chosen audio stream, keeping the position
+    switchServerAudioTrack(trackIndex) {
+        const track = this.videoAnalysis.audioTracks[trackIndex];
+        if (!track || trackIndex === this.currentAudioTrack) return;
+        
+        this.currentAudioTrack = trackIndex;
+        const plan = this.getTranscodePlan(this.videoAnalysis, trackIndex);
+        this.startTranscode(this.getCurrentTime(), plan);
+        
+        this.updateAudioTrackList();
+        this.audioMenu.classList.remove('active');
+        this.showNotification(`Audio track: ${this.formatAudioTrackLabel(track)}`);
+    }
+    
+    selectAudioTrack(trackIndex) {
+        if (this.useAnalysisAudioTracks()) {
+            this.switchServerAudioTrack(trackIndex);
+            return;
+        }
+        
+        if (!this.video.audioTracks || trackIndex >= this.video.audioTracks.length) {
+            return;
+        }
+
+        // Disable all tracks
+        for (let i = 0; i < this.video.audioTracks.length; i++) {
+            this.video.audioTracks[i].enabled = false;
+        }
+
+        // Enable selected track
+        this.video.audioTracks[trackIndex].enabled = true;
+        this.currentAudioTrack = trackIndex;
+
+        // Update UI
+        this.updateAudioTrackList();
+        const trackLabel = this.video.audioTracks[trackIndex].label || 'Track ' + (trackIndex + 1);
+        this.showNotification(`Audio track: ${trackLabel}`);
     }
 
     detectAudioTracks() {
@@ -1484,23 +3367,27 @@ class StreamFlowPlayer {
         const url = this.subtitleUrlInput.value.trim();
         if (!url) return;
 
-        try {
-            let subtitleUrl = url;
+        if (await this.loadSubtitleUrl(url)) {
+            this.subtitleUrlInput.value = '';
+        }
+    }
 
-            // Check if ASS file (needs conversion)
-            if (url.toLowerCase().endsWith('.ass')) {
-                subtitleUrl = `${window.location.origin}/subtitle/convert?url=${encodeURIComponent(url)}`;
-            } else {
-                // VTT or SRT - proxy to handle CORS
-                subtitleUrl = `${window.location.origin}/subtitle/proxy?url=${encodeURIComponent(url)}`;
-            }
+    async loadSubtitleUrl(url) {
+        try {
+            const source = { type: 'url', url: url };
+            const subtitle = await this.loadSubtitleSource(source);
 
-            this.addSubtitleTrack(subtitleUrl, `Subtitle ${this.loadedSubtitles.length + 1}`);
-            this.showNotification('Subtitle loaded!');
-            this.subtitleUrlInput.value = '';
+            this.addSubtitleTrack(this.createVttUrl(subtitle.vtt), `Subtitle ${this.loadedSubtitles.length + 1}`, {
+                source: source,
+                encoding: subtitle.encoding,
+                ass: subtitle.ass
+            });
+            this.showNotification(`Subtitle loaded! (${this.describeSubtitle(subtitle)})`);
+            return true;
         } catch (error) {
             console.error('Subtitle load error:', error);
             this.showNotification('Failed to load subtitle');
+            return false;
         }
     }
 
@@ -1509,20 +3396,16 @@ class StreamFlowPlayer {
         if (!file) return;
 
         try {
-            const text = await file.text();
-            let vttContent = text;
-
-            // Convert ASS to VTT if needed
-            if (file.name.toLowerCase().endsWith('.ass')) {
-                vttContent = await this.convertAssToVtt(text);
-            }
+            // Keep the raw bytes so the track can be re-decoded with another encoding
+            const source = { type: 'file', bytes: new Uint8Array(await file.arrayBuffer()) };
+            const subtitle = await this.loadSubtitleSource(source);
 
-            // Create blob URL
-            const blob = new Blob([vttContent], { type: 'text/vtt' });
-            const url = URL.createObjectURL(blob);
-
-            this.addSubtitleTrack(url, file.name);
-            this.showNotification(`Loaded: ${file.name}`);
+            this.addSubtitleTrack(this.createVttUrl(subtitle.vtt), file.name, {
+                source: source,
+                encoding: subtitle.encoding,
+                ass: subtitle.ass
+            });
+            this.showNotification(`Loaded: ${file.name} (${this.describeSubtitle(subtitle)})`);
 
             // Reset input
             event.target.value = '';
@@ -1532,102 +3415,860 @@ class StreamFlowPlayer {
         }
     }
 
-    addSubtitleTrack(url, label) {
-        const track = document.createElement('track');
-        track.kind = 'subtitles';
-        track.label = label;
-        track.srclang = 'en';
-        track.src = url;
+    // Loaded/uploaded subtitles (details.source) can be re-decoded later; embedded ones come as UTF-8 from ffmpeg.
+    // ASS/SSA subtitles (details.ass) are drawn by the overlay renderer; their <track> stays hidden.
+    addSubtitleTrack(url, label, details = {}) {
+        const track = this.createTrackElement(url, label);
+        this.video.appendChild(track);
+
+        const trackInfo = {
+            track: track,
+            label: label,
+            index: this.loadedSubtitles.length,
+            source: details.source || null,
+            encoding: details.encoding || null,
+            ass: details.ass || null,
+            embedded: details.embedded || null,
+            extraction: details.extraction || null,
+            bitmap: details.bitmap || false,
+            timing: { offset: 0, scale: 1, points: [] }
+        };
+
+        // Cues only exist once the track has loaded - carry over any timing and placement set before
+        track.addEventListener('load', () => {
+            this.applySubtitleTiming(trackInfo);
+            this.positionSubtitleCues(trackInfo);
+        });
+
+        this.loadedSubtitles.push(trackInfo);
+        this.updateSubtitleTrackList();
+
+        // Auto-enable first subtitle
+        if (this.loadedSubtitles.length === 1) {
+            this.selectSubtitle(0);
+        }
+    }
+
+    createTrackElement(url, label) {
+        const track = document.createElement('track');
+        track.kind = 'subtitles';
+        track.label = label;
+        track.srclang = 'en';
+        track.src = url;
+        return track;
+    }
+
+    createVttUrl(vtt) {
+        return URL.createObjectURL(new Blob([vtt], { type: 'text/vtt' }));
+    }
+
+    describeSubtitle(subtitle) {
+        const format = SubtitleFormats.FORMAT_NAMES[subtitle.format] || subtitle.format;
+        const encoding = SubtitleFormats.ENCODING_NAMES[subtitle.encoding] || subtitle.encoding;
+        return `${format}, ${encoding}`;
+    }
+
+    // Both paths detect the encoding (unless charset is given) and the format, and return UTF-8 WebVTT
+    // plus the parsed script for ASS/SSA
+    async loadSubtitleSource(source, charset) {
+        if (source.type === 'file') {
+            const { text, encoding } = SubtitleFormats.decodeText(source.bytes, charset);
+            const { format, vtt } = await this.subtitleToVtt(text);
+            return { vtt, format, encoding, ass: format === 'ass' ? SubtitleFormats.parseAss(text) : null };
+        }
+
+        const params = new URLSearchParams({ url: source.url });
+        if (charset) params.set('charset', charset);
+
+        // The server fetches it (no CORS issues), then detects and converts like subtitle-formats.js does here
+        const response = await fetch(`${window.location.origin}/subtitle/convert?${params}`);
+        if (!response.ok) {
+            const { error } = await response.json().catch(() => ({}));
+            throw new Error(error || `HTTP ${response.status}`);
+        }
+
+        const subtitle = {
+            vtt: await response.text(),
+            format: response.headers.get('X-Subtitle-Format'),
+            encoding: response.headers.get('X-Subtitle-Encoding'),
+            ass: null
+        };
+
+        // The VTT has lost the styling - fetch the script itself for the renderer
+        if (subtitle.format === 'ass') {
+            params.set('charset', subtitle.encoding);
+            params.set('raw', '1');
+            const raw = await fetch(`${window.location.origin}/subtitle/proxy?${params}`);
+            if (raw.ok) subtitle.ass = SubtitleFormats.parseAss(await raw.text());
+        }
+
+        return subtitle;
+    }
+
+    async redecodeSubtitle(index, charset) {
+        const sub = this.loadedSubtitles[index];
+        if (!sub || !sub.source) return;
+
+        try {
+            const subtitle = await this.loadSubtitleSource(sub.source, charset);
+
+            sub.encoding = subtitle.encoding;
+            this.replaceSubtitleTrack(sub, subtitle.vtt, subtitle.ass);
+            this.showNotification(`Re-decoded as ${SubtitleFormats.ENCODING_NAMES[subtitle.encoding] || subtitle.encoding}`);
+        } catch (error) {
+            console.error('Subtitle re-decode error:', error);
+            this.showNotification('Failed to re-decode subtitle');
+            this.updateSubtitleTrackList();
+        }
+    }
+
+    // A <track> doesn't reload when its src changes, so swap in a new element
+    replaceSubtitleTrack(sub, vtt, ass) {
+        const index = this.loadedSubtitles.indexOf(sub);
+        const track = this.createTrackElement(this.createVttUrl(vtt), sub.label);
+        track.addEventListener('load', () => {
+            this.applySubtitleTiming(sub);
+            this.positionSubtitleCues(sub);
+        });
+        this.video.replaceChild(track, sub.track);
+        URL.revokeObjectURL(sub.track.src);
+        track.track.mode = 'disabled';
+
+        sub.track = track;
+        sub.ass = ass;
+        if (index === this.currentSubtitle) {
+            this.selectSubtitle(index);
+        } else if (index === this.secondarySubtitle) {
+            this.setSecondarySubtitle(index);
+        } else {
+            this.updateSubtitleTrackList();
+        }
+    }
+
+    renderEncodingSelect(sub, index) {
+        const encodings = { ...SubtitleFormats.ENCODING_NAMES };
+        if (!encodings[sub.encoding]) encodings[sub.encoding] = sub.encoding;
+
+        const options = Object.entries(encodings).map(([value, name]) =>
+            `<option value="${value}" ${value === sub.encoding ? 'selected' : ''}>${name}</option>`
+        ).join('');
+        return `<select class="subtitle-encoding" data-index="${index}" title="Detected encoding - pick another if the text looks garbled">${options}</select>`;
+    }
+
+    updateSubtitleTrackList() {
+        const tracksHTML = [];
+
+        // Streams found by the analysis - click to load, "2nd" to load as the secondary subtitle
+        if (this.embeddedSubtitles.length > 0) {
+            tracksHTML.push('<div class="subtitle-section-title">Embedded Subtitles</div>');
+            this.embeddedSubtitles.forEach((track, index) => {
+                tracksHTML.push(`
+                    <div class="subtitle-track-option embedded" data-embedded="${index}">
+                        <svg viewBox="0 0 24 24" fill="none" class="track-icon">
+                            <rect x="3" y="5" width="18" height="14" rx="2" stroke="currentColor" stroke-width="2"/>
+                            <path d="M7 13h2M11 13h6M7 9h6M15 9h2" stroke="currentColor" stroke-width="2"/>
+                        </svg>
+                        <span><span class="subtitle-track-name"></span>${track.bitmap ? ' <small class="subtitle-kind">Image</small>' : ''}</span>
+                        ${track.bitmap ? '' : `<button class="subtitle-secondary-btn" data-embedded="${index}" title="Show as secondary subtitle">2nd</button>`}
+                    </div>
+                `);
+            });
+        }
+
+        tracksHTML.push(`<div class="subtitle-track-option ${this.currentSubtitle === -1 ? 'active' : ''}" data-track="-1" style="cursor: pointer;"><span>Off</span></div>`);
+
+        this.loadedSubtitles.forEach((sub, index) => {
+            const isActive = index === this.currentSubtitle;
+            const isSecondary = index === this.secondarySubtitle;
+            tracksHTML.push(`
+                <div class="subtitle-track-option ${isActive ? 'active' : ''} ${isSecondary ? 'secondary' : ''}" data-track="${index}" style="cursor: pointer;">
+                    <span><span class="subtitle-track-name"></span>${sub.bitmap ? ' <small class="subtitle-kind">Image</small>' : ''}${this.describeExtraction(sub)}</span>
+                    ${sub.source ? this.renderEncodingSelect(sub, index) : ''}
+                    ${sub.bitmap ? '' : `<button class="subtitle-secondary-btn ${isSecondary ? 'active' : ''}" data-index="${index}" title="${isSecondary ? 'Hide' : 'Show'} as secondary subtitle">2nd</button>`}
+                    <button class="subtitle-remove-btn" data-index="${index}">×</button>
+                </div>
+            `);
+        });
+
+        this.subtitleTracks.innerHTML = tracksHTML.join('');
+
+        // Titles, languages and labels come from the files and URLs, so they are set as text
+        this.subtitleTracks.querySelectorAll('.subtitle-track-name').forEach(name => {
+            const { embedded, track } = name.closest('.subtitle-track-option').dataset;
+            if (embedded !== undefined) {
+                const stream = this.embeddedSubtitles[embedded];
+                name.textContent = `${stream.title} (${stream.language})`;
+            } else {
+                name.textContent = this.loadedSubtitles[track].label;
+            }
+        });
+
+        // Add click handlers
+        this.subtitleTracks.querySelectorAll('.subtitle-track-option[data-track]').forEach(option => {
+            option.addEventListener('click', (e) => {
+                if (e.target.classList.contains('subtitle-remove-btn')) return;
+                if (e.target.classList.contains('subtitle-secondary-btn')) return;
+                if (e.target.classList.contains('subtitle-encoding')) return;
+                const trackIndex = parseInt(e.currentTarget.dataset.track);
+                this.selectSubtitle(trackIndex);
+            });
+        });
+
+        this.subtitleTracks.querySelectorAll('.subtitle-track-option[data-embedded]').forEach(option => {
+            option.addEventListener('click', (e) => {
+                if (e.target.classList.contains('subtitle-secondary-btn')) return;
+                const index = parseInt(e.currentTarget.dataset.embedded);
+                this.loadEmbeddedSubtitle(index, this.embeddedSubtitles[index]);
+            });
+        });
+
+        this.subtitleTracks.querySelectorAll('.subtitle-secondary-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const { index, embedded } = e.currentTarget.dataset;
+                if (embedded !== undefined) {
+                    this.loadEmbeddedSubtitle(parseInt(embedded), this.embeddedSubtitles[embedded], 'secondary');
+                } else {
+                    this.setSecondarySubtitle(parseInt(index) === this.secondarySubtitle ? -1 : parseInt(index));
+                }
+            });
+        });
+
+        this.subtitleTracks.querySelectorAll('.subtitle-encoding').forEach(select => {
+            // Keep the menu open while picking
+            select.addEventListener('click', (e) => e.stopPropagation());
+            select.addEventListener('change', (e) => {
+                this.redecodeSubtitle(parseInt(e.target.dataset.index), e.target.value);
+            });
+        });
+
+        this.subtitleTracks.querySelectorAll('.subtitle-remove-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const index = parseInt(e.currentTarget.dataset.index);
+                this.removeSubtitle(index);
+            });
+        });
+
+        if (this.secondarySubtitleSettings) {
+            this.secondarySubtitleSettings.classList.toggle('active', this.secondarySubtitle !== -1);
+        }
+        this.updateSubtitleSyncPanel();
+        this.renderTranscript();
+    }
+
+    selectSubtitle(index) {
+        // A track shows in one slot at a time
+        if (index !== -1 && index === this.secondarySubtitle) {
+            this.setSecondarySubtitle(-1);
+        }
+
+        // Disable all tracks but the secondary one
+        this.loadedSubtitles.forEach((sub, i) => {
+            if (i !== this.secondarySubtitle) sub.track.track.mode = 'disabled';
+        });
+
+        if (index >= 0 && index < this.loadedSubtitles.length) {
+            const sub = this.loadedSubtitles[index];
+            // ASS and image-based tracks keep their cues loaded but let an overlay draw them
+            sub.track.track.mode = sub.ass || sub.bitmap ? 'hidden' : 'showing';
+            this.positionSubtitleCues(sub);
+            this.setAssScript(sub.ass, sub.timing);
+            this.setBitmapSubtitle(sub.bitmap ? sub : null);
+            this.currentSubtitle = index;
+            this.syncCueIndex = null;
+            if (this.subtitleBtn) this.subtitleBtn.classList.add('active');
+        } else {
+            this.setAssScript(null);
+            this.setBitmapSubtitle(null);
+            this.currentSubtitle = -1;
+            if (this.subtitleBtn) this.subtitleBtn.classList.remove('active');
+        }
+
+        this.updateSubtitleTrackList();
+    }
+
+    // A second track (e.g. the native language under the one being learnt) drawn in its own
+    // box at the top or bottom, independent of the primary track and its styling
+    setSecondarySubtitle(index) {
+        const previous = this.loadedSubtitles[this.secondarySubtitle];
+        if (previous) {
+            previous.track.track.removeEventListener('cuechange', this.secondaryCueHandler);
+            previous.track.track.mode = 'disabled';
+        }
+
+        if (index !== -1 && index === this.currentSubtitle) {
+            this.selectSubtitle(-1);
+        }
+
+        this.secondarySubtitle = index;
+        const sub = this.loadedSubtitles[index];
+        if (sub) {
+            // Hidden still loads the cues and fires cuechange, but the browser doesn't draw them
+            sub.track.track.mode = 'hidden';
+            sub.track.track.addEventListener('cuechange', this.secondaryCueHandler);
+        }
+
+        this.renderSecondarySubtitle();
+        this.updateSubtitleTrackList();
+    }
+
+    renderSecondarySubtitle() {
+        const sub = this.loadedSubtitles[this.secondarySubtitle];
+        const cues = sub ? sub.track.track.activeCues : null;
+
+        this.secondarySubtitleEl.replaceChildren();
+        if (!cues) return;
+
+        Array.from(cues).forEach(cue => {
+            const line = document.createElement('div');
+            line.className = 'secondary-subtitle-cue';
+            line.appendChild(cue.getCueAsHTML());
+            this.secondarySubtitleEl.appendChild(line);
+        });
+    }
+
+    // Image-based (PGS/VobSub/DVB) tracks: each cue's text is the URL of a full-frame PNG
+    setBitmapSubtitle(sub) {
+        if (this.bitmapTrack) {
+            this.bitmapTrack.removeEventListener('cuechange', this.bitmapCueHandler);
+        }
+
+        this.bitmapTrack = sub ? sub.track.track : null;
+        if (this.bitmapTrack) {
+            this.bitmapTrack.addEventListener('cuechange', this.bitmapCueHandler);
+        }
+        this.renderBitmapSubtitle();
+    }
+
+    renderBitmapSubtitle() {
+        const cues = this.bitmapTrack && this.bitmapTrack.activeCues ? Array.from(this.bitmapTrack.activeCues) : [];
+        const cue = cues[cues.length - 1];
+
+        if (!cue) {
+            this.bitmapSubtitleEl.classList.remove('active');
+            return;
+        }
+
+        const src = this.withAccessGrant(new URL(cue.text.trim(), window.location.origin).href);
+        if (this.bitmapSubtitleEl.src !== src) {
+            this.bitmapSubtitleEl.src = src;
+        }
+        this.layoutBitmapSubtitle();
+        this.bitmapSubtitleEl.classList.add('active');
+    }
+
+    // The pictures are drawn on a canvas the size of the video frame, so they cover the picture exactly
+    layoutBitmapSubtitle() {
+        if (!this.bitmapTrack) return;
+
+        const rect = this.getPictureRect(this.video.clientWidth, this.video.clientHeight, 16 / 9);
+        Object.assign(this.bitmapSubtitleEl.style, {
+            left: `${rect.x}px`,
+            top: `${rect.y}px`,
+            width: `${rect.width}px`,
+            height: `${rect.height}px`
+        });
+    }
+
+    setSecondaryPosition(position) {
+        this.secondaryPosition = position;
+        this.secondarySubtitleEl.classList.toggle('top', position === 'top');
+        this.secondarySubtitleEl.classList.toggle('bottom', position === 'bottom');
+        this.secondarySubtitleSettings.querySelectorAll('[data-secondary-position]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.secondaryPosition === position);
+        });
+    }
+
+    removeSubtitle(index) {
+        if (index < 0 || index >= this.loadedSubtitles.length) return;
+
+        if (this.secondarySubtitle === index) {
+            this.setSecondarySubtitle(-1);
+        }
+
+        const sub = this.loadedSubtitles[index];
+        this.video.removeChild(sub.track);
+
+        // Revoke blob URL if it exists
+        if (sub.track.src.startsWith('blob:')) {
+            URL.revokeObjectURL(sub.track.src);
+        }
+
+        this.loadedSubtitles.splice(index, 1);
+
+        // Update current subtitle index
+        if (this.currentSubtitle === index) {
+            this.setAssScript(null);
+            this.setBitmapSubtitle(null);
+            this.currentSubtitle = -1;
+        } else if (this.currentSubtitle > index) {
+            this.currentSubtitle--;
+        }
+        if (this.secondarySubtitle > index) {
+            this.secondarySubtitle--;
+        }
+
+        this.updateSubtitleTrackList();
+    }
+
+    // Subtitle timing: every cue is shown at original * scale + offset. Changes rewrite the
+    // live TextTrack cues (and the ASS overlay's clock), so nothing has to be reloaded.
+    getCurrentSubtitle() {
+        return this.loadedSubtitles[this.currentSubtitle] || null;
+    }
+
+    getSubtitleCues(sub) {
+        return sub && sub.track.track.cues ? Array.from(sub.track.track.cues) : [];
+    }
+
+    getCueOriginalTiming(cue) {
+        if (cue.originalStart === undefined) {
+            cue.originalStart = cue.startTime;
+            cue.originalEnd = cue.endTime;
+        }
+        return { start: cue.originalStart, end: cue.originalEnd };
+    }
+
+    applySubtitleTiming(sub) {
+        const { offset, scale } = sub.timing;
+
+        // Snapshot first - the cue list re-sorts itself as times change
+        this.getSubtitleCues(sub).forEach(cue => {
+            const original = this.getCueOriginalTiming(cue);
+            cue.startTime = Math.max(0, original.start * scale + offset);
+            cue.endTime = Math.max(0, original.end * scale + offset);
+        });
+
+        if (sub.ass && sub.ass === this.assScript) {
+            this.assActiveKey = null;
+            this.renderAssSubtitles();
+        }
+        this.updateSubtitleSyncPanel();
+        this.renderTranscript();
+    }
+
+    adjustSubtitleDelay(seconds) {
+        const sub = this.getCurrentSubtitle();
+        if (!sub) {
+            this.showNotification('No subtitle selected');
+            return;
+        }
+
+        sub.timing.offset = Math.round((sub.timing.offset + seconds) * 1000) / 1000;
+        this.applySubtitleTiming(sub);
+        this.showNotification(`Subtitle delay: ${this.formatSubtitleTiming(sub.timing)}`);
+    }
+
+    resetSubtitleTiming() {
+        const sub = this.getCurrentSubtitle();
+        if (!sub) return;
+
+        // Reset in place - the ASS overlay holds on to this object
+        Object.assign(sub.timing, { offset: 0, scale: 1, points: [] });
+        this.applySubtitleTiming(sub);
+        this.showNotification('Subtitle timing reset');
+    }
+
+    formatSubtitleTiming(timing) {
+        const offset = `${timing.offset >= 0 ? '+' : ''}${timing.offset.toFixed(3)}s`;
+        return timing.scale === 1 ? offset : `${offset} · ×${timing.scale.toFixed(4)}`;
+    }
+
+    // The line picked with ‹ › for syncing, otherwise the one shown now (or the last one before now)
+    getSyncCueIndex(cues) {
+        if (this.syncCueIndex !== null) return Math.min(this.syncCueIndex, cues.length - 1);
+
+        const time = this.getCurrentTime();
+        let index = 0;
+        cues.forEach((cue, i) => {
+            if (cue.startTime <= time) index = i;
+        });
+        return index;
+    }
+
+    stepSyncCue(direction) {
+        const cues = this.getSubtitleCues(this.getCurrentSubtitle());
+        if (cues.length === 0) return;
+
+        this.syncCueIndex = Math.min(Math.max(this.getSyncCueIndex(cues) + direction, 0), cues.length - 1);
+        this.updateSubtitleSyncPanel();
+    }
+
+    // Two-point resync: "this line should be now" for one line shifts the track, for a second
+    // line it also rescales it (fixes framerate mismatches like 23.976 vs 25 fps)
+    markSubtitleSyncPoint() {
+        const sub = this.getCurrentSubtitle();
+        const cues = this.getSubtitleCues(sub);
+        if (cues.length === 0) {
+            this.showNotification('Select a subtitle first');
+            return;
+        }
+
+        const cue = cues[this.getSyncCueIndex(cues)];
+        const point = { original: this.getCueOriginalTiming(cue).start, target: this.getCurrentTime() };
+        // Marking the same line again replaces its point
+        let points = sub.timing.points.filter(p => p.original !== point.original).concat(point).slice(-2);
+
+        if (points.length === 2) {
+            const scale = (points[1].target - points[0].target) / (points[1].original - points[0].original);
+            if (scale > 0) {
+                sub.timing.scale = scale;
+            } else {
+                // Later line synced to an earlier time - start over from this point
+                points = [point];
+            }
+        }
+
+        sub.timing.points = points;
+        sub.timing.offset = point.target - point.original * sub.timing.scale;
+        this.syncCueIndex = null;
+        this.applySubtitleTiming(sub);
+
+        this.showNotification(points.length === 2
+            ? `Subtitle resynced (${this.formatSubtitleTiming(sub.timing)})`
+            : 'Sync point set - sync a second line far from this one to fix drift');
+    }
+
+    updateSubtitleSyncPanel() {
+        if (!this.subtitleSync) return;
+
+        const sub = this.getCurrentSubtitle();
+        this.subtitleSync.classList.toggle('active', !!sub);
+        if (!sub) return;
+
+        const cues = this.getSubtitleCues(sub);
+        const cue = cues[this.getSyncCueIndex(cues)];
+        this.subtitleTimingValue.textContent = this.formatSubtitleTiming(sub.timing);
+        this.syncCueText.textContent = cue
+            ? `${this.formatTime(cue.startTime)} ${sub.bitmap ? '(image)' : this.getCuePlainText(cue)}`
+            : 'No lines loaded yet';
+    }
+
+    exportSubtitle(format) {
+        const sub = this.getCurrentSubtitle();
+        if (sub && sub.bitmap) {
+            this.showNotification('Image-based subtitles have no text to export');
+            return;
+        }
+
+        const cues = this.getSubtitleCues(sub);
+        if (cues.length === 0) {
+            this.showNotification('No subtitle lines to export');
+            return;
+        }
+
+        const text = SubtitleFormats.fromCues(cues.map(cue => ({
+            start: cue.startTime,
+            end: cue.endTime,
+            text: cue.text
+        })), format);
+        const filename = `${sub.label.replace(/\.[^.]+$/, '')}.${format}`;
+
+        this.downloadFile(new Blob([text], { type: format === 'srt' ? 'application/x-subrip' : 'text/vtt' }), filename);
+        this.showNotification(`Exported ${filename}`);
+    }
+
+    // Subtitle appearance
+    loadSubtitleAppearance() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(SUBTITLE_APPEARANCE_KEY)) || {};
+        } catch (e) {
+            // Storage blocked or a broken value - fall back to the defaults
+        }
+
+        const appearance = { ...SUBTITLE_APPEARANCE_DEFAULTS };
+        Object.keys(appearance).forEach(key => {
+            if (typeof saved[key] === typeof appearance[key]) appearance[key] = saved[key];
+        });
+        return appearance;
+    }
+
+    setSubtitleAppearance(changes) {
+        Object.assign(this.subtitleAppearance, changes);
+        try {
+            localStorage.setItem(SUBTITLE_APPEARANCE_KEY, JSON.stringify(this.subtitleAppearance));
+        } catch (e) {
+            // Private mode - the settings still apply until reload
+        }
+        this.applySubtitleAppearance();
+    }
+
+    applySubtitlePreset(name) {
+        this.setSubtitleAppearance({ ...SUBTITLE_APPEARANCE_DEFAULTS, ...SUBTITLE_APPEARANCE_PRESETS[name] });
+    }
+
+    applySubtitleAppearance() {
+        const appearance = this.subtitleAppearance;
+        const font = SUBTITLE_FONTS[appearance.font] || SUBTITLE_FONTS['sans-serif'];
+        const shadow = SUBTITLE_EDGE_SHADOWS[appearance.edge] || 'none';
+        const background = this.hexToRgba(appearance.background, appearance.backgroundOpacity / 100);
+
+        // The secondary line, the ASS overlay and the preview read these
+        const properties = {
+            '--subtitle-scale': appearance.size / 100,
+            '--subtitle-font': font,
+            '--subtitle-color': appearance.color,
+            '--subtitle-background': background,
+            '--subtitle-shadow': shadow,
+            '--subtitle-lift': `${appearance.lift}%`
+        };
+        Object.entries(properties).forEach(([name, value]) => this.playerContainer.style.setProperty(name, value));
+
+        // Cues render inside the video, out of reach of inherited properties
+        this.subtitleStyleSheet.textContent = `#videoPlayer::cue {
+            font-size: ${appearance.size}%;
+            font-family: ${font};
+            color: ${appearance.color};
+            background-color: ${background};
+            text-shadow: ${shadow};
+        }`;
+
+        this.loadedSubtitles.forEach(sub => this.positionSubtitleCues(sub));
+        this.updateSubtitleAppearanceControls();
+    }
+
+    // ::cue can't move cues, so lines the file leaves at the default place are raised one by one
+    positionSubtitleCues(sub) {
+        const lift = this.subtitleAppearance.lift;
+
+        this.getSubtitleCues(sub).forEach(cue => {
+            if (cue.autoLine === undefined) cue.autoLine = cue.line === 'auto';
+            if (!cue.autoLine) return;
+
+            if (lift > 0) {
+                cue.snapToLines = false;
+                cue.line = 95 - lift;
+                cue.lineAlign = 'end';
+            } else {
+                cue.snapToLines = true;
+                cue.line = 'auto';
+                cue.lineAlign = 'start';
+            }
+        });
+    }
+
+    updateSubtitleAppearanceControls() {
+        if (!this.subtitleAppearancePanel) return;
+
+        const appearance = this.subtitleAppearance;
+        this.subtitleAppearancePanel.querySelectorAll('[data-subtitle-setting]').forEach(input => {
+            input.value = appearance[input.dataset.subtitleSetting];
+        });
+        this.subtitleAppearancePanel.querySelectorAll('[data-subtitle-value]').forEach(label => {
+            label.textContent = `${appearance[label.dataset.subtitleValue]}%`;
+        });
+    }
+
+    hexToRgba(hex, alpha) {
+        const value = parseInt(hex.slice(1), 16);
+        return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+    }
+
+    // Transcript panel: every cue of the primary subtitle track, following playback
+    toggleTranscript() {
+        const isOpen = this.transcriptPanel.classList.toggle('active');
+        if (this.transcriptBtn) this.transcriptBtn.classList.toggle('active', isOpen);
+
+        if (isOpen) {
+            this.renderTranscript();
+        } else {
+            this.transcriptMatches = [];
+            this.renderTranscriptMarkers();
+        }
+        this.layoutAssStage();
+    }
+
+    getCuePlainText(cue) {
+        return cue.getCueAsHTML().textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    renderTranscript() {
+        if (!this.transcriptPanel || !this.transcriptPanel.classList.contains('active')) return;
+
+        const sub = this.getCurrentSubtitle();
+        this.transcriptCues = sub && sub.bitmap ? [] : this.getSubtitleCues(sub);
+        this.transcriptActive = -1;
+
+        if (this.transcriptCues.length === 0) {
+            let message = 'Select a subtitle track to see its transcript';
+            if (sub) message = sub.bitmap ? 'Image-based subtitles have no text' : 'No lines loaded yet';
+
+            this.transcriptLines = [];
+            this.transcriptList.innerHTML = `<div class="no-tracks">${message}</div>`;
+            this.searchTranscript();
+            return;
+        }
+
+        this.transcriptLines = this.transcriptCues.map(cue => {
+            const line = document.createElement('div');
+            line.className = 'transcript-line';
+            line.innerHTML = '<span class="transcript-time"></span><span class="transcript-text"></span>';
+            line.firstChild.textContent = this.formatTime(cue.startTime);
+            line.lastChild.textContent = this.getCuePlainText(cue);
+            line.addEventListener('click', () => this.seekToTime(cue.startTime));
+            return line;
+        });
+        this.transcriptList.replaceChildren(...this.transcriptLines);
+
+        this.searchTranscript();
+        this.updateTranscriptPosition();
+    }
+
+    // Highlight the line being spoken (the last one started) and keep it in view
+    updateTranscriptPosition() {
+        const cues = this.transcriptCues;
+        const time = this.getCurrentTime();
+
+        // Cues are sorted by start time
+        let low = 0;
+        let high = cues.length - 1;
+        let index = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (cues[mid].startTime <= time) {
+                index = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        if (index === this.transcriptActive) return;
+
+        if (this.transcriptActive !== -1) {
+            this.transcriptLines[this.transcriptActive].classList.remove('active');
+        }
+        this.transcriptActive = index;
+        if (index === -1) return;
+
+        this.transcriptLines[index].classList.add('active');
+        // Leave the list alone for a while after the user scrolled it
+        if (Date.now() > this.transcriptScrollPause) {
+            this.scrollTranscriptTo(index);
+        }
+    }
+
+    scrollTranscriptTo(index) {
+        const line = this.transcriptLines[index];
+        this.transcriptList.scrollTop = line.offsetTop - (this.transcriptList.clientHeight - line.offsetHeight) / 2;
+    }
 
-        this.video.appendChild(track);
+    searchTranscript() {
+        const query = this.transcriptSearch.value.trim().toLowerCase();
 
-        const trackInfo = {
-            track: track,
-            label: label,
-            index: this.loadedSubtitles.length
-        };
+        this.transcriptMatches = [];
+        this.transcriptMatchIndex = -1;
+        this.transcriptLines.forEach((line, index) => {
+            const text = line.lastChild.textContent;
+            const isMatch = query !== '' && text.toLowerCase().includes(query);
 
-        this.loadedSubtitles.push(trackInfo);
-        this.updateSubtitleTrackList();
+            line.classList.remove('current-match');
+            line.classList.toggle('match', isMatch);
+            this.highlightTranscriptText(line.lastChild, text, isMatch ? query : '');
+            if (isMatch) this.transcriptMatches.push(index);
+        });
 
-        // Auto-enable first subtitle
-        if (this.loadedSubtitles.length === 1) {
-            this.selectSubtitle(0);
-        }
+        this.transcriptMatchCount.textContent = query ? `${this.transcriptMatches.length} found` : '';
+        this.renderTranscriptMarkers();
     }
 
-    updateSubtitleTrackList() {
-        const tracksHTML = ['<div class="subtitle-track-option active" data-track="-1" style="cursor: pointer;"><span>Off</span></div>'];
+    highlightTranscriptText(element, text, query) {
+        if (!query) {
+            element.textContent = text;
+            return;
+        }
 
-        this.loadedSubtitles.forEach((sub, index) => {
-            const isActive = index === this.currentSubtitle;
-            tracksHTML.push(`
-                <div class="subtitle-track-option ${isActive ? 'active' : ''}" data-track="${index}" style="cursor: pointer;">
-                    <span>${sub.label}</span>
-                    <button class="subtitle-remove-btn" data-index="${index}">×</button>
-                </div>
-            `);
-        });
+        const parts = [];
+        const lower = text.toLowerCase();
+        let position = 0;
+        let found;
+        while ((found = lower.indexOf(query, position)) !== -1) {
+            parts.push(document.createTextNode(text.slice(position, found)));
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(found, found + query.length);
+            parts.push(mark);
+            position = found + query.length;
+        }
+        parts.push(document.createTextNode(text.slice(position)));
+        element.replaceChildren(...parts);
+    }
 
-        this.subtitleTracks.innerHTML = tracksHTML.join('');
+    stepTranscriptMatch(direction) {
+        const matches = this.transcriptMatches;
+        if (matches.length === 0) return;
 
-        // Add click handlers
-        this.subtitleTracks.querySelectorAll('.subtitle-track-option').forEach(option => {
-            option.addEventListener('click', (e) => {
-                if (e.target.classList.contains('subtitle-remove-btn')) return;
-                const trackIndex = parseInt(e.currentTarget.dataset.track);
-                this.selectSubtitle(trackIndex);
-            });
-        });
+        if (this.transcriptMatchIndex !== -1) {
+            this.transcriptLines[matches[this.transcriptMatchIndex]].classList.remove('current-match');
+        }
 
-        this.subtitleTracks.querySelectorAll('.subtitle-remove-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                const index = parseInt(e.currentTarget.dataset.index);
-                this.removeSubtitle(index);
-            });
-        });
+        this.transcriptMatchIndex = this.transcriptMatchIndex === -1 && direction < 0
+            ? matches.length - 1
+            : (this.transcriptMatchIndex + direction + matches.length) % matches.length;
+
+        const index = matches[this.transcriptMatchIndex];
+        this.transcriptLines[index].classList.add('current-match');
+        this.transcriptMatchCount.textContent = `${this.transcriptMatchIndex + 1}/${matches.length}`;
+        this.transcriptScrollPause = Date.now() + this.transcriptScrollPauseDuration;
+        this.scrollTranscriptTo(index);
     }
 
-    selectSubtitle(index) {
-        // Disable all tracks
-        this.loadedSubtitles.forEach(sub => {
-            sub.track.mode = 'disabled';
-        });
+    renderTranscriptMarkers() {
+        if (!this.progressSearchMarkers) return;
 
-        if (index >= 0 && index < this.loadedSubtitles.length) {
-            this.loadedSubtitles[index].track.mode = 'showing';
-            this.currentSubtitle = index;
-            if (this.subtitleBtn) this.subtitleBtn.classList.add('active');
-        } else {
-            this.currentSubtitle = -1;
-            if (this.subtitleBtn) this.subtitleBtn.classList.remove('active');
+        const duration = this.getDuration();
+        if (this.isLive || !(duration > 0) || !isFinite(duration)) {
+            this.progressSearchMarkers.innerHTML = '';
+            return;
         }
 
-        this.updateSubtitleTrackList();
+        this.progressSearchMarkers.innerHTML = this.transcriptMatches
+            .map(index => `<div class="search-marker" style="left: ${(this.transcriptCues[index].startTime / duration) * 100}%"></div>`)
+            .join('');
     }
 
-    removeSubtitle(index) {
-        if (index < 0 || index >= this.loadedSubtitles.length) return;
+    exportTranscript(format) {
+        const sub = this.getCurrentSubtitle();
+        if (sub && sub.bitmap) {
+            this.showNotification('Image-based subtitles have no text to export');
+            return;
+        }
 
-        const sub = this.loadedSubtitles[index];
-        this.video.removeChild(sub.track);
+        const cues = this.getSubtitleCues(sub);
+        if (cues.length === 0) {
+            this.showNotification('No transcript to export');
+            return;
+        }
 
-        // Revoke blob URL if it exists
-        if (sub.track.src.startsWith('blob:')) {
-            URL.revokeObjectURL(sub.track.src);
+        const name = sub.label.replace(/\.[^.]+$/, '');
+        let text;
+        if (format === 'md') {
+            // Escape what Markdown would treat as formatting
+            const escape = (value) => value.replace(/([\\`*_[\]#<>|])/g, '\\$1');
+            text = `# ${escape(name)}\n\n` + cues
+                .map(cue => `- **[${this.formatTime(cue.startTime)}]** ${escape(this.getCuePlainText(cue))}`)
+                .join('\n') + '\n';
+        } else {
+            text = cues.map(cue => `[${this.formatTime(cue.startTime)}] ${this.getCuePlainText(cue)}`).join('\n') + '\n';
         }
 
-        this.loadedSubtitles.splice(index, 1);
+        const filename = `${name}.transcript.${format}`;
+        this.downloadFile(new Blob([text], { type: format === 'md' ? 'text/markdown' : 'text/plain' }), filename);
+        this.showNotification(`Exported ${filename}`);
+    }
 
-        // Update current subtitle index
-        if (this.currentSubtitle === index) {
-            this.currentSubtitle = -1;
-        } else if (this.currentSubtitle > index) {
-            this.currentSubtitle--;
+    // Same detection and conversion as the server's /subtitle/convert (see subtitle-formats.js)
+    async subtitleToVtt(text) {
+        const format = SubtitleFormats.detectFormat(text);
+        if (!format) {
+            throw new Error('Unrecognised subtitle format');
         }
 
-        this.updateSubtitleTrackList();
+        const vtt = format === 'ass'
+            ? await this.convertAssToVtt(text)
+            : SubtitleFormats.toVtt(text, format);
+        return { format, vtt };
     }
 
     // Simple ASS to VTT conversion (client-side fallback)
@@ -1673,17 +4314,445 @@ class StreamFlowPlayer {
         return assTime;
     }
 
+    // ASS/SSA rendering - styled events are laid out on a stage in script coordinates
+    // (PlayResX x PlayResY) that is scaled onto the picture, instead of a <track>
+    setAssScript(script, timing = null) {
+        if (this.assFrame) {
+            cancelAnimationFrame(this.assFrame);
+            this.assFrame = null;
+        }
+
+        this.assScript = script;
+        this.assTiming = timing;
+        this.assActive = [];
+        this.assActiveKey = null;
+        this.assOverlay.replaceChildren();
+        if (!script) return;
+
+        this.assStage = document.createElement('div');
+        this.assStage.className = 'ass-stage';
+        this.assStage.style.width = `${script.playResX}px`;
+        this.assStage.style.height = `${script.playResY}px`;
+        this.assOverlay.appendChild(this.assStage);
+
+        this.layoutAssStage();
+        this.renderAssSubtitles();
+    }
+
+    // The area of a width x height box the picture fills (object-fit: contain leaves bars)
+    getPictureRect(width, height, fallbackAspect) {
+        const aspect = this.video.videoWidth && this.video.videoHeight
+            ? this.video.videoWidth / this.video.videoHeight
+            : fallbackAspect;
+        const pictureWidth = Math.min(width, height * aspect);
+        const pictureHeight = pictureWidth / aspect;
+
+        return {
+            x: (width - pictureWidth) / 2,
+            y: (height - pictureHeight) / 2,
+            width: pictureWidth,
+            height: pictureHeight
+        };
+    }
+
+    // Fit the stage onto the picture area of the video
+    layoutAssStage() {
+        if (!this.assScript) return;
+
+        const { playResX, playResY } = this.assScript;
+        const rect = this.getPictureRect(this.assOverlay.clientWidth, this.assOverlay.clientHeight, playResX / playResY);
+
+        this.assStage.style.transform = `translate(${rect.x}px, ${rect.y}px) ` +
+            `scale(${rect.width / playResX}, ${rect.height / playResY})`;
+    }
+
+    renderAssSubtitles() {
+        if (this.assFrame) {
+            cancelAnimationFrame(this.assFrame);
+            this.assFrame = null;
+        }
+        if (!this.assScript) return;
+
+        // Script time - the subtitle's delay/resync applied in reverse
+        const timing = this.assTiming || { offset: 0, scale: 1 };
+        const time = (this.getCurrentTime() - timing.offset) / timing.scale;
+        const active = this.assScript.events.filter(event => event.start <= time && time < event.end);
+        const key = active.map(event => event.order).join(',');
+
+        // Rebuild only when events come or go; fades, moves and karaoke are updated in place
+        if (key !== this.assActiveKey) {
+            this.assActiveKey = key;
+            this.buildAssEvents(active);
+        }
+        this.assActive.forEach(item => this.updateAssEvent(item, time));
+
+        // timeupdate fires only every ~250ms - follow playback frame by frame
+        if (!this.video.paused) {
+            this.assFrame = requestAnimationFrame(() => this.renderAssSubtitles());
+        }
+    }
+
+    buildAssEvents(events) {
+        this.assStage.replaceChildren();
+        const stacks = {};
+
+        // Earlier events keep their place; later ones with the same alignment stack away from the edge
+        this.assActive = events
+            .slice()
+            .sort((a, b) => a.start - b.start || a.order - b.order)
+            .filter(event => {
+                if (!event.parsed) event.parsed = this.parseAssEvent(event);
+                // Drawing-only events have nothing to show
+                return event.parsed.segments.length > 0;
+            })
+            .map(event => {
+                const item = this.createAssEventElement(event, event.parsed);
+
+                if (event.parsed.position) {
+                    this.assStage.appendChild(item.element);
+                } else {
+                    this.getAssStack(stacks, event.parsed).appendChild(item.element);
+                }
+                return item;
+            });
+    }
+
+    // Event text -> segments of text with the style state in effect, plus event-wide tags
+    // (position, alignment, fades). \t animations, clips and drawings are not supported.
+    parseAssEvent(event) {
+        const style = this.assScript.styles[event.style] || this.assScript.styles.Default;
+        const parsed = {
+            layer: event.layer,
+            alignment: style.alignment,
+            position: null,
+            move: null,
+            fade: null,
+            rotation: style.angle,
+            marginL: event.marginL || style.marginL,
+            marginR: event.marginR || style.marginR,
+            marginV: event.marginV || style.marginV,
+            wrapStyle: this.assScript.wrapStyle,
+            segments: [],
+            animated: false
+        };
+        const context = {
+            style: style,
+            state: this.createAssState(style),
+            karaoke: null,
+            karaokeTime: 0
+        };
+
+        event.text.split(/(\{[^}]*\})/).forEach(part => {
+            if (part.startsWith('{') && part.endsWith('}')) {
+                // Earlier segments keep the state they were written with
+                context.state = { ...context.state };
+                part.slice(1, -1)
+                    .replace(/\\t\([^)]*\)/g, '')
+                    .split('\\')
+                    .slice(1)
+                    .forEach(tag => this.applyAssTag(tag.trim(), context, parsed, event));
+                return;
+            }
+
+            // Text in drawing mode (\p1) is vector commands, not words
+            if (!part || context.state.drawing) return;
+
+            parsed.segments.push({
+                text: part
+                    .replace(/\\h/g, '\u00A0')
+                    .replace(/\\n/g, parsed.wrapStyle === 2 ? '\n' : ' ')
+                    .replace(/\\N/g, '\n'),
+                state: context.state,
+                karaoke: context.karaoke
+            });
+        });
+
+        parsed.animated = !!(parsed.move || parsed.fade || parsed.segments.some(segment => segment.karaoke));
+        return parsed;
+    }
+
+    createAssState(style) {
+        return {
+            fontName: style.fontName,
+            fontSize: style.fontSize,
+            bold: style.bold,
+            italic: style.italic,
+            underline: style.underline,
+            strikeOut: style.strikeOut,
+            spacing: style.spacing,
+            primary: this.parseAssColour(style.primaryColour),
+            secondary: this.parseAssColour(style.secondaryColour),
+            outline: this.parseAssColour(style.outlineColour),
+            back: this.parseAssColour(style.backColour),
+            borderStyle: style.borderStyle,
+            outlineWidth: style.outline,
+            shadow: style.shadow,
+            blur: 0,
+            drawing: false
+        };
+    }
+
+    applyAssTag(tag, context, parsed, event) {
+        const state = context.state;
+        let match;
+
+        if ((match = tag.match(/^([1-4]?)c&?H?([0-9a-f]+)&?$/i))) {
+            const key = ASS_COLOUR_KEYS[match[1] || '1'];
+            state[key] = { ...this.parseAssColour(`&H${match[2]}`), a: state[key].a };
+        } else if ((match = tag.match(/^([1-4])a&?H?([0-9a-f]+)&?$/i))) {
+            const key = ASS_COLOUR_KEYS[match[1]];
+            state[key] = { ...state[key], a: parseInt(match[2], 16) };
+        } else if ((match = tag.match(/^alpha&?H?([0-9a-f]+)&?$/i))) {
+            Object.values(ASS_COLOUR_KEYS).forEach(key => {
+                state[key] = { ...state[key], a: parseInt(match[1], 16) };
+            });
+        } else if ((match = tag.match(/^pos\(([^,]+),([^)]+)\)/))) {
+            // The first \pos or \move wins
+            if (!parsed.position) parsed.position = { x: parseFloat(match[1]), y: parseFloat(match[2]) };
+        } else if ((match = tag.match(/^move\(([^)]*)\)/))) {
+            const [x1, y1, x2, y2, t1, t2] = match[1].split(',').map(parseFloat);
+            if (!parsed.position && !isNaN(y2)) {
+                parsed.position = { x: x1, y: y1 };
+                // Without times (or with both 0) the move spans the whole event
+                parsed.move = t1 || t2
+                    ? { x1, y1, x2, y2, t1: t1 / 1000, t2: t2 / 1000 }
+                    : { x1, y1, x2, y2, t1: 0, t2: event.end - event.start };
+            }
+        } else if ((match = tag.match(/^fad\(([^,]+),([^)]+)\)/))) {
+            parsed.fade = { fadeIn: parseFloat(match[1]) / 1000, fadeOut: parseFloat(match[2]) / 1000 };
+        } else if ((match = tag.match(/^fade\(([^)]*)\)/))) {
+            const values = match[1].split(',').map(parseFloat);
+            if (values.length === 7) {
+                parsed.fade = { alphas: values.slice(0, 3), times: values.slice(3).map(time => time / 1000) };
+            }
+        } else if ((match = tag.match(/^an([1-9])$/))) {
+            parsed.alignment = parseInt(match[1]);
+        } else if ((match = tag.match(/^a(\d+)$/))) {
+            parsed.alignment = SubtitleFormats.legacyAlignment(parseInt(match[1]));
+        } else if ((match = tag.match(/^fn(.+)$/))) {
+            state.fontName = match[1];
+        } else if ((match = tag.match(/^fsp(-?[\d.]+)/))) {
+            state.spacing = parseFloat(match[1]);
+        } else if ((match = tag.match(/^fs([\d.]+)/))) {
+            state.fontSize = parseFloat(match[1]);
+        } else if ((match = tag.match(/^frz?(-?[\d.]+)/))) {
+            parsed.rotation = parseFloat(match[1]);
+        } else if ((match = tag.match(/^bord([\d.]+)/))) {
+            state.outlineWidth = parseFloat(match[1]);
+        } else if ((match = tag.match(/^shad([\d.]+)/))) {
+            state.shadow = parseFloat(match[1]);
+        } else if ((match = tag.match(/^(?:be|blur)([\d.]+)/))) {
+            state.blur = parseFloat(match[1]);
+        } else if ((match = tag.match(/^b(\d+)$/))) {
+            state.bold = parseInt(match[1]);
+        } else if ((match = tag.match(/^([ius])([01])$/))) {
+            state[{ i: 'italic', u: 'underline', s: 'strikeOut' }[match[1]]] = match[2] === '1';
+        } else if ((match = tag.match(/^(k[fo]?|K)(\d+)/))) {
+            // Karaoke: each syllable switches from the secondary to the primary colour in turn
+            const duration = parseInt(match[2]) / 100;
+            context.karaoke = {
+                start: context.karaokeTime,
+                hideOutline: match[1] === 'ko'
+            };
+            context.karaokeTime += duration;
+        } else if ((match = tag.match(/^r(.*)$/))) {
+            context.state = this.createAssState(this.assScript.styles[match[1]] || context.style);
+        } else if ((match = tag.match(/^p(\d+)$/))) {
+            state.drawing = parseInt(match[1]) > 0;
+        } else if ((match = tag.match(/^q([0-3])$/))) {
+            parsed.wrapStyle = parseInt(match[1]);
+        }
+    }
+
+    // &HAABBGGRR (alpha 00 = opaque), &HBBGGRR& in override tags, or a decimal number in SSA
+    parseAssColour(value) {
+        const number = /&H/i.test(value)
+            ? parseInt(value.replace(/[&H]/gi, ''), 16) || 0
+            : parseInt(value) >>> 0;
+        return {
+            r: number & 0xff,
+            g: (number >>> 8) & 0xff,
+            b: (number >>> 16) & 0xff,
+            a: (number >>> 24) & 0xff
+        };
+    }
+
+    assColourToCss(colour) {
+        return `rgba(${colour.r}, ${colour.g}, ${colour.b}, ${(1 - colour.a / 255).toFixed(3)})`;
+    }
+
+    createAssEventElement(event, parsed) {
+        const element = document.createElement('div');
+        const horizontal = (parsed.alignment - 1) % 3;
+        const vertical = parsed.alignment >= 7 ? 0 : parsed.alignment >= 4 ? 50 : 100;
+        const karaoke = [];
+
+        element.className = 'ass-event';
+        element.style.zIndex = parsed.layer;
+        element.style.textAlign = ['left', 'center', 'right'][horizontal];
+        element.style.whiteSpace = parsed.wrapStyle === 2 ? 'pre' : 'pre-wrap';
+        element.style.maxWidth = `${this.assScript.playResX - parsed.marginL - parsed.marginR}px`;
+
+        if (parsed.position) {
+            // \pos is the anchor point picked by the alignment (e.g. \an7 = top left corner)
+            element.classList.add('positioned');
+            element.style.left = `${parsed.position.x}px`;
+            element.style.top = `${parsed.position.y}px`;
+            element.style.transformOrigin = `${horizontal * 50}% ${vertical}%`;
+            element.style.transform = `translate(-${horizontal * 50}%, -${vertical}%) rotate(${-parsed.rotation}deg)`;
+        } else if (parsed.rotation) {
+            element.style.transform = `rotate(${-parsed.rotation}deg)`;
+        }
+
+        parsed.segments.forEach(segment => {
+            const span = document.createElement('span');
+            span.textContent = segment.text;
+            this.styleAssSpan(span, segment.state);
+            if (segment.karaoke) karaoke.push({ span, segment });
+            element.appendChild(span);
+        });
+
+        return { event, parsed, element, karaoke };
+    }
+
+    styleAssSpan(span, state) {
+        const decorations = [state.underline && 'underline', state.strikeOut && 'line-through'].filter(Boolean);
+
+        span.style.fontFamily = `"${state.fontName.replace(/^@/, '')}", Arial, sans-serif`;
+        // Scaled by the subtitle size setting like every other track
+        span.style.fontSize = `calc(${state.fontSize}px * var(--subtitle-scale, 1))`;
+        // -1/1 = bold, other values are font weights
+        span.style.fontWeight = state.bold === 1 || state.bold === -1 ? 'bold' : state.bold > 1 ? state.bold : 'normal';
+        span.style.fontStyle = state.italic ? 'italic' : 'normal';
+        span.style.textDecoration = decorations.join(' ') || 'none';
+        span.style.letterSpacing = `${state.spacing}px`;
+        span.style.color = this.assColourToCss(state.primary);
+
+        if (state.borderStyle === 3) {
+            // Opaque box in the outline colour instead of an outline
+            span.style.backgroundColor = this.assColourToCss(state.outline);
+            span.style.padding = `0 ${state.outlineWidth}px`;
+            if (state.shadow > 0) {
+                span.style.boxShadow = `${state.shadow}px ${state.shadow}px 0 ${this.assColourToCss(state.back)}`;
+            }
+        } else {
+            span.style.textShadow = this.getAssTextShadow(state, false);
+        }
+    }
+
+    // CSS has no outer stroke, so the outline is drawn as rings of text shadows under the drop shadow
+    getAssTextShadow(state, hideOutline) {
+        const shadows = [];
+        const width = state.outlineWidth;
+
+        if (width > 0 && !hideOutline) {
+            const outline = this.assColourToCss(state.outline);
+            const rings = width > 2 ? [width, width / 2] : [width];
+            rings.forEach(radius => {
+                const steps = radius > 2 ? 16 : 8;
+                for (let i = 0; i < steps; i++) {
+                    const angle = (i / steps) * 2 * Math.PI;
+                    shadows.push(`${(Math.cos(angle) * radius).toFixed(2)}px ${(Math.sin(angle) * radius).toFixed(2)}px ${state.blur}px ${outline}`);
+                }
+            });
+        }
+
+        if (state.shadow > 0) {
+            shadows.push(`${state.shadow}px ${state.shadow}px ${state.blur}px ${this.assColourToCss(state.back)}`);
+        }
+
+        return shadows.join(', ') || 'none';
+    }
+
+    getAssStack(stacks, parsed) {
+        const key = `${parsed.alignment}|${parsed.marginL}|${parsed.marginR}|${parsed.marginV}`;
+
+        if (!stacks[key]) {
+            const stack = document.createElement('div');
+            const vertical = parsed.alignment >= 7 ? 'top' : parsed.alignment >= 4 ? 'middle' : 'bottom';
+
+            stack.className = `ass-stack ${vertical}`;
+            stack.style.left = `${parsed.marginL}px`;
+            stack.style.right = `${parsed.marginR}px`;
+            if (vertical === 'top') stack.style.top = `${parsed.marginV}px`;
+            if (vertical === 'bottom') stack.style.bottom = `calc(${parsed.marginV}px + var(--subtitle-lift, 0%))`;
+            stack.style.alignItems = ['flex-start', 'center', 'flex-end'][(parsed.alignment - 1) % 3];
+
+            this.assStage.appendChild(stack);
+            stacks[key] = stack;
+        }
+
+        return stacks[key];
+    }
+
+    updateAssEvent(item, time) {
+        const { event, parsed, element } = item;
+        if (!parsed.animated) return;
+
+        const elapsed = time - event.start;
+
+        if (parsed.move) {
+            const { x1, y1, x2, y2, t1, t2 } = parsed.move;
+            const progress = t2 > t1 ? Math.min(Math.max((elapsed - t1) / (t2 - t1), 0), 1) : 1;
+            element.style.left = `${x1 + (x2 - x1) * progress}px`;
+            element.style.top = `${y1 + (y2 - y1) * progress}px`;
+        }
+
+        if (parsed.fade) {
+            element.style.opacity = this.getAssFadeOpacity(parsed.fade, elapsed, event.end - event.start);
+        }
+
+        item.karaoke.forEach(({ span, segment }) => {
+            const sung = elapsed >= segment.karaoke.start;
+            span.style.color = this.assColourToCss(sung ? segment.state.primary : segment.state.secondary);
+            if (segment.karaoke.hideOutline && segment.state.borderStyle !== 3) {
+                span.style.textShadow = this.getAssTextShadow(segment.state, !sung);
+            }
+        });
+    }
+
+    getAssFadeOpacity(fade, elapsed, duration) {
+        if (fade.alphas) {
+            // \fade(a1, a2, a3, t1, t2, t3, t4): alpha a1 -> a2 over t1..t2, a2 -> a3 over t3..t4
+            const [a1, a2, a3] = fade.alphas;
+            const [t1, t2, t3, t4] = fade.times;
+            let alpha = a3;
+            if (elapsed < t1) alpha = a1;
+            else if (elapsed < t2) alpha = a1 + (a2 - a1) * (elapsed - t1) / (t2 - t1);
+            else if (elapsed < t3) alpha = a2;
+            else if (elapsed < t4) alpha = a2 + (a3 - a2) * (elapsed - t3) / (t4 - t3);
+            return 1 - alpha / 255;
+        }
+
+        if (elapsed < fade.fadeIn) return elapsed / fade.fadeIn;
+        if (duration - elapsed < fade.fadeOut) return (duration - elapsed) / fade.fadeOut;
+        return 1;
+    }
+
     // Video stream analysis (automatic audio/subtitle detection)
-    async analyzeVideoStreams() {
+    analyzeVideoStreams() {
         // Only analyze when using proxy (to avoid CORS)
-        if (!this.useProxyCheckbox.checked || !this.originalUrl) return;
+        if (!this.useProxyCheckbox.checked || !this.originalUrl) return Promise.resolve();
+
+        // Analyze once per video - the metadata handler and the transcode fallback share the result
+        if (!this.analysisPromise) {
+            this.analysisPromise = this.fetchVideoAnalysis();
+        }
+        return this.analysisPromise;
+    }
 
-        const analysisUrl = `${window.location.origin}/analyze?url=${encodeURIComponent(this.originalUrl)}`;
+    async fetchVideoAnalysis() {
+        const analysisUrl = this.withAccessGrant(`${window.location.origin}/analyze?url=${encodeURIComponent(this.originalUrl)}`);
 
         try {
             const response = await fetch(analysisUrl);
             const analysis = await response.json();
 
+            // The server's destination policy won't touch this URL
+            if (response.status === 403) {
+                this.destinationRefused = analysis.error;
+            }
+
             if (analysis.ffprobeAvailable) {
                 this.videoAnalysis = analysis;
 
@@ -1697,6 +4766,11 @@ class StreamFlowPlayer {
                     this.showAudioTrackInfo(analysis.audioTracks);
                 }
 
+                // Container chapters, unless an external file was loaded meanwhile
+                if (analysis.hasChapters && this.chapters.length === 0) {
+                    this.setChapters(analysis.chapters);
+                }
+
                 console.log('📊 Video analysis:', analysis);
             }
         } catch (error) {
@@ -1704,59 +4778,224 @@ class StreamFlowPlayer {
         }
     }
 
-    populateEmbeddedSubtitles(subtitleTracks) {
-        const subtitleTracksDiv = this.subtitleTracks;
-        if (!subtitleTracksDiv) return;
-
-        // Create section header
-        const embeddedHeader = document.createElement('div');
-        embeddedHeader.className = 'subtitle-section-title';
-        embeddedHeader.textContent = 'Embedded Subtitles';
-
-        // Insert at top
-        const firstChild = subtitleTracksDiv.firstChild;
-        subtitleTracksDiv.insertBefore(embeddedHeader, firstChild);
-
-        // Add each embedded subtitle option
-        subtitleTracks.forEach((track, index) => {
-            const trackOption = document.createElement('div');
-            trackOption.className = 'subtitle-track-option embedded';
-            trackOption.dataset.embedded = 'true';
-            trackOption.dataset.index = index;
-            trackOption.innerHTML = `
-                <svg viewBox="0 0 24 24" fill="none" class="track-icon">
-                    <rect x="3" y="5" width="18" height="14" rx="2" stroke="currentColor" stroke-width="2"/>
-                    <path d="M7 13h2M11 13h6M7 9h6M15 9h2" stroke="currentColor" stroke-width="2"/>
-                </svg>
-                <span>${track.title} (${track.language})</span>
-            `;
-
-            trackOption.addEventListener('click', () => {
-                this.loadEmbeddedSubtitle(index, track);
+    // Server-side transcoding fallback
+    isCodecSupported(codec) {
+        const mimeType = CODEC_MIME_TYPES[codec];
+        // DTS, TrueHD and friends have no browser decoder at all
+        if (!mimeType) return false;
+        
+        if (window.MediaSource && MediaSource.isTypeSupported(mimeType)) return true;
+        return this.video.canPlayType(mimeType) === 'probably';
+    }
+    
+    getTranscodePlan(analysis, audioTrack = this.currentAudioTrack) {
+        const videoCodec = analysis.videoStreams?.[0]?.codec;
+        const audioCodec = analysis.audioTracks?.[audioTrack]?.codec;
+        return {
+            video: !videoCodec || this.isCodecSupported(videoCodec) ? 'copy' : 'transcode',
+            audio: !audioCodec || this.isCodecSupported(audioCodec) ? 'copy' : 'transcode',
+            audioTrack: audioTrack,
+            videoCodec: videoCodec,
+            audioCodec: audioCodec
+        };
+    }
+    
+    canTranscode() {
+        // Needs the server (proxy mode), and only applies to progressive files
+        return this.useProxyCheckbox.checked && !!this.originalUrl &&
+               !this.transcode && !this.hls && !this.dashPlayer;
+    }
+    
+    // Called once analysis is in: metadata loaded, but a stream may still be undecodable
+    // (e.g. HEVC video plays black, AC3 audio plays silent)
+    checkTranscodeNeeded() {
+        if (!this.videoAnalysis || !this.canTranscode()) return;
+        
+        const plan = this.getTranscodePlan(this.videoAnalysis);
+        if (plan.video === 'transcode' || plan.audio === 'transcode') {
+            this.startTranscode(this.getCurrentTime(), plan);
+        }
+    }
+    
+    async fallbackToTranscode(errorMessage) {
+        this.showLoading();
+        await this.analyzeVideoStreams();
+        
+        // The metadata handler got there first
+        if (this.transcode) return;
+        
+        if (!this.videoAnalysis) {
+            // ffprobe unavailable - the server can't help either
+            this.showError(this.destinationRefused || errorMessage);
+            return;
+        }
+        
+        // Even if every codec looks supported, remuxing into fMP4 fixes unplayable containers
+        this.startTranscode(0, this.getTranscodePlan(this.videoAnalysis));
+    }
+    
+    startTranscode(startTime, plan = this.transcode.plan) {
+        const isFirstStart = !this.transcode;
+        const resume = isFirstStart ? this.isPlaying : !this.video.paused;
+        
+        if (this.loadTimeout) {
+            clearTimeout(this.loadTimeout);
+            this.loadTimeout = null;
+        }
+        
+        this.transcode = {
+            plan: plan,
+            startTime: startTime,
+            duration: this.videoAnalysis.duration
+        };
+        
+        if (isFirstStart) {
+            const parts = [];
+            if (plan.video === 'transcode') parts.push(`${plan.videoCodec} video`);
+            if (plan.audio === 'transcode') parts.push(`${plan.audioCodec} audio`);
+            this.showNotification(parts.length ? `Transcoding ${parts.join(' + ')} on the server` : 'Remuxing on the server');
+            console.log('🎞️ Falling back to server transcoding:', plan);
+        }
+        
+        const params = new URLSearchParams({
+            url: this.originalUrl,
+            start: startTime.toFixed(3),
+            audioTrack: plan.audioTrack,
+            video: plan.video,
+            audio: plan.audio
+        });
+        
+        this.hideError();
+        this.showLoading();
+        this.video.src = this.withAccessGrant(`${window.location.origin}/transcode?${params}`);
+        this.video.load();
+        
+        if (resume) {
+            this.video.play().catch(e => {
+                console.error('Play error:', e);
             });
+        }
+    }
 
-            subtitleTracksDiv.insertBefore(trackOption, firstChild.nextSibling);
-        });
+    populateEmbeddedSubtitles(subtitleTracks) {
+        if (!this.subtitleTracks) return;
+
+        this.embeddedSubtitles = subtitleTracks;
+        this.updateSubtitleTrackList();
     }
 
-    async loadEmbeddedSubtitle(index, track) {
+    // slot: 'primary' or 'secondary'. A stream already extracted for this video is reused.
+    // The server extracts every stream in one pass; the cues found so far show straight away
+    // and the track fills in while the pass runs.
+    async loadEmbeddedSubtitle(index, track, slot = 'primary') {
         const extractUrl = `${window.location.origin}/extract-subtitle?url=${encodeURIComponent(this.originalUrl)}&index=${index}`;
+        const select = (i) => slot === 'secondary' ? this.setSecondarySubtitle(i) : this.selectSubtitle(i);
+
+        const loaded = this.loadedSubtitles.findIndex(sub => sub.embedded === extractUrl);
+        if (loaded !== -1) {
+            select(loaded);
+            return;
+        }
+
+        // Styled streams are extracted as ASS for the overlay renderer; image-based ones
+        // come back as a WebVTT index of PNGs
+        const isAss = track.codec === 'ass' || track.codec === 'ssa';
+        const partialUrl = `${extractUrl}&partial=1${isAss ? '&format=ass' : ''}`;
 
         try {
-            this.addSubtitleTrack(extractUrl, track.title);
-            this.showNotification(`Loaded: ${track.title}`);
+            const result = await this.fetchEmbeddedSubtitle(partialUrl, isAss);
+            this.addSubtitleTrack(this.createVttUrl(result.vtt), track.title, {
+                ass: result.ass,
+                embedded: extractUrl,
+                extraction: result.extraction,
+                bitmap: !!track.bitmap
+            });
+
+            const sub = this.loadedSubtitles[this.loadedSubtitles.length - 1];
+            sub.extractedLength = result.length;
+            select(this.loadedSubtitles.length - 1);
+
+            if (result.extraction.status === 'ready') {
+                this.showNotification(`Loaded: ${track.title}`);
+            } else {
+                this.showNotification(`Extracting: ${track.title}`);
+                this.pollEmbeddedSubtitle(sub, partialUrl, isAss);
+            }
         } catch (error) {
-            this.showNotification('Failed to load embedded subtitle', 'error');
+            this.showNotification(error.message || 'Failed to load embedded subtitle', 'error');
         }
     }
 
+    async fetchEmbeddedSubtitle(url, isAss) {
+        const response = await fetch(this.withAccessGrant(url));
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            throw new Error(body.error || `HTTP ${response.status}`);
+        }
+
+        const text = await response.text();
+        return {
+            vtt: isAss ? await this.convertAssToVtt(text) : text,
+            ass: isAss ? SubtitleFormats.parseAss(text) : null,
+            length: text.length,
+            extraction: {
+                status: response.headers.get('X-Extraction-Status') || 'ready',
+                progress: parseInt(response.headers.get('X-Extraction-Progress')) || 0
+            }
+        };
+    }
+
+    // Refresh a track whose extraction is still running, until it's complete
+    pollEmbeddedSubtitle(sub, url, isAss) {
+        setTimeout(async () => {
+            // Removed, or a different video loaded
+            if (!this.loadedSubtitles.includes(sub)) return;
+
+            try {
+                const result = await this.fetchEmbeddedSubtitle(url, isAss);
+                if (!this.loadedSubtitles.includes(sub)) return;
+
+                sub.extraction = result.extraction;
+                if (result.length !== sub.extractedLength) {
+                    sub.extractedLength = result.length;
+                    this.replaceSubtitleTrack(sub, result.vtt, result.ass);
+                } else {
+                    this.updateSubtitleTrackList();
+                }
+
+                if (result.extraction.status === 'ready') {
+                    this.showNotification(`Loaded: ${sub.label}`);
+                } else {
+                    this.pollEmbeddedSubtitle(sub, url, isAss);
+                }
+            } catch (error) {
+                sub.extraction = { status: 'error', progress: 0 };
+                this.updateSubtitleTrackList();
+                this.showNotification(`Extraction failed: ${error.message}`, 'error');
+            }
+        }, this.extractionPollInterval);
+    }
+
+    describeExtraction(sub) {
+        if (!sub.extraction || sub.extraction.status === 'ready') return '';
+
+        const text = sub.extraction.status === 'error'
+            ? 'incomplete'
+            : `extracting ${sub.extraction.progress}%`;
+        return ` <small class="subtitle-extraction">${text}</small>`;
+    }
+
     showAudioTrackInfo(audioTracks) {
-        if (this.audioBtn && !this.audioBtn.querySelector('.track-count-badge')) {
-            const badge = document.createElement('span');
+        if (!this.audioBtn) return;
+        
+        let badge = this.audioBtn.querySelector('.track-count-badge');
+        if (!badge) {
+            badge = document.createElement('span');
             badge.className = 'track-count-badge';
-            badge.textContent = audioTracks.length;
             this.audioBtn.appendChild(badge);
         }
+        badge.textContent = audioTracks.length;
+        this.audioBtn.classList.add('available');
     }
 }
 
@@ -0,0 +1,137 @@
+/**
+ * Playlist parsing for the player's queue: M3U/extended M3U, PLS and plain lists of URLs
+ * Shared by server.js (require) and the browser player (<script>), so a /play?list= link
+ * means the same queue on both sides.
+ * HLS media playlists are also .m3u8 files - they are streams, not queues, and are rejected.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('url').URL);
+    } else {
+        root.PlaylistFormats = factory(root.URL);
+    }
+})(typeof self !== 'undefined' ? self : this, function (UrlClass) {
+    'use strict';
+
+    const MAX_ITEMS = 500;
+
+    function stripBom(text) {
+        return text.replace(/^\uFEFF/, '');
+    }
+
+    /**
+     * HLS tags only appear in stream playlists, never in a list of videos
+     * @param {string} text
+     * @returns {boolean}
+     */
+    function isHlsPlaylist(text) {
+        return /^#EXT-X-/m.test(text);
+    }
+
+    // Relative entries need the playlist's own URL; anything that isn't http(s) is dropped
+    function resolveUrl(reference, baseUrl) {
+        try {
+            const resolved = baseUrl ? new UrlClass(reference, baseUrl) : new UrlClass(reference);
+            return resolved.protocol === 'http:' || resolved.protocol === 'https:' ? resolved.href : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function parseM3u(text, baseUrl) {
+        const items = [];
+        let title = null;
+
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.trim();
+            if (!line) return;
+
+            if (line.startsWith('#')) {
+                // #EXTINF:<duration> [attributes],<title>
+                const info = line.match(/^#EXTINF:[^,]*,(.*)$/i);
+                if (info) title = info[1].trim() || null;
+                return;
+            }
+
+            // A pasted line may hold several URLs separated by spaces
+            const words = line.split(/\s+/);
+            const references = words.length > 1 && words.every(word => /^[a-z][a-z\d+.-]*:\/\//i.test(word)) ? words : [line];
+            references.forEach(reference => {
+                const resolved = resolveUrl(reference, baseUrl);
+                if (resolved) items.push({ url: resolved, title: references.length === 1 ? title : null });
+            });
+            title = null;
+        });
+
+        return items;
+    }
+
+    function parsePls(text, baseUrl) {
+        const entries = {};
+        text.split(/\r?\n/).forEach(line => {
+            const match = line.trim().match(/^(File|Title)(\d+)=(.*)$/i);
+            if (!match) return;
+            const entry = entries[match[2]] || (entries[match[2]] = {});
+            entry[match[1].toLowerCase()] = match[3].trim();
+        });
+
+        return Object.keys(entries)
+            .sort((a, b) => a - b)
+            .map(number => entries[number])
+            .filter(entry => entry.file)
+            .map(entry => ({ url: resolveUrl(entry.file, baseUrl), title: entry.title || null }))
+            .filter(item => item.url);
+    }
+
+    /**
+     * Parse a playlist into queue items. Plain text is read as M3U without tags, so one URL
+     * per line (or several separated by spaces) works too.
+     * @param {string} text
+     * @param {string} [baseUrl] - where the playlist came from, for relative entries
+     * @returns {Array<{url: string, title: string|null}>}
+     */
+    function parse(text, baseUrl) {
+        text = stripBom(text);
+        if (isHlsPlaylist(text)) {
+            throw new Error('This is an HLS stream playlist - load it as a video instead');
+        }
+
+        const items = /^\s*\[playlist\]/i.test(text) ? parsePls(text, baseUrl) : parseM3u(text, baseUrl);
+        return items.slice(0, MAX_ITEMS);
+    }
+
+    /**
+     * The shortest text parse() reads back as the same queue: bare URLs, plus #EXTINF
+     * lines (and the #EXTM3U header) only when some item has a title
+     * @param {Array<{url: string, title?: string|null}>} items
+     * @returns {string}
+     */
+    function stringify(items) {
+        const titled = items.some(item => item.title);
+        const lines = titled ? ['#EXTM3U'] : [];
+        items.forEach(item => {
+            if (titled) lines.push(`#EXTINF:-1,${(item.title || '').replace(/[\r\n]+/g, ' ')}`);
+            lines.push(item.url);
+        });
+        return lines.join('\n');
+    }
+
+    /**
+     * Whether a URL names a playlist file (.m3u, .m3u8, .pls) rather than a video
+     * @param {string} value
+     * @returns {boolean}
+     */
+    function isPlaylistUrl(value) {
+        const resolved = resolveUrl(value);
+        return !!resolved && /\.(m3u8?|pls)$/i.test(new UrlClass(resolved).pathname);
+    }
+
+    return {
+        MAX_ITEMS,
+        isHlsPlaylist,
+        isPlaylistUrl,
+        parse,
+        stringify
+    };
+});
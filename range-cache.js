@@ -0,0 +1,310 @@
+/**
+ * Disk-backed cache for proxied media, kept as fixed-size blocks per URL
+ * A byte range is answered from the blocks on disk, and only the gaps between them are
+ * fetched upstream (and stored on the way through). Blocks are evicted least recently used
+ * first once the cache outgrows its budget. The index lives in memory, so whatever a
+ * previous run left in the directory is removed at startup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const MAX_ENTRIES = 1000; // files tracked at once; the least recently used go first
+const BLOCK_FILE = /^[0-9a-f]{40}-\d+(\.tmp\d+)?$/;
+
+/**
+ * @param {object} options
+ * @param {string} options.dir - directory for the block files
+ * @param {number} options.maxBytes - size budget; 0 turns the cache off
+ * @param {number} [options.blockSize=1048576] - bytes per block
+ */
+function createRangeCache({ dir, maxBytes, blockSize = 1024 * 1024 }) {
+    const enabled = maxBytes > 0;
+    const entries = new Map(); // url -> entry, least recently used first
+    const blocks = new Map();  // "<entry id>-<index>" -> { entry, index, size }, least recently used first
+    let usedBytes = 0;
+    let tempCounter = 0;
+    const counters = {
+        hits: 0,           // ranges served from disk alone
+        partialHits: 0,    // ranges that needed some gaps fetched
+        misses: 0,         // files seen for the first time
+        bytesFromCache: 0,
+        bytesFromUpstream: 0,
+        evictions: 0,
+        invalidations: 0
+    };
+
+    if (enabled) {
+        fs.mkdirSync(dir, { recursive: true });
+        // Only our own block files - the directory may be shared
+        fs.readdirSync(dir).filter(name => BLOCK_FILE.test(name)).forEach(name => {
+            fs.rmSync(path.join(dir, name), { force: true });
+        });
+    }
+
+    const blockPath = (entry, index) => path.join(dir, `${entry.id}-${index}`);
+    const blockLength = (entry, index) => Math.min(blockSize, entry.size - index * blockSize);
+
+    function touch(entry) {
+        entry.lastUsed = Date.now();
+        entries.delete(entry.url);
+        entries.set(entry.url, entry);
+    }
+
+    function dropBlock(key) {
+        const block = blocks.get(key);
+        if (!block) return;
+        blocks.delete(key);
+        usedBytes -= block.size;
+        block.entry.blocks.delete(block.index);
+        fs.rm(blockPath(block.entry, block.index), { force: true }, () => {});
+    }
+
+    /**
+     * What the cache knows about a URL, or null
+     * @param {string} url
+     * @returns {object|null}
+     */
+    function get(url) {
+        return (enabled && entries.get(url)) || null;
+    }
+
+    function remove(entry) {
+        entry.removed = true;
+        entries.delete(entry.url);
+        [...entry.blocks].forEach(index => dropBlock(`${entry.id}-${index}`));
+    }
+
+    /**
+     * Forget a file and delete its blocks (it changed upstream)
+     * @param {object} entry
+     */
+    function invalidate(entry) {
+        if (entry.removed) return;
+        remove(entry);
+        counters.invalidations++;
+    }
+
+    function sameFile(entry, info) {
+        return entry.size === info.size && entry.etag === (info.etag || null) &&
+            entry.lastModified === (info.lastModified || null);
+    }
+
+    function storeBlock(entry, index, data) {
+        if (entry.removed || entry.blocks.has(index) || data.length > maxBytes) return;
+
+        const file = blockPath(entry, index);
+        const temp = `${file}.tmp${tempCounter++}`;
+        fs.writeFile(temp, data, (err) => {
+            if (err || entry.removed || entry.blocks.has(index)) {
+                fs.rm(temp, { force: true }, () => {});
+                return;
+            }
+            fs.rename(temp, file, (renameErr) => {
+                if (renameErr || entry.removed) {
+                    fs.rm(renameErr ? temp : file, { force: true }, () => {});
+                    return;
+                }
+                entry.blocks.add(index);
+                blocks.set(`${entry.id}-${index}`, { entry, index, size: data.length });
+                usedBytes += data.length;
+
+                while (usedBytes > maxBytes && blocks.size > 0) {
+                    dropBlock(blocks.keys().next().value);
+                    counters.evictions++;
+                }
+            });
+        });
+    }
+
+    // Collects a stream that starts at `offset` into whole blocks and stores each as it
+    // completes; the part of a block the stream didn't cover is left out
+    function createBlockWriter(entry, offset) {
+        let index = Math.ceil(offset / blockSize);
+        let skip = index * blockSize - offset;
+        let parts = [];
+        let length = 0;
+
+        return {
+            write(chunk) {
+                if (skip > 0) {
+                    const skipped = Math.min(skip, chunk.length);
+                    skip -= skipped;
+                    chunk = chunk.subarray(skipped);
+                }
+                while (chunk.length > 0 && index * blockSize < entry.size) {
+                    const part = chunk.subarray(0, blockLength(entry, index) - length);
+                    parts.push(part);
+                    length += part.length;
+                    chunk = chunk.subarray(part.length);
+
+                    if (length === blockLength(entry, index)) {
+                        storeBlock(entry, index, Buffer.concat(parts, length));
+                        index++;
+                        parts = [];
+                        length = 0;
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Start caching a response that is passing through. Returns a writer for its body, or
+     * null when the cache is off. An entry with other validators is replaced.
+     * @param {string} url - the URL the client asked for
+     * @param {{size: number, etag?: string, lastModified?: string, contentType?: string, filename?: string}} info
+     * @param {number} offset - where in the file the body starts
+     * @returns {{write: (chunk: Buffer) => void}|null}
+     */
+    function store(url, info, offset) {
+        if (!enabled || !(info.size > 0)) return null;
+
+        let entry = entries.get(url);
+        if (entry && !sameFile(entry, info)) {
+            invalidate(entry);
+            entry = null;
+        }
+        if (!entry) {
+            entry = {
+                id: crypto.createHash('sha1').update(url).digest('hex'),
+                url: url,
+                size: info.size,
+                etag: info.etag || null,
+                lastModified: info.lastModified || null,
+                contentType: info.contentType || null,
+                filename: info.filename || null,
+                blocks: new Set(),
+                checkedAt: Date.now(),
+                lastUsed: Date.now(),
+                removed: false
+            };
+            counters.misses++;
+
+            while (entries.size >= MAX_ENTRIES) {
+                remove(entries.values().next().value);
+            }
+        }
+        touch(entry);
+        return createBlockWriter(entry, offset);
+    }
+
+    /**
+     * Whether every block of [start, end] is on disk
+     * @returns {boolean}
+     */
+    function covers(entry, start, end) {
+        for (let index = Math.floor(start / blockSize); index <= Math.floor(end / blockSize); index++) {
+            if (!entry.blocks.has(index)) return false;
+        }
+        return true;
+    }
+
+    function readBlock(entry, index) {
+        const key = `${entry.id}-${index}`;
+        const block = blocks.get(key);
+        if (!block) return Promise.resolve(null);
+
+        blocks.delete(key);
+        blocks.set(key, block);
+        return fs.promises.readFile(blockPath(entry, index)).catch(() => {
+            // Evicted while we got here
+            dropBlock(key);
+            return null;
+        });
+    }
+
+    async function* readRange(entry, start, end, fetchRange, store) {
+        const lastIndex = Math.floor(end / blockSize);
+        let position = start;
+
+        while (position <= end) {
+            const index = Math.floor(position / blockSize);
+            const data = await readBlock(entry, index);
+            if (data) {
+                const slice = data.subarray(position - index * blockSize, end - index * blockSize + 1);
+                counters.bytesFromCache += slice.length;
+                position += slice.length;
+                yield slice;
+                continue;
+            }
+
+            // Fetch whole blocks up to the next one on disk, so the gap can be stored
+            let last = index;
+            while (last < lastIndex && !entry.blocks.has(last + 1)) last++;
+            const gapStart = index * blockSize;
+            const gapEnd = Math.min((last + 1) * blockSize, entry.size) - 1;
+
+            const upstream = await fetchRange(gapStart, gapEnd);
+            const writer = store ? createBlockWriter(entry, gapStart) : null;
+            let offset = gapStart;
+            for await (const chunk of upstream) {
+                const piece = chunk.subarray(0, gapEnd + 1 - offset);
+                if (writer) writer.write(piece);
+
+                const from = Math.max(position, offset);
+                const to = Math.min(offset + piece.length, end + 1);
+                if (to > from) {
+                    counters.bytesFromUpstream += to - from;
+                    position = to;
+                    yield piece.subarray(from - offset, to - offset);
+                }
+                offset += piece.length;
+                if (offset > gapEnd) break;
+            }
+            if (offset <= gapEnd) {
+                throw new Error('Upstream ended early');
+            }
+        }
+    }
+
+    /**
+     * Bytes [start, end] of a cached file. Missing blocks come from fetchRange(start, end),
+     * which resolves to the upstream body for exactly that range.
+     * @param {object} entry
+     * @param {number} start
+     * @param {number} end - inclusive
+     * @param {(start: number, end: number) => Promise<import('stream').Readable>} fetchRange
+     * @param {object} [options]
+     * @param {boolean} [options.store=true] - keep the gaps that had to be fetched
+     * @returns {Readable}
+     */
+    function read(entry, start, end, fetchRange, { store = true } = {}) {
+        touch(entry);
+        if (covers(entry, start, end)) {
+            counters.hits++;
+        } else {
+            counters.partialHits++;
+        }
+        return Readable.from(readRange(entry, start, end, fetchRange, store));
+    }
+
+    /**
+     * Counters, space used and the files cached, most recently used first
+     * @param {object} [options]
+     * @param {boolean} [options.includeUrls=false] - name the cached files
+     * @returns {object}
+     */
+    function stats({ includeUrls = false } = {}) {
+        return {
+            enabled: enabled,
+            maxBytes: maxBytes,
+            usedBytes: usedBytes,
+            blockSize: blockSize,
+            blocks: blocks.size,
+            ...counters,
+            files: [...entries.values()].reverse().map(entry => ({
+                url: includeUrls ? entry.url : undefined,
+                size: entry.size,
+                cachedBytes: [...entry.blocks].reduce((total, index) => total + blockLength(entry, index), 0),
+                lastUsed: new Date(entry.lastUsed).toISOString()
+            }))
+        };
+    }
+
+    return { get, store, invalidate, covers, read, stats };
+}
+
+module.exports = { createRangeCache };
@@ -8,15 +8,81 @@ const https = require('https');
 const url = require('url');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
 const { pipeline } = require('stream');
-const { exec } = require('child_process');
-const { promisify } = require('util');
 const assToVtt = require('ass-to-vtt');
-
-const execAsync = promisify(exec);
+const SubtitleFormats = require('./subtitle-formats');
+const PlaylistFormats = require('./playlist-formats');
+const { createJobRunner } = require('./media-jobs');
+const { createDestinationPolicy } = require('./destination-policy');
+const { createAccessControl } = require('./access-control');
+const { createRangeCache } = require('./range-cache');
+const { changedError, responseSpan, ifRangeValidator, resumableBody } = require('./upstream-resume');
+const { isHlsPlaylist, isDashManifest, toProxyUrl, rewriteHlsPlaylist, rewriteDashManifest } = require('./manifest-rewrite');
 
 const PORT = process.env.PORT || 4000;
 
+// ffmpeg/ffprobe processes go through two runners. A transcode holds its slot for as long as
+// the video plays, so transcodes get their own pool and can't starve the short jobs
+// (analysis, thumbnails, subtitle extraction) in the other one.
+const MEDIA_JOB_CONCURRENCY = parseInt(process.env.MEDIA_JOB_CONCURRENCY) || 4;
+const STREAM_JOB_CONCURRENCY = parseInt(process.env.STREAM_JOB_CONCURRENCY) || 2;
+const ANALYZE_TIMEOUT = 30000; // 30s
+const ANALYZE_QUEUE_TIMEOUT = 60000; // an analysis that can't start within a minute fails
+const TRANSCODE_QUEUE_TIMEOUT = 15000; // so does a transcode after 15s - the player is waiting
+const BACKGROUND_QUEUE_TIMEOUT = 10 * 60 * 1000; // thumbnails and subtitle passes wait up to 10 minutes
+const MAX_ANALYSIS_SIZE = 10 * 1024 * 1024; // 10MB of ffprobe JSON
+const mediaJobs = createJobRunner({ concurrency: MEDIA_JOB_CONCURRENCY });
+const streamJobs = createJobRunner({ concurrency: STREAM_JOB_CONCURRENCY });
+
+// Where the server may fetch from on a user's behalf: http(s) only, never internal addresses
+// unless ALLOW_PRIVATE_NETWORKS is set, and optionally only (or never) certain domains
+const destinationPolicy = createDestinationPolicy({
+    allowedDomains: (process.env.ALLOWED_DOMAINS || '').split(','),
+    blockedDomains: (process.env.BLOCKED_DOMAINS || '').split(','),
+    allowPrivateNetworks: /^(1|true)$/i.test(process.env.ALLOW_PRIVATE_NETWORKS || '')
+});
+const MAX_REDIRECTS = 5;
+
+// An upstream transfer that stops short of the length it announced is picked up again with a
+// Range request from where it stopped, after a backoff
+const UPSTREAM_RESUME_ATTEMPTS = 5; // reconnects in a row that bring no data before giving up
+const UPSTREAM_RESUME_DELAY = 500; // ms before the first reconnect, doubling each time...
+const UPSTREAM_RESUME_MAX_DELAY = 8000; // ...up to this
+
+// Optional access control, on when AUTH_TOKENS or AUTH_PASSWORD is set. ffmpeg reads
+// through our own /proxy and gets in with MEDIA_ACCESS_TOKEN.
+const MEDIA_ACCESS_TOKEN = crypto.randomBytes(24).toString('hex');
+const accessControl = createAccessControl({
+    tokens: (process.env.AUTH_TOKENS || '').split(','),
+    password: process.env.AUTH_PASSWORD || '',
+    secret: process.env.AUTH_SECRET,
+    serviceToken: MEDIA_ACCESS_TOKEN,
+    linkTtl: parseInt(process.env.SHARE_LINK_TTL) || 24 * 60 * 60
+});
+
+// Progressive files passing through the proxy are kept on disk in blocks, so seeking back,
+// watching again, downloads and ffmpeg jobs reuse what was already fetched. CACHE_SIZE_MB=0 turns it off.
+const CACHE_DIR = process.env.CACHE_DIR || path.join(os.tmpdir(), 'streamflow-cache');
+const CACHE_SIZE_MB = parseInt(process.env.CACHE_SIZE_MB || '1024') || 0;
+const CACHE_REVALIDATE_INTERVAL = 60 * 1000; // a cached file is checked against upstream at most once a minute
+const rangeCache = createRangeCache({ dir: CACHE_DIR, maxBytes: CACHE_SIZE_MB * 1024 * 1024 });
+
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Endpoints that need access when access control is on...
+const PROTECTED_PATHS = [
+    '/proxy', '/download', '/subtitle/convert', '/subtitle/proxy', '/playlist', '/analyze', '/jobs', '/cache',
+    '/extract-subtitle', '/extract-subtitle/status', '/extract-subtitle/image', '/transcode',
+    '/thumbnails', '/thumbnails/index.vtt', '/thumbnails/sprite.jpg', '/sign'
+];
+// ...and those a signed share link opens for the one video it was made for
+const LINK_PATHS = [
+    '/proxy', '/download', '/analyze', '/extract-subtitle', '/extract-subtitle/status', '/extract-subtitle/image',
+    '/transcode', '/thumbnails', '/thumbnails/index.vtt', '/thumbnails/sprite.jpg'
+];
+
 // MIME types for serving static files
 const MIME_TYPES = {
     '.html': 'text/html',
@@ -32,6 +98,54 @@ const MIME_TYPES = {
     '.mp4': 'video/mp4'
 };
 
+// Playback engines served from node_modules at /vendor/<name> (no CDN needed)
+const VENDOR_SCRIPTS = {
+    'hls.min.js': path.join(__dirname, 'node_modules', 'hls.js', 'dist', 'hls.min.js'),
+    'dash.all.min.js': path.join(__dirname, 'node_modules', 'dashjs', 'dist', 'dash.all.min.js')
+};
+
+// Codecs browsers decode from fragmented MP4 without help (used when the client doesn't say)
+const BROWSER_VIDEO_CODECS = ['h264', 'vp9', 'av1'];
+const BROWSER_AUDIO_CODECS = ['aac', 'mp3', 'opus', 'flac'];
+
+// Manifests are buffered in memory for rewriting, so cap their size
+const MAX_MANIFEST_SIZE = 10 * 1024 * 1024; // 10MB
+
+// Subtitles are converted in memory, so cap what we download
+const MAX_SUBTITLE_SIZE = 20 * 1024 * 1024; // 20MB
+
+// Playlists (.m3u/.pls) for the player's queue are parsed whole too
+const MAX_PLAYLIST_SIZE = 1024 * 1024; // 1MB
+
+// Seek-bar thumbnails: up to THUMBNAIL_COUNT frames tiled into one sprite sheet. Each frame is
+// one input seek, so the count bounds how many ranges of the video are fetched.
+const THUMBNAIL_WIDTH = 160;
+const THUMBNAIL_HEIGHT = 90;
+const THUMBNAIL_COLUMNS = 10;
+const THUMBNAIL_COUNT = 50;
+const THUMBNAIL_MIN_INTERVAL = 2; // seconds
+const THUMBNAIL_FRAME_TIMEOUT = 30000; // 30s per frame
+const THUMBNAIL_RETRY_DELAY = 5 * 60 * 1000; // failed jobs are retried after 5 minutes
+const THUMBNAIL_CACHE_DIR = path.join(os.tmpdir(), 'streamflow-thumbnails');
+const MAX_THUMBNAIL_JOBS = 20;
+
+// Thumbnail jobs keyed by video URL, generated one at a time in the background
+const thumbnailJobs = new Map();
+let thumbnailQueue = Promise.resolve();
+
+// Embedded subtitles: one ffmpeg pass demuxes every text stream of a video into the cache
+const SUBTITLE_CACHE_DIR = path.join(os.tmpdir(), 'streamflow-subtitles');
+const SUBTITLE_STALL_TIMEOUT = 2 * 60 * 1000; // a pass that makes no progress for 2 minutes is stopped
+const SUBTITLE_RETRY_DELAY = 5 * 60 * 1000; // failed passes are retried after 5 minutes
+const MAX_SUBTITLE_JOBS = 20;
+
+// Picture-based streams (Blu-ray PGS, DVD VobSub, DVB) are rendered to PNGs instead of text
+const BITMAP_SUBTITLE_CODECS = ['hdmv_pgs_subtitle', 'dvd_subtitle', 'dvb_subtitle', 'dvb_teletext', 'xsub'];
+
+// Subtitle extraction jobs keyed by video URL, one pass at a time in the background
+const subtitleJobs = new Map();
+let subtitleQueue = Promise.resolve();
+
 const server = http.createServer(async (req, res) => {
     const parsedUrl = url.parse(req.url, true);
     const pathname = parsedUrl.pathname;
@@ -39,7 +153,7 @@ const server = http.createServer(async (req, res) => {
     // Add CORS headers to all responses
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Range, Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Range, Content-Type, Authorization');
     res.setHeader('Access-Control-Expose-Headers', 'Content-Length, Content-Range, Accept-Ranges');
     
     // Handle preflight requests
@@ -48,18 +162,144 @@ const server = http.createServer(async (req, res) => {
         res.end();
         return;
     }
+
+    // Sign-in status endpoint: /auth/status - whether the server wants a sign-in, and how this request is signed in
+    if (pathname === '/auth/status') {
+        const via = accessControl.enabled ? accessControl.authenticate(req) : null;
+        res.writeHead(200, {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-cache'
+        });
+        res.end(JSON.stringify({ required: accessControl.enabled, signedIn: !!via, via: via }));
+        return;
+    }
+
+    // Sign-in endpoint: POST /auth/login with JSON { password } (the password or an API token) - sets the session cookie
+    if (pathname === '/auth/login') {
+        if (req.method !== 'POST') {
+            res.writeHead(405, { 'Content-Type': 'application/json', 'Allow': 'POST' });
+            res.end(JSON.stringify({ error: 'Use POST' }));
+            return;
+        }
+
+        let credential = null;
+        try {
+            credential = JSON.parse((await readResponseBody(req, 4096)).toString('utf8')).password;
+        } catch (error) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Expected JSON { password }' }));
+            return;
+        }
+
+        if (!accessControl.enabled || !accessControl.checkCredential(String(credential || ''))) {
+            console.warn(`🔒 Failed sign-in from ${req.socket.remoteAddress}`);
+            res.writeHead(401, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Wrong password or token' }));
+            return;
+        }
+
+        const secure = !!req.socket.encrypted || req.headers['x-forwarded-proto'] === 'https';
+        res.writeHead(200, {
+            'Content-Type': 'application/json',
+            'Set-Cookie': accessControl.sessionCookie(secure)
+        });
+        res.end(JSON.stringify({ signedIn: true }));
+        return;
+    }
+
+    // Sign-out endpoint: POST /auth/logout - clears the session cookie
+    if (pathname === '/auth/logout') {
+        if (req.method !== 'POST') {
+            res.writeHead(405, { 'Content-Type': 'application/json', 'Allow': 'POST' });
+            res.end(JSON.stringify({ error: 'Use POST' }));
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'application/json',
+            'Set-Cookie': accessControl.clearedCookie()
+        });
+        res.end(JSON.stringify({ signedIn: false }));
+        return;
+    }
+
+    // With access control on, the API needs a sign-in or an API token - or, for the endpoints
+    // that work on one video, a signed share link for that video's URL
+    let access = null;
+    if (accessControl.enabled && PROTECTED_PATHS.includes(pathname)) {
+        access = authorizeRequest(req, pathname, parsedUrl.query);
+        if (access.error) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (access.status === 401) headers['WWW-Authenticate'] = 'Bearer';
+            res.writeHead(access.status, headers);
+            res.end(JSON.stringify({ error: access.error }));
+            return;
+        }
+    }
     
     // Play endpoint: /play?url=VIDEO_URL - Opens video in web player
+    // /play?list=LIST opens a queue; LIST is playlist text (URLs one per line, M3U or PLS)
+    // or the URL of a hosted .m3u/.pls playlist. url= then names the queue item to start at.
     if (pathname === '/play') {
         const videoUrl = parsedUrl.query.url;
+        const list = parsedUrl.query.list;
 
-        if (!videoUrl) {
+        if (!videoUrl && !list) {
             // Redirect to home if no URL provided
             res.writeHead(302, { 'Location': '/' });
             res.end();
             return;
         }
 
+        // A signed share link opens the player (and this video's endpoints) without a sign-in
+        let grant = null;
+        if (accessControl.enabled && videoUrl && parsedUrl.query.sig) {
+            try {
+                const link = accessControl.verifyLink(videoUrl, parsedUrl.query);
+                grant = { url: videoUrl, expires: link.expires, scope: parsedUrl.query.scope || null, sig: parsedUrl.query.sig };
+            } catch (error) {
+                res.writeHead(403, { 'Content-Type': 'text/plain' });
+                res.end(error.message);
+                return;
+            }
+        }
+
+        let queue = null;
+        if (list) {
+            try {
+                queue = PlaylistFormats.parse(list);
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'text/plain' });
+                res.end(`Invalid playlist: ${error.message}`);
+                return;
+            }
+
+            if (queue.length === 1 && PlaylistFormats.isPlaylistUrl(queue[0].url)) {
+                // Fetching the playlist is the server's work, so it needs a sign-in
+                if (accessControl.enabled && !accessControl.authenticate(req)) {
+                    res.writeHead(401, { 'Content-Type': 'text/plain' });
+                    res.end('Sign in to open a hosted playlist');
+                    return;
+                }
+
+                console.log(`\n📃 Loading playlist: ${queue[0].url}`);
+                try {
+                    queue = await fetchPlaylist(queue[0].url);
+                } catch (error) {
+                    console.error('❌ Playlist error:', error.message);
+                    res.writeHead(errorStatus(error, 502), { 'Content-Type': 'text/plain' });
+                    res.end(`Could not load playlist: ${error.message}`);
+                    return;
+                }
+            }
+
+            if (queue.length === 0) {
+                res.writeHead(400, { 'Content-Type': 'text/plain' });
+                res.end('Playlist has no http(s) URLs');
+                return;
+            }
+        }
+
         // Serve index.html with the video URL pre-loaded
         const indexPath = path.join(__dirname, 'index.html');
         fs.readFile(indexPath, 'utf8', (err, data) => {
@@ -70,7 +310,7 @@ const server = http.createServer(async (req, res) => {
             }
 
             // Inject script to auto-load the video
-            const autoLoadScript = `
+            const autoLoadScript = !videoUrl ? '' : `
                 <script>
                     window.addEventListener('DOMContentLoaded', () => {
                         const urlInput = document.getElementById('urlInput');
@@ -86,8 +326,15 @@ const server = http.createServer(async (req, res) => {
                 </script>
             `;
 
+            // The player picks the queue up when it starts (escaped so a title can't close the tag)
+            const queueScript = !queue ? '' :
+                `<script>window.STREAMFLOW_QUEUE = ${JSON.stringify(queue).replace(/</g, '\\u003c')};</script>`;
+
+            const grantScript = !grant ? '' :
+                `<script>window.STREAMFLOW_GRANT = ${JSON.stringify(grant).replace(/</g, '\\u003c')};</script>`;
+
             // Insert before closing body tag
-            const modifiedHtml = data.replace('</body>', `${autoLoadScript}</body>`);
+            const modifiedHtml = data.replace('</body>', () => `${grantScript}${queueScript}${autoLoadScript}</body>`);
 
             res.writeHead(200, { 'Content-Type': 'text/html' });
             res.end(modifiedHtml);
@@ -107,13 +354,20 @@ const server = http.createServer(async (req, res) => {
 
         console.log(`\n🎬 Proxying: ${videoUrl}`);
 
+        // A manifest opened through a signed link gets its URLs signed too (until that link
+        // expires), so players can follow them; signed-in requests rely on the cookie or token
+        const linkExpires = access && access.via === 'link' ? access.expires : null;
+        // ffmpeg's reads may be served from the range cache but don't go into it: a whole-file
+        // pass would push out the blocks of whatever is being watched
+        const storeInCache = accessControl.authenticate(req) !== 'service';
+
         try {
-            await proxyVideo(videoUrl, req, res);
+            await proxyVideo(videoUrl, req, res, { linkExpires, storeInCache });
         } catch (error) {
             console.error('❌ Proxy error:', error.message);
             // Only send error if headers haven't been sent
             if (!res.headersSent) {
-                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.writeHead(errorStatus(error), { 'Content-Type': 'application/json' });
                 res.end(JSON.stringify({ error: error.message }));
             }
         }
@@ -138,14 +392,14 @@ const server = http.createServer(async (req, res) => {
         } catch (error) {
             console.error('❌ Download error:', error.message);
             if (!res.headersSent) {
-                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.writeHead(errorStatus(error), { 'Content-Type': 'application/json' });
                 res.end(JSON.stringify({ error: error.message }));
             }
         }
         return;
     }
 
-    // Subtitle conversion endpoint: /subtitle/convert?url=SUBTITLE_URL
+    // Subtitle conversion endpoint: /subtitle/convert?url=SUBTITLE_URL&fps=FRAME_RATE&charset=ENCODING
     if (pathname === '/subtitle/convert') {
         const subtitleUrl = parsedUrl.query.url;
 
@@ -158,18 +412,47 @@ const server = http.createServer(async (req, res) => {
         console.log(`\n📝 Converting subtitle: ${subtitleUrl}`);
 
         try {
-            await convertAndProxySubtitle(subtitleUrl, req, res);
+            await convertAndProxySubtitle(subtitleUrl, {
+                fps: parseFloat(parsedUrl.query.fps) || undefined,
+                charset: parsedUrl.query.charset
+            }, req, res);
         } catch (error) {
             console.error('❌ Subtitle conversion error:', error.message);
             if (!res.headersSent) {
-                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.writeHead(errorStatus(error), { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: error.message }));
+            }
+        }
+        return;
+    }
+
+    // Playlist endpoint: /playlist?url=PLAYLIST_URL - a hosted .m3u/.pls as queue items (JSON)
+    if (pathname === '/playlist') {
+        const playlistUrl = parsedUrl.query.url;
+
+        if (!playlistUrl) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Missing url parameter' }));
+            return;
+        }
+
+        console.log(`\n📃 Loading playlist: ${playlistUrl}`);
+
+        try {
+            const items = await fetchPlaylist(playlistUrl);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ items }));
+        } catch (error) {
+            console.error('❌ Playlist error:', error.message);
+            if (!res.headersSent) {
+                res.writeHead(errorStatus(error), { 'Content-Type': 'application/json' });
                 res.end(JSON.stringify({ error: error.message }));
             }
         }
         return;
     }
 
-    // Subtitle proxy endpoint: /subtitle/proxy?url=SUBTITLE_URL
+    // Subtitle proxy endpoint: /subtitle/proxy?url=SUBTITLE_URL&charset=ENCODING&raw=1
     if (pathname === '/subtitle/proxy') {
         const subtitleUrl = parsedUrl.query.url;
 
@@ -182,11 +465,14 @@ const server = http.createServer(async (req, res) => {
         console.log(`\n📝 Proxying subtitle: ${subtitleUrl}`);
 
         try {
-            await proxySubtitle(subtitleUrl, req, res);
+            await proxySubtitle(subtitleUrl, {
+                charset: parsedUrl.query.charset,
+                raw: parsedUrl.query.raw === '1'
+            }, req, res);
         } catch (error) {
             console.error('❌ Subtitle proxy error:', error.message);
             if (!res.headersSent) {
-                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.writeHead(errorStatus(error), { 'Content-Type': 'application/json' });
                 res.end(JSON.stringify({ error: error.message }));
             }
         }
@@ -203,18 +489,20 @@ const server = http.createServer(async (req, res) => {
             return;
         }
 
+        if (!await checkDestination(videoUrl, res)) return;
+
         console.log(`\n🔍 Analyzing video: ${videoUrl}`);
 
         try {
-            const analysis = await analyzeVideo(videoUrl);
+            const analysis = await analyzeVideo(videoUrl, { client: res });
             res.writeHead(200, {
                 'Content-Type': 'application/json',
                 'Access-Control-Allow-Origin': '*'
             });
             res.end(JSON.stringify(analysis));
         } catch (error) {
-            console.error('❌ Analysis error:', error.message);
-            res.writeHead(500, { 'Content-Type': 'application/json' });
+            if (!error.cancelled) console.error('❌ Analysis error:', error.message);
+            res.writeHead(errorStatus(error), { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({
                 error: error.message,
                 ffprobeAvailable: false
@@ -223,10 +511,60 @@ const server = http.createServer(async (req, res) => {
         return;
     }
 
-    // Extract subtitle endpoint: /extract-subtitle?url=VIDEO_URL&index=N
+    // Share link signature: /sign?url=VIDEO_URL - { url, expires, sig } for the player's /play, /proxy and /download links
+    if (pathname === '/sign') {
+        const videoUrl = parsedUrl.query.url;
+
+        if (!videoUrl) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Missing url parameter' }));
+            return;
+        }
+
+        if (!accessControl.enabled) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Access control is off - links work without a signature' }));
+            return;
+        }
+
+        const { expires, sig } = accessControl.signLink(videoUrl);
+        res.writeHead(200, {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-cache'
+        });
+        res.end(JSON.stringify({ url: videoUrl, expires, sig }));
+        return;
+    }
+
+    // Media jobs endpoint: /jobs - ffmpeg/ffprobe processes running, waiting and recently finished
+    if (pathname === '/jobs') {
+        res.writeHead(200, {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-cache'
+        });
+        // Which videos are being worked on is only shown to a signed-in user or API token
+        const includeUrls = !!access;
+        res.end(JSON.stringify({ ...mediaJobs.list({ includeUrls }), streaming: streamJobs.list({ includeUrls }) }));
+        return;
+    }
+
+    // Range cache endpoint: /cache - space used, hit counters and the files cached
+    if (pathname === '/cache') {
+        res.writeHead(200, {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-cache'
+        });
+        // Like /jobs, the cached URLs are only shown to a signed-in user or API token
+        res.end(JSON.stringify(rangeCache.stats({ includeUrls: !!access })));
+        return;
+    }
+
+    // Extract subtitle endpoint: /extract-subtitle?url=VIDEO_URL&index=N&format=vtt|ass&partial=1
+    // (partial=1 answers straight away with the cues extracted so far)
     if (pathname === '/extract-subtitle') {
         const videoUrl = parsedUrl.query.url;
-        const subtitleIndex = parsedUrl.query.index || '0';
+        const subtitleIndex = parseInt(parsedUrl.query.index) || 0;
+        const format = parsedUrl.query.format === 'ass' ? 'ass' : 'vtt';
 
         if (!videoUrl) {
             res.writeHead(400, { 'Content-Type': 'application/json' });
@@ -234,10 +572,11 @@ const server = http.createServer(async (req, res) => {
             return;
         }
 
-        console.log(`\n📤 Extracting subtitle ${subtitleIndex} from: ${videoUrl}`);
+        if (!await checkDestination(videoUrl, res)) return;
 
         try {
-            await extractSubtitle(videoUrl, subtitleIndex, req, res);
+            const job = getSubtitleJob(videoUrl);
+            await sendExtractedSubtitle(job, subtitleIndex, format, parsedUrl.query.partial === '1', res);
         } catch (error) {
             console.error('❌ Extraction error:', error.message);
             if (!res.headersSent) {
@@ -248,6 +587,172 @@ const server = http.createServer(async (req, res) => {
         return;
     }
 
+    // Subtitle extraction status endpoint: /extract-subtitle/status?url=VIDEO_URL (starts extraction on first request)
+    if (pathname === '/extract-subtitle/status') {
+        const videoUrl = parsedUrl.query.url;
+
+        if (!videoUrl) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Missing url parameter' }));
+            return;
+        }
+
+        if (!await checkDestination(videoUrl, res)) return;
+
+        const job = getSubtitleJob(videoUrl);
+        res.writeHead(200, {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-cache'
+        });
+        res.end(JSON.stringify(describeSubtitleJob(job)));
+        return;
+    }
+
+    // Bitmap subtitle pictures: /extract-subtitle/image?url=VIDEO_URL&index=N&frame=F (listed in the stream's VTT index)
+    if (pathname === '/extract-subtitle/image') {
+        const job = subtitleJobs.get(parsedUrl.query.url);
+        const subtitleIndex = parseInt(parsedUrl.query.index);
+        const frame = parseInt(parsedUrl.query.frame);
+        const stream = job && job.streams && job.streams.find(s => s.bitmap && s.index === subtitleIndex);
+
+        if (!stream || !(frame > 0)) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Subtitle image not found' }));
+            return;
+        }
+
+        fs.readFile(path.join(stream.dir, `${frame}.png`), (err, data) => {
+            if (err) {
+                res.writeHead(404);
+                res.end('File not found');
+                return;
+            }
+
+            res.writeHead(200, {
+                'Content-Type': 'image/png',
+                'Cache-Control': 'public, max-age=3600'
+            });
+            res.end(data);
+        });
+        return;
+    }
+
+    // Transcode endpoint: /transcode?url=VIDEO_URL&start=SECONDS&audioTrack=N&video=copy|transcode&audio=copy|transcode
+    if (pathname === '/transcode') {
+        const videoUrl = parsedUrl.query.url;
+        const start = parseFloat(parsedUrl.query.start) || 0;
+        const audioTrack = parseInt(parsedUrl.query.audioTrack) || 0;
+
+        if (!videoUrl) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Missing url parameter' }));
+            return;
+        }
+
+        if (!await checkDestination(videoUrl, res)) return;
+
+        console.log(`\n🎞️ Transcoding from ${start}s (audio track ${audioTrack}): ${videoUrl}`);
+
+        try {
+            await transcodeVideo(videoUrl, {
+                start: Math.max(0, start),
+                audioTrack: Math.max(0, audioTrack),
+                video: parsedUrl.query.video,
+                audio: parsedUrl.query.audio
+            }, req, res);
+        } catch (error) {
+            console.error('❌ Transcode error:', error.message);
+            if (!res.headersSent) {
+                res.writeHead(errorStatus(error), { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: error.message }));
+            }
+        }
+        return;
+    }
+
+    // Thumbnail status endpoint: /thumbnails?url=VIDEO_URL (starts generation on first request)
+    if (pathname === '/thumbnails') {
+        const videoUrl = parsedUrl.query.url;
+
+        if (!videoUrl) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Missing url parameter' }));
+            return;
+        }
+
+        if (!await checkDestination(videoUrl, res)) return;
+
+        const job = getThumbnailJob(videoUrl);
+        res.writeHead(200, {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-cache'
+        });
+        res.end(JSON.stringify(describeThumbnailJob(job)));
+        return;
+    }
+
+    // Thumbnail index and sprite sheet: /thumbnails/index.vtt?url=VIDEO_URL, /thumbnails/sprite.jpg?url=VIDEO_URL
+    if (pathname === '/thumbnails/index.vtt' || pathname === '/thumbnails/sprite.jpg') {
+        const job = thumbnailJobs.get(parsedUrl.query.url);
+
+        if (!job || job.status !== 'ready') {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Thumbnails not ready' }));
+            return;
+        }
+
+        if (pathname === '/thumbnails/index.vtt') {
+            res.writeHead(200, {
+                'Content-Type': 'text/vtt; charset=utf-8',
+                'Cache-Control': 'public, max-age=3600'
+            });
+            res.end(buildThumbnailVtt(job));
+            return;
+        }
+
+        fs.readFile(job.spritePath, (err, data) => {
+            if (err) {
+                res.writeHead(404);
+                res.end('File not found');
+                return;
+            }
+
+            res.writeHead(200, {
+                'Content-Type': 'image/jpeg',
+                'Cache-Control': 'public, max-age=3600'
+            });
+            res.end(data);
+        });
+        return;
+    }
+
+    // Vendored playback engines: /vendor/hls.min.js, /vendor/dash.all.min.js
+    if (pathname.startsWith('/vendor/')) {
+        const vendorPath = VENDOR_SCRIPTS[pathname.slice('/vendor/'.length)];
+
+        if (!vendorPath) {
+            res.writeHead(404);
+            res.end('File not found');
+            return;
+        }
+
+        fs.readFile(vendorPath, (err, data) => {
+            if (err) {
+                console.error('❌ Vendor script missing (run npm install):', vendorPath);
+                res.writeHead(404);
+                res.end('File not found');
+                return;
+            }
+
+            res.writeHead(200, {
+                'Content-Type': 'application/javascript',
+                'Cache-Control': 'public, max-age=86400'
+            });
+            res.end(data);
+        });
+        return;
+    }
+
     // Serve static files
     let filePath = pathname === '/' ? '/index.html' : pathname;
     filePath = path.join(__dirname, filePath);
@@ -279,52 +784,159 @@ const server = http.createServer(async (req, res) => {
     });
 });
 
-function proxyVideo(videoUrl, clientReq, clientRes) {
+// Who may use a protected endpoint: { via: 'token'|'session'|'link', expires? } or { status, error }.
+// A link is only checked when nothing else signs the request in.
+function authorizeRequest(req, pathname, query) {
+    const via = accessControl.authenticate(req);
+    if (via) {
+        return { via };
+    }
+
+    if (LINK_PATHS.includes(pathname)) {
+        try {
+            const link = accessControl.verifyLink(query.url, query);
+            if (link) return { via: 'link', expires: link.expires };
+        } catch (error) {
+            return { status: 403, error: error.message };
+        }
+    }
+    return { status: 401, error: 'Sign in required' };
+}
+
+// 400 for a charset the request named that doesn't exist, 403 for a destination the policy
+// refuses, 503 when ffmpeg couldn't get a slot in time, 504 when it ran out of time,
+// 500 (or the given status) for anything else
+function errorStatus(error, fallback = 500) {
+    if (error.code === 'ECHARSET') return 400;
+    if (error.code === 'EDESTINATION') return 403;
+    if (error.code === 'EBUSY') return 503;
+    if (error.code === 'ETIMEDOUT') return 504;
+    return fallback;
+}
+
+// For endpoints that hand the URL to ffmpeg: refuse it before any job starts.
+// Answers the request and returns false when the URL can't be used.
+async function checkDestination(targetUrl, res) {
+    try {
+        await destinationPolicy.resolve(targetUrl);
+        return true;
+    } catch (error) {
+        console.error('🚫 Refused:', targetUrl, '-', error.message);
+        res.writeHead(errorStatus(error, 502), { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message }));
+        return false;
+    }
+}
+
+// Every upstream request starts here. The URL is checked against the destination policy
+// (throws if refused) and the policy's lookup checks the addresses the host resolves to as
+// the connection is made, so a redirect or a changed DNS record can't reach inside.
+function requestUpstream(targetUrl, options, onResponse) {
+    const target = destinationPolicy.check(targetUrl);
+    const protocol = target.protocol === 'https:' ? https : http;
+
+    return protocol.request({
+        hostname: target.hostname.replace(/^\[(.*)\]$/, '$1'),
+        port: target.port || (target.protocol === 'https:' ? 443 : 80),
+        path: target.pathname + target.search,
+        lookup: destinationPolicy.lookup,
+        ...options
+    }, onResponse);
+}
+
+// Follow a redirect from one upstream URL; null once the chain gets too long
+function redirectTarget(fromUrl, location, redirects) {
+    if (redirects >= MAX_REDIRECTS) {
+        return null;
+    }
+    return new URL(location, fromUrl).href;
+}
+
+// The body of an upstream response, picked up again from targetUrl if the connection drops
+function upstreamBody(targetUrl, proxyRes, requestHeaders) {
+    const request = (options, onResponse) => requestUpstream(targetUrl, options, onResponse);
+    return resumableBody(proxyRes, request, requestHeaders, {
+        attempts: UPSTREAM_RESUME_ATTEMPTS,
+        delay: UPSTREAM_RESUME_DELAY,
+        maxDelay: UPSTREAM_RESUME_MAX_DELAY,
+        onRetry: ({ position, reason, delay, attempt, attempts }) => {
+            console.warn(`🔁 Upstream dropped at byte ${position} (${reason.message}), resuming in ${delay}ms ` +
+                `(attempt ${attempt}/${attempts})`);
+        }
+    });
+}
+
+// options.linkExpires: sign the URLs written into manifests until then (access control on)
+// options.cacheUrl: the URL the client asked for, which the range cache knows the file by
+// options.storeInCache: false to read from the range cache without adding to it
+// options.wholeManifest: don't forward the client's Range (the response turned out to be a manifest)
+function proxyVideo(videoUrl, clientReq, clientRes, options = {}) {
+    const {
+        redirects = 0, linkExpires = null, cacheUrl = videoUrl, storeInCache = true, wholeManifest = false
+    } = options;
+
+    // Files the range cache knows are served from its blocks
+    const cached = ['GET', 'HEAD'].includes(clientReq.method) && rangeCache.get(cacheUrl);
+    if (cached) {
+        return serveCachedVideo(cached, clientReq, clientRes, storeInCache)
+            .then(served => served || proxyVideo(videoUrl, clientReq, clientRes, options));
+    }
+
     return new Promise((resolve, reject) => {
         const parsedUrl = url.parse(videoUrl);
-        const protocol = parsedUrl.protocol === 'https:' ? https : http;
         
         // Forward Range header for seeking support
         const headers = {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+            'User-Agent': BROWSER_USER_AGENT,
             'Accept': '*/*',
             'Accept-Encoding': 'identity',
             'Connection': 'keep-alive',
             'Referer': `${parsedUrl.protocol}//${parsedUrl.hostname}/`
         };
         
-        // Forward Range header for seeking
-        if (clientReq.headers.range) {
+        // Forward Range header for seeking (manifests are always fetched whole so they can be rewritten)
+        if (clientReq.headers.range && !wholeManifest && !isHlsPlaylist(videoUrl) && !isDashManifest(videoUrl)) {
             headers['Range'] = clientReq.headers.range;
             console.log(`📍 Range: ${clientReq.headers.range}`);
         }
         
-        const options = {
-            hostname: parsedUrl.hostname,
-            port: parsedUrl.port || (parsedUrl.protocol === 'https:' ? 443 : 80),
-            path: parsedUrl.path,
+        const requestOptions = {
             method: clientReq.method || 'GET',
             headers: headers,
             timeout: 30000
         };
         
-        const proxyReq = protocol.request(options, (proxyRes) => {
+        const proxyReq = requestUpstream(videoUrl, requestOptions, (proxyRes) => {
             console.log(`📥 Response: ${proxyRes.statusCode}`);
             
             // Handle redirects
             if (proxyRes.statusCode >= 300 && proxyRes.statusCode < 400 && proxyRes.headers.location) {
-                let redirectUrl = proxyRes.headers.location;
-                // Handle relative redirects
-                if (redirectUrl.startsWith('/')) {
-                    redirectUrl = `${parsedUrl.protocol}//${parsedUrl.hostname}${redirectUrl}`;
+                // Handle relative redirects - the final URL is the base for manifest rewriting.
+                // Each hop goes back through the destination policy.
+                const redirectUrl = redirectTarget(videoUrl, proxyRes.headers.location, redirects);
+                proxyRes.resume();
+                if (!redirectUrl) {
+                    reject(new Error('Too many redirects'));
+                    return;
                 }
                 console.log(`🔄 Redirect: ${redirectUrl}`);
-                proxyVideo(redirectUrl, clientReq, clientRes)
+                proxyVideo(redirectUrl, clientReq, clientRes, { ...options, redirects: redirects + 1, cacheUrl })
                     .then(resolve)
                     .catch(reject);
                 return;
             }
             
+            // A manifest known only by its Content-Type came back partial - fetch it whole to rewrite it
+            const contentType = proxyRes.headers['content-type'];
+            if (proxyRes.statusCode === 206 && !wholeManifest &&
+                (isHlsPlaylist(videoUrl, contentType) || isDashManifest(videoUrl, contentType))) {
+                proxyRes.resume();
+                proxyVideo(videoUrl, clientReq, clientRes, { ...options, wholeManifest: true })
+                    .then(resolve)
+                    .catch(reject);
+                return;
+            }
+
             // Extract filename from Content-Disposition or URL
             let filename = 'unknown';
             const contentDisposition = proxyRes.headers['content-disposition'];
@@ -360,35 +972,69 @@ function proxyVideo(videoUrl, clientReq, clientRes) {
                 responseHeaders['Content-Range'] = proxyRes.headers['content-range'];
             }
             
-            // Use appropriate status code
-            const statusCode = proxyRes.statusCode;
-            
-            if (!clientRes.headersSent) {
-                clientRes.writeHead(statusCode, responseHeaders);
-            }
-            
-            // Pipe the video stream to client
-            proxyRes.pipe(clientRes);
+            // HLS playlists are rewritten so segments, keys and variants also go through the proxy
+            if (proxyRes.statusCode === 200 && isHlsPlaylist(videoUrl, proxyRes.headers['content-type'])) {
+                responseHeaders['Content-Type'] = 'application/vnd.apple.mpegurl';
+                sendRewrittenManifest(proxyRes, clientReq, clientRes, responseHeaders, (playlist) => {
+                    return rewriteHlsPlaylist(playlist, videoUrl, manifestLinks(videoUrl, linkExpires));
+                })
+                    .then(resolve)
+                    .catch(reject);
+                return;
+            }
+
+            // DASH manifests get the same treatment, including inherited BaseURLs
+            if (proxyRes.statusCode === 200 && isDashManifest(videoUrl, proxyRes.headers['content-type'])) {
+                responseHeaders['Content-Type'] = 'application/dash+xml';
+                sendRewrittenManifest(proxyRes, clientReq, clientRes, responseHeaders, (manifest) => {
+                    try {
+                        return rewriteDashManifest(manifest, videoUrl, manifestLinks(videoUrl, linkExpires));
+                    } catch (error) {
+                        console.warn('⚠️ Passing the manifest through:', error.message);
+                        return manifest;
+                    }
+                })
+                    .then(resolve)
+                    .catch(reject);
+                return;
+            }
+
+            // The body carries on from where it stopped if the upstream connection drops
+            const body = clientReq.method === 'HEAD' ? proxyRes : upstreamBody(videoUrl, proxyRes, headers);
+
+            // Progressive files go into the range cache on their way through
+            const cacheable = storeInCache && clientReq.method === 'GET' && cacheableResponse(proxyRes, filename);
+            const cacheWriter = cacheable && rangeCache.store(cacheUrl, cacheable.info, cacheable.offset);
+            if (cacheWriter) {
+                responseHeaders['X-Cache'] = 'MISS';
+                body.on('data', chunk => cacheWriter.write(chunk));
+            }
+
+            // Use appropriate status code
+            const statusCode = proxyRes.statusCode;
             
-            proxyRes.on('end', () => {
-                console.log('✅ Done');
-                resolve();
-            });
+            if (!clientRes.headersSent) {
+                clientRes.writeHead(statusCode, responseHeaders);
+            }
             
-            proxyRes.on('error', (err) => {
-                console.error('Stream error:', err.message);
-                if (!clientRes.headersSent) {
-                    reject(err);
-                } else {
-                    resolve(); // Already streaming, just end
+            // Pipe the video stream to client
+            pipeline(body, clientRes, (err) => {
+                if (!err) {
+                    console.log('✅ Done');
+                } else if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                    console.error('Stream error:', err.message);
                 }
+                resolve(); // Already streaming, just end
             });
         });
         
         proxyReq.on('timeout', () => {
             console.error('⏱️ Request timeout');
             proxyReq.destroy();
-            reject(new Error('Request timeout'));
+            // Once streaming, a stalled body is resumed (or fails) on its own
+            if (!clientRes.headersSent) {
+                reject(new Error('Request timeout'));
+            }
         });
         
         proxyReq.on('error', (err) => {
@@ -409,11 +1055,278 @@ function proxyVideo(videoUrl, clientReq, clientRes) {
     });
 }
 
-function proxyDownload(videoUrl, filename, clientReq, clientRes) {
+// What the range cache needs to know about an upstream response: { offset, info }, or null
+// when it can't be cached (no known size, no byte ranges, or compressed)
+function cacheableResponse(proxyRes, filename) {
+    const span = responseSpan(proxyRes);
+    if (!span || !span.resumable || !(span.size > 0)) {
+        return null;
+    }
+
+    return {
+        offset: span.start,
+        info: {
+            size: span.size,
+            etag: span.etag,
+            lastModified: span.lastModified,
+            contentType: proxyRes.headers['content-type'],
+            filename: filename
+        }
+    };
+}
+
+// "bytes=a-b", "bytes=a-" or "bytes=-n" within a file of `size` bytes: { start, end }, null
+// when there is no single range to honour (send the whole file), false when it's out of bounds
+function parseByteRange(header, size) {
+    const match = (header || '').trim().match(/^bytes=(\d*)-(\d*)$/);
+    if (!match || (!match[1] && !match[2])) {
+        return null;
+    }
+
+    const start = match[1] ? parseInt(match[1]) : Math.max(0, size - parseInt(match[2]));
+    const end = match[1] && match[2] ? Math.min(parseInt(match[2]), size - 1) : size - 1;
+    return start <= end ? { start, end } : false;
+}
+
+// One range of a cached file, fetched from the URL the cache knows it by (following redirects).
+// If-Range makes a file that changed come back whole instead; anything but the expected part of
+// the file on record drops the cache entry and rejects with code ECHANGED.
+function fetchCachedRange(entry, start, end, targetUrl = entry.url, redirects = 0) {
     return new Promise((resolve, reject) => {
-        const parsedUrl = url.parse(videoUrl);
-        const protocol = parsedUrl.protocol === 'https:' ? https : http;
+        const parsedUrl = url.parse(targetUrl);
+        const headers = {
+            'User-Agent': BROWSER_USER_AGENT,
+            'Accept': '*/*',
+            'Accept-Encoding': 'identity',
+            'Connection': 'keep-alive',
+            'Referer': `${parsedUrl.protocol}//${parsedUrl.hostname}/`,
+            'Range': `bytes=${start}-${end}`
+        };
+        if (ifRangeValidator(entry)) {
+            headers['If-Range'] = ifRangeValidator(entry);
+        }
+
+        const options = {
+            method: 'GET',
+            headers: headers,
+            timeout: 30000
+        };
+
+        const proxyReq = requestUpstream(targetUrl, options, (proxyRes) => {
+            if (proxyRes.statusCode >= 300 && proxyRes.statusCode < 400 && proxyRes.headers.location) {
+                const redirectUrl = redirectTarget(targetUrl, proxyRes.headers.location, redirects);
+                proxyRes.resume();
+                if (!redirectUrl) {
+                    reject(new Error('Too many redirects'));
+                    return;
+                }
+                fetchCachedRange(entry, start, end, redirectUrl, redirects + 1).then(resolve, reject);
+                return;
+            }
 
+            if (proxyRes.statusCode >= 400) {
+                proxyRes.resume();
+                reject(new Error(`HTTP ${proxyRes.statusCode}`));
+                return;
+            }
+
+            const cacheable = proxyRes.statusCode === 206 && cacheableResponse(proxyRes, entry.filename);
+            const unchanged = cacheable && cacheable.offset === start && cacheable.info.size === entry.size &&
+                (cacheable.info.etag || null) === entry.etag &&
+                (cacheable.info.lastModified || null) === entry.lastModified;
+            if (!unchanged) {
+                proxyRes.resume();
+                rangeCache.invalidate(entry);
+                reject(changedError());
+                return;
+            }
+
+            entry.checkedAt = Date.now();
+            resolve(upstreamBody(targetUrl, proxyRes, headers));
+        });
+
+        proxyReq.on('timeout', () => {
+            proxyReq.destroy();
+            reject(new Error('Request timeout'));
+        });
+
+        proxyReq.on('error', reject);
+        proxyReq.end();
+    });
+}
+
+// Before a cached file is served: the destination policy still has to allow it, and once
+// CACHE_REVALIDATE_INTERVAL has passed it is compared with upstream again. Resolves false when it
+// changed; when upstream can't be reached the cached copy is used as it is.
+async function revalidateCacheEntry(entry) {
+    destinationPolicy.check(entry.url);
+    if (Date.now() - entry.checkedAt < CACHE_REVALIDATE_INTERVAL) {
+        return true;
+    }
+
+    try {
+        (await fetchCachedRange(entry, 0, 0)).resume();
+    } catch (error) {
+        if (error.code === 'ECHANGED') {
+            console.log(`🔄 Cached copy is outdated: ${entry.url}`);
+            return false;
+        }
+        if (error.code === 'EDESTINATION') {
+            throw error;
+        }
+        console.warn(`⚠️ Could not revalidate cached copy (${error.message}), using it anyway`);
+        entry.checkedAt = Date.now();
+    }
+    return true;
+}
+
+// Stream bytes [start, end] of a cached file to the client; the gaps are fetched upstream
+// (and kept, unless store is false)
+function sendCachedRange(entry, start, end, clientRes, store = true) {
+    return new Promise((resolve) => {
+        const fetchRange = (from, to) => fetchCachedRange(entry, from, to);
+        const body = rangeCache.read(entry, start, end, fetchRange, { store });
+        pipeline(body, clientRes, (err) => {
+            if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                console.error('Cache stream error:', err.message);
+            }
+            resolve();
+        });
+    });
+}
+
+// A request for a file the range cache knows. Resolves false when the file changed upstream,
+// so the request should be proxied afresh.
+async function serveCachedVideo(entry, clientReq, clientRes, store = true) {
+    if (!(await revalidateCacheEntry(entry))) {
+        return false;
+    }
+
+    const range = parseByteRange(clientReq.headers.range, entry.size);
+    if (range === false) {
+        clientRes.writeHead(416, { 'Content-Range': `bytes */${entry.size}`, 'Cache-Control': 'no-cache' });
+        clientRes.end();
+        return true;
+    }
+
+    const { start, end } = range || { start: 0, end: entry.size - 1 };
+    const responseHeaders = {
+        'Content-Type': entry.contentType || 'video/mp4',
+        'Accept-Ranges': 'bytes',
+        'Cache-Control': 'no-cache',
+        'X-Original-Filename': entry.filename,
+        'X-Cache': rangeCache.covers(entry, start, end) ? 'HIT' : 'PARTIAL',
+        'Content-Length': end - start + 1
+    };
+    if (range) {
+        responseHeaders['Content-Range'] = `bytes ${start}-${end}/${entry.size}`;
+    }
+    console.log(`💾 Cache ${responseHeaders['X-Cache'].toLowerCase()}: bytes ${start}-${end}/${entry.size}`);
+
+    clientRes.writeHead(range ? 206 : 200, responseHeaders);
+    if (clientReq.method === 'HEAD') {
+        clientRes.end();
+        return true;
+    }
+    await sendCachedRange(entry, start, end, clientRes, store);
+    return true;
+}
+
+// A download of a file the range cache knows; resolves false like serveCachedVideo
+async function sendCachedDownload(entry, filename, clientRes) {
+    if (!(await revalidateCacheEntry(entry))) {
+        return false;
+    }
+
+    clientRes.writeHead(200, {
+        'Content-Type': entry.contentType || 'application/octet-stream',
+        'Content-Disposition': `attachment; filename="${encodeURIComponent(filename)}"`,
+        'Access-Control-Allow-Origin': '*',
+        'Content-Length': entry.size,
+        'X-Cache': rangeCache.covers(entry, 0, entry.size - 1) ? 'HIT' : 'PARTIAL'
+    });
+    await sendCachedRange(entry, 0, entry.size - 1, clientRes);
+    console.log('✅ Download complete');
+    return true;
+}
+
+// Query builders that sign the URLs written into the manifest at manifestUrl until linkExpires
+// (none without one). URLs on other origins are left unsigned.
+function manifestLinks(manifestUrl, linkExpires) {
+    if (!linkExpires) {
+        return {};
+    }
+    return {
+        // "&expires=..&sig=.." opening exactly targetUrl
+        linkQuery: (targetUrl) => {
+            const link = accessControl.signManifestLink(manifestUrl, targetUrl, linkExpires);
+            return link ? `&expires=${link.expires}&sig=${link.sig}` : '';
+        },
+        // For a SegmentTemplate the segment URLs are only known once the player fills in $Number$
+        // and friends, so the link covers the directory the template's fixed part points into
+        templateLinkQuery: (templateUrl) => {
+            const fixedPart = templateUrl.split('$')[0];
+            const prefix = fixedPart.slice(0, fixedPart.lastIndexOf('/') + 1);
+            const link = accessControl.signManifestScope(manifestUrl, prefix, linkExpires);
+            return link ? `&expires=${link.expires}&scope=${encodeURIComponent(link.scope)}&sig=${link.sig}` : '';
+        }
+    };
+}
+
+function readResponseBody(stream, maxSize) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        stream.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > maxSize) {
+                stream.destroy();
+                reject(new Error('Response too large'));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', reject);
+    });
+}
+
+// Buffer a manifest, rewrite its URIs and send it whole
+async function sendRewrittenManifest(proxyRes, clientReq, clientRes, responseHeaders, rewrite) {
+    const headers = { ...responseHeaders };
+    delete headers['Content-Range'];
+    delete headers['Content-Length'];
+
+    // HEAD has no body to rewrite, and the rewritten length is unknown
+    if (clientReq.method === 'HEAD') {
+        proxyRes.resume();
+        clientRes.writeHead(200, headers);
+        clientRes.end();
+        return;
+    }
+
+    const body = await readResponseBody(proxyRes, MAX_MANIFEST_SIZE);
+    const rewritten = Buffer.from(rewrite(body.toString('utf8')), 'utf8');
+    headers['Content-Length'] = rewritten.length;
+
+    clientRes.writeHead(200, headers);
+    clientRes.end(rewritten);
+    console.log('✅ Manifest rewritten');
+}
+
+// options.cacheUrl: the URL the client asked for, which the range cache knows the file by
+function proxyDownload(videoUrl, filename, clientReq, clientRes, options = {}) {
+    const { redirects = 0, cacheUrl = videoUrl } = options;
+
+    // Whatever the range cache has is sent from disk, the rest fetched
+    const cached = rangeCache.get(cacheUrl);
+    if (cached) {
+        return sendCachedDownload(cached, filename, clientRes)
+            .then(served => served || proxyDownload(videoUrl, filename, clientReq, clientRes, options));
+    }
+
+    return new Promise((resolve, reject) => {
         const headers = {
             'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
             'Accept': '*/*',
@@ -421,24 +1334,23 @@ function proxyDownload(videoUrl, filename, clientReq, clientRes) {
             'Connection': 'keep-alive'
         };
 
-        const options = {
-            hostname: parsedUrl.hostname,
-            port: parsedUrl.port || (parsedUrl.protocol === 'https:' ? 443 : 80),
-            path: parsedUrl.path,
+        const requestOptions = {
             method: 'GET',
             headers: headers,
             timeout: 30000
         };
 
-        const proxyReq = protocol.request(options, (proxyRes) => {
-            // Handle redirects
+        const proxyReq = requestUpstream(videoUrl, requestOptions, (proxyRes) => {
+            // Handle redirects (each hop goes back through the destination policy)
             if (proxyRes.statusCode >= 300 && proxyRes.statusCode < 400 && proxyRes.headers.location) {
-                let redirectUrl = proxyRes.headers.location;
-                if (redirectUrl.startsWith('/')) {
-                    redirectUrl = `${parsedUrl.protocol}//${parsedUrl.hostname}${redirectUrl}`;
+                const redirectUrl = redirectTarget(videoUrl, proxyRes.headers.location, redirects);
+                proxyRes.resume();
+                if (!redirectUrl) {
+                    reject(new Error('Too many redirects'));
+                    return;
                 }
                 console.log(`🔄 Redirect: ${redirectUrl}`);
-                proxyDownload(redirectUrl, filename, clientReq, clientRes)
+                proxyDownload(redirectUrl, filename, clientReq, clientRes, { redirects: redirects + 1, cacheUrl })
                     .then(resolve)
                     .catch(reject);
                 return;
@@ -455,21 +1367,34 @@ function proxyDownload(videoUrl, filename, clientReq, clientRes) {
                 responseHeaders['Content-Length'] = proxyRes.headers['content-length'];
             }
 
-            clientRes.writeHead(200, responseHeaders);
-            proxyRes.pipe(clientRes);
+            // Long downloads carry on from where they stopped if the upstream connection drops
+            const body = upstreamBody(videoUrl, proxyRes, headers);
 
-            proxyRes.on('end', () => {
-                console.log('✅ Download complete');
+            // Kept in the range cache as it downloads
+            const cacheable = cacheableResponse(proxyRes, filename);
+            const cacheWriter = cacheable && rangeCache.store(cacheUrl, cacheable.info, cacheable.offset);
+            if (cacheWriter) {
+                responseHeaders['X-Cache'] = 'MISS';
+                body.on('data', chunk => cacheWriter.write(chunk));
+            }
+
+            clientRes.writeHead(200, responseHeaders);
+            pipeline(body, clientRes, (err) => {
+                if (!err) {
+                    console.log('✅ Download complete');
+                } else if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                    console.error('Download stream error:', err.message);
+                }
                 resolve();
             });
-
-            proxyRes.on('error', reject);
         });
 
         proxyReq.on('timeout', () => {
             console.error('⏱️ Request timeout');
             proxyReq.destroy();
-            reject(new Error('Request timeout'));
+            if (!clientRes.headersSent) {
+                reject(new Error('Request timeout'));
+            }
         });
 
         proxyReq.on('error', reject);
@@ -477,15 +1402,10 @@ function proxyDownload(videoUrl, filename, clientReq, clientRes) {
     });
 }
 
-function convertAndProxySubtitle(subtitleUrl, clientReq, clientRes) {
+// Download a whole small file (subtitles, playlists) - they're parsed in one piece
+function fetchFile(fileUrl, maxSize) {
     return new Promise((resolve, reject) => {
-        const parsedUrl = url.parse(subtitleUrl);
-        const protocol = parsedUrl.protocol === 'https:' ? https : http;
-
         const options = {
-            hostname: parsedUrl.hostname,
-            port: parsedUrl.port || (parsedUrl.protocol === 'https:' ? 443 : 80),
-            path: parsedUrl.path,
             method: 'GET',
             headers: {
                 'User-Agent': 'Mozilla/5.0',
@@ -494,34 +1414,14 @@ function convertAndProxySubtitle(subtitleUrl, clientReq, clientRes) {
             timeout: 30000
         };
 
-        const proxyReq = protocol.request(options, (proxyRes) => {
+        const proxyReq = requestUpstream(fileUrl, options, (proxyRes) => {
             if (proxyRes.statusCode !== 200) {
+                proxyRes.resume();
                 reject(new Error(`HTTP ${proxyRes.statusCode}`));
                 return;
             }
 
-            // Set response headers
-            clientRes.writeHead(200, {
-                'Content-Type': 'text/vtt; charset=utf-8',
-                'Access-Control-Allow-Origin': '*',
-                'Cache-Control': 'public, max-age=3600'
-            });
-
-            // Convert ASS to VTT and stream to client
-            pipeline(
-                proxyRes,
-                assToVtt(),
-                clientRes,
-                (err) => {
-                    if (err) {
-                        console.error('Pipeline error:', err);
-                        reject(err);
-                    } else {
-                        console.log('✅ Subtitle converted and sent');
-                        resolve();
-                    }
-                }
-            );
+            readResponseBody(proxyRes, maxSize).then(resolve, reject);
         });
 
         proxyReq.on('error', reject);
@@ -534,199 +1434,753 @@ function convertAndProxySubtitle(subtitleUrl, clientReq, clientRes) {
     });
 }
 
-function proxySubtitle(subtitleUrl, clientReq, clientRes) {
+// Convert any supported subtitle format (detected from the content) to WebVTT
+async function subtitleToVtt(text, format, options = {}) {
+    if (format === 'ass') {
+        return convertAssText(text);
+    }
+    return SubtitleFormats.toVtt(text, format, options);
+}
+
+function convertAssText(text) {
     return new Promise((resolve, reject) => {
-        const parsedUrl = url.parse(subtitleUrl);
-        const protocol = parsedUrl.protocol === 'https:' ? https : http;
+        const converter = assToVtt();
+        const chunks = [];
 
-        const options = {
-            hostname: parsedUrl.hostname,
-            port: parsedUrl.port || (parsedUrl.protocol === 'https:' ? 443 : 80),
-            path: parsedUrl.path,
-            method: 'GET',
-            headers: {
-                'User-Agent': 'Mozilla/5.0',
-                'Accept': '*/*'
-            },
-            timeout: 30000
-        };
+        converter.on('data', (chunk) => chunks.push(Buffer.from(chunk)));
+        converter.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        converter.on('error', reject);
+        converter.end(text);
+    });
+}
 
-        const proxyReq = protocol.request(options, (proxyRes) => {
-            if (proxyRes.statusCode !== 200) {
-                reject(new Error(`HTTP ${proxyRes.statusCode}`));
-                return;
-            }
+// Subtitles are often in legacy codepages (Windows-1251, Shift-JIS, ...); everything leaves here as UTF-8
+function sendVtt(clientRes, vtt, format, encoding) {
+    clientRes.writeHead(200, {
+        'Content-Type': 'text/vtt; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Expose-Headers': 'X-Subtitle-Format, X-Subtitle-Encoding',
+        'Cache-Control': 'public, max-age=3600',
+        'X-Subtitle-Format': format,
+        'X-Subtitle-Encoding': encoding
+    });
+    clientRes.end(vtt);
+}
 
-            // Determine content type
-            let contentType = proxyRes.headers['content-type'] || 'text/vtt; charset=utf-8';
-            if (!contentType.includes('vtt') && !contentType.includes('srt')) {
-                contentType = 'text/vtt; charset=utf-8';
-            }
+async function convertAndProxySubtitle(subtitleUrl, options, clientReq, clientRes) {
+    const body = await fetchFile(subtitleUrl, MAX_SUBTITLE_SIZE);
+    const { text, encoding } = SubtitleFormats.decodeText(body, options.charset);
 
-            clientRes.writeHead(200, {
-                'Content-Type': contentType,
-                'Access-Control-Allow-Origin': '*',
-                'Cache-Control': 'public, max-age=3600'
-            });
+    const format = SubtitleFormats.detectFormat(text);
+    if (!format) {
+        throw new Error('Unrecognised subtitle format (expected WebVTT, SRT, SBV, MicroDVD, TTML/DFXP, LRC or ASS/SSA)');
+    }
 
-            proxyRes.pipe(clientRes);
+    const vtt = await subtitleToVtt(text, format, options);
+    sendVtt(clientRes, vtt, format, encoding);
+    console.log(`✅ Subtitle converted from ${SubtitleFormats.FORMAT_NAMES[format]} (${encoding}) and sent`);
+}
 
-            proxyRes.on('end', () => {
-                console.log('✅ Subtitle proxied');
-                resolve();
-            });
+async function proxySubtitle(subtitleUrl, options, clientReq, clientRes) {
+    const body = await fetchFile(subtitleUrl, MAX_SUBTITLE_SIZE);
+    const { text, encoding } = SubtitleFormats.decodeText(body, options.charset);
+    const format = SubtitleFormats.detectFormat(text);
 
-            proxyRes.on('error', reject);
-        });
+    // Browsers only accept WebVTT in <track>, so anything recognisable is normalised
+    // unless the raw text is asked for (the player renders ASS itself)
+    if (format && !options.raw) {
+        sendVtt(clientRes, await subtitleToVtt(text, format), format, encoding);
+        console.log(`✅ Subtitle proxied (${SubtitleFormats.FORMAT_NAMES[format]}, ${encoding})`);
+        return;
+    }
 
-        proxyReq.on('error', reject);
-        proxyReq.on('timeout', () => {
-            proxyReq.destroy();
-            reject(new Error('Request timeout'));
-        });
+    // Raw, or not a subtitle format we know (e.g. a chapters file) - pass the text through as UTF-8
+    const headers = {
+        'Content-Type': 'text/plain; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Expose-Headers': 'X-Subtitle-Format, X-Subtitle-Encoding',
+        'Cache-Control': 'public, max-age=3600',
+        'X-Subtitle-Encoding': encoding
+    };
+    if (format) headers['X-Subtitle-Format'] = format;
+
+    clientRes.writeHead(200, headers);
+    clientRes.end(text);
+    console.log(`✅ Subtitle proxied (${format ? SubtitleFormats.FORMAT_NAMES[format] + ', ' : ''}${encoding})`);
+}
 
-        proxyReq.end();
+// A hosted .m3u/.pls playlist -> queue items. An .m3u8 that turns out to be an HLS stream
+// is a single video, not a list of them.
+async function fetchPlaylist(playlistUrl) {
+    const body = await fetchFile(playlistUrl, MAX_PLAYLIST_SIZE);
+    const { text } = SubtitleFormats.decodeText(body);
+    if (PlaylistFormats.isHlsPlaylist(text)) {
+        return [{ url: playlistUrl, title: null }];
+    }
+    return PlaylistFormats.parse(text, playlistUrl);
+}
+
+// "30000/1001" -> 29.97
+function parseFrameRate(rate) {
+    const [numerator, denominator] = String(rate).split('/').map(Number);
+    return denominator ? numerator / denominator : numerator || 0;
+}
+
+// options.client: the response the analysis is for - it is stopped if that request goes away.
+// Without ffprobe the analysis says so ({ ffprobeAvailable: false }); any other failure throws.
+async function analyzeVideo(videoUrl, options = {}) {
+    let result;
+    try {
+        result = await mediaJobs.run('ffprobe', [
+            '-v', 'quiet',
+            '-print_format', 'json',
+            '-show_format',
+            '-show_streams',
+            '-show_chapters',
+            ...ffmpegInput(videoUrl)
+        ], {
+            label: 'analyze',
+            url: videoUrl,
+            queueTimeout: ANALYZE_QUEUE_TIMEOUT,
+            timeout: ANALYZE_TIMEOUT,
+            collectStdout: MAX_ANALYSIS_SIZE,
+            client: options.client
+        }).promise;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return {
+                error: 'ffprobe not available',
+                ffprobeAvailable: false,
+                message: 'Install ffmpeg to enable automatic audio/subtitle detection'
+            };
+        }
+        throw error;
+    }
+
+    const data = JSON.parse(result.stdout);
+
+    // Extract audio tracks
+    const audioTracks = data.streams
+        .filter(stream => stream.codec_type === 'audio')
+        .map((stream, index) => ({
+            index: index,
+            streamIndex: stream.index,
+            codec: stream.codec_name,
+            language: stream.tags?.language || 'unknown',
+            title: stream.tags?.title || `Audio ${index + 1}`,
+            channels: stream.channels,
+            channelLayout: stream.channel_layout,
+            sampleRate: stream.sample_rate,
+            bitrate: stream.bit_rate
+        }));
+
+    // Extract subtitle tracks
+    const subtitleTracks = data.streams
+        .filter(stream => stream.codec_type === 'subtitle')
+        .map((stream, index) => ({
+            index: index,
+            streamIndex: stream.index,
+            codec: stream.codec_name,
+            language: stream.tags?.language || 'unknown',
+            title: stream.tags?.title || `Subtitle ${index + 1}`,
+            forced: stream.disposition?.forced === 1,
+            bitmap: BITMAP_SUBTITLE_CODECS.includes(stream.codec_name)
+        }));
+
+    // Extract video info
+    const videoStreams = data.streams
+        .filter(stream => stream.codec_type === 'video')
+        .map(stream => ({
+            codec: stream.codec_name,
+            profile: stream.profile,
+            width: stream.width,
+            height: stream.height,
+            fps: parseFrameRate(stream.r_frame_rate),
+            bitrate: stream.bit_rate
+        }));
+
+    // Extract chapter markers (MKV editions, MP4 chapter tracks)
+    const chapters = (data.chapters || []).map((chapter, index) => ({
+        index: index,
+        start: parseFloat(chapter.start_time),
+        end: parseFloat(chapter.end_time),
+        title: chapter.tags?.title || `Chapter ${index + 1}`
+    }));
+
+    const analysis = {
+        ffprobeAvailable: true,
+        format: data.format.format_name,
+        duration: parseFloat(data.format.duration),
+        size: parseInt(data.format.size),
+        bitrate: parseInt(data.format.bit_rate),
+        audioTracks: audioTracks,
+        subtitleTracks: subtitleTracks,
+        videoStreams: videoStreams,
+        chapters: chapters,
+        hasMultipleAudio: audioTracks.length > 1,
+        hasEmbeddedSubtitles: subtitleTracks.length > 0,
+        hasChapters: chapters.length > 0
+    };
+
+    return analysis;
+}
+
+function getSubtitleJob(videoUrl) {
+    let job = subtitleJobs.get(videoUrl);
+    const canRetry = job && job.status === 'error' && Date.now() - job.finishedAt > SUBTITLE_RETRY_DELAY;
+
+    if (job && !canRetry) {
+        // Re-insert so the least recently used job is the first to be evicted
+        subtitleJobs.delete(videoUrl);
+        subtitleJobs.set(videoUrl, job);
+        return job;
+    }
+
+    const id = crypto.createHash('sha1').update(videoUrl).digest('hex').slice(0, 16);
+    job = {
+        url: videoUrl,
+        dir: path.join(SUBTITLE_CACHE_DIR, id),
+        status: 'queued',
+        progress: 0,
+        streams: null,
+        error: null,
+        finishedAt: 0,
+        done: null
+    };
+    subtitleJobs.delete(videoUrl);
+    subtitleJobs.set(videoUrl, job);
+    evictSubtitleJobs();
+
+    job.done = subtitleQueue = subtitleQueue.then(() => extractSubtitles(job).catch((error) => {
+        console.error('❌ Extraction error:', error.message);
+        job.status = 'error';
+        job.error = error.message;
+        job.finishedAt = Date.now();
+    }));
+    return job;
+}
+
+function evictSubtitleJobs() {
+    for (const [videoUrl, job] of subtitleJobs) {
+        if (subtitleJobs.size <= MAX_SUBTITLE_JOBS) break;
+        // Never pull files out from under a job that is still working
+        if (job.status === 'queued' || job.status === 'running') continue;
+
+        subtitleJobs.delete(videoUrl);
+        fs.rm(job.dir, { recursive: true, force: true }, () => {});
+    }
+}
+
+function describeSubtitleJob(job) {
+    return {
+        status: job.status,
+        progress: Math.round(job.progress * 100),
+        error: job.error,
+        streams: (job.streams || []).map(stream => ({
+            index: stream.index,
+            codec: stream.codec,
+            bitmap: stream.bitmap
+        }))
+    };
+}
+
+// Demux every subtitle stream in a single read of the video. ASS/SSA streams are also
+// copied as-is so their styling reaches the player's renderer, and picture-based streams
+// become one PNG per subpicture with a WebVTT timing index.
+async function extractSubtitles(job) {
+    job.status = 'running';
+    console.log(`\n📤 Extracting subtitles: ${job.url}`);
+
+    const analysis = await analyzeVideo(job.url);
+    if (!analysis.ffprobeAvailable) {
+        throw new Error(analysis.error || 'ffprobe not available');
+    }
+    if (analysis.subtitleTracks.length === 0) {
+        throw new Error('No subtitle streams in this video');
+    }
+
+    job.streams = analysis.subtitleTracks.map(track => track.bitmap ? {
+        index: track.index,
+        codec: track.codec,
+        bitmap: true,
+        dir: path.join(job.dir, String(track.index)),
+        cues: [],
+        shown: null
+    } : {
+        index: track.index,
+        codec: track.codec,
+        bitmap: false,
+        vttPath: path.join(job.dir, `${track.index}.vtt`),
+        assPath: track.codec === 'ass' || track.codec === 'ssa' ? path.join(job.dir, `${track.index}.ass`) : null
     });
+
+    const bitmaps = job.streams.filter(stream => stream.bitmap);
+    await fs.promises.rm(job.dir, { recursive: true, force: true });
+    await fs.promises.mkdir(job.dir, { recursive: true });
+    for (const stream of bitmaps) {
+        await fs.promises.mkdir(stream.dir);
+    }
+
+    await runSubtitleExtraction(job.url, buildSubtitleExtractArgs(job.url, job.streams), {
+        onProgress: (time) => {
+            if (analysis.duration > 0) job.progress = Math.min(time / analysis.duration, 1);
+        },
+        // showinfo numbers its instances in the order of the filter chains
+        onFrame: (filter, frame) => addBitmapFrame(bitmaps[filter], frame, analysis.duration)
+    });
+
+    // The flush at the end clears the last picture; drop the frames no cue points at
+    for (const stream of bitmaps) {
+        if (stream.shown) addBitmapFrame(stream, { number: 0, time: analysis.duration || stream.shown.start, empty: true }, 0);
+        const kept = new Set(stream.cues.map(cue => `${cue.frame}.png`));
+        for (const file of await fs.promises.readdir(stream.dir)) {
+            if (!kept.has(file)) await fs.promises.unlink(path.join(stream.dir, file));
+        }
+    }
+
+    Object.assign(job, {
+        status: 'ready',
+        progress: 1,
+        finishedAt: Date.now()
+    });
+    console.log(`✅ ${job.streams.length} subtitle stream(s) extracted`);
 }
 
-async function analyzeVideo(videoUrl) {
-    return new Promise(async (resolve, reject) => {
-        try {
-            // Check if ffprobe is available
-            try {
-                await execAsync('ffprobe -version');
-            } catch (err) {
-                resolve({
-                    error: 'ffprobe not available',
-                    ffprobeAvailable: false,
-                    message: 'Install ffmpeg to enable automatic audio/subtitle detection'
-                });
-                return;
-            }
+// sub2video repeats the picture on every heartbeat and draws an empty frame when it clears,
+// so a cue runs from a new picture to the next frame that differs
+function addBitmapFrame(stream, frame, duration) {
+    const shown = stream.shown;
+    if (shown && shown.checksum === frame.checksum) return;
 
-            // Use ffprobe to analyze the video
-            const command = `ffprobe -v quiet -print_format json -show_format -show_streams "${videoUrl}"`;
+    if (shown) {
+        // The final flush frame carries a bogus timestamp far past the end
+        const end = duration > 0 ? Math.min(frame.time, duration) : frame.time;
+        stream.cues.push({ start: shown.start, end: end, frame: shown.frame });
+    }
+    stream.shown = frame.empty ? null : { start: frame.time, checksum: frame.checksum, frame: frame.number };
+}
 
-            const { stdout, stderr } = await execAsync(command, {
-                timeout: 30000,
-                maxBuffer: 1024 * 1024 * 10 // 10MB buffer
-            });
+function buildSubtitleExtractArgs(videoUrl, streams) {
+    const bitmaps = streams.filter(stream => stream.bitmap);
+    const args = [
+        '-hide_banner',
+        // showinfo reports the bitmap frames at info level
+        '-loglevel', bitmaps.length > 0 ? 'info' : 'error',
+        '-nostats',
+        // key=value progress blocks on stdout, read for the job's progress
+        '-progress', 'pipe:1',
+        '-y',
+        ...ffmpegInput(videoUrl)
+    ];
+
+    if (bitmaps.length > 0) {
+        // Referencing a picture-based stream in a filter graph renders it onto transparent
+        // frames the size of the video (sub2video)
+        args.push('-filter_complex', bitmaps.map(stream => `[0:s:${stream.index}]showinfo[bitmap${stream.index}]`).join(';'));
+    }
 
-            const data = JSON.parse(stdout);
-
-            // Extract audio tracks
-            const audioTracks = data.streams
-                .filter(stream => stream.codec_type === 'audio')
-                .map((stream, index) => ({
-                    index: index,
-                    streamIndex: stream.index,
-                    codec: stream.codec_name,
-                    language: stream.tags?.language || 'unknown',
-                    title: stream.tags?.title || `Audio ${index + 1}`,
-                    channels: stream.channels,
-                    channelLayout: stream.channel_layout,
-                    sampleRate: stream.sample_rate,
-                    bitrate: stream.bit_rate
-                }));
-
-            // Extract subtitle tracks
-            const subtitleTracks = data.streams
-                .filter(stream => stream.codec_type === 'subtitle')
-                .map((stream, index) => ({
-                    index: index,
-                    streamIndex: stream.index,
-                    codec: stream.codec_name,
-                    language: stream.tags?.language || 'unknown',
-                    title: stream.tags?.title || `Subtitle ${index + 1}`,
-                    forced: stream.disposition?.forced === 1
-                }));
-
-            // Extract video info
-            const videoStreams = data.streams
-                .filter(stream => stream.codec_type === 'video')
-                .map(stream => ({
-                    codec: stream.codec_name,
-                    profile: stream.profile,
-                    width: stream.width,
-                    height: stream.height,
-                    fps: eval(stream.r_frame_rate),
-                    bitrate: stream.bit_rate
-                }));
-
-            const analysis = {
-                ffprobeAvailable: true,
-                format: data.format.format_name,
-                duration: parseFloat(data.format.duration),
-                size: parseInt(data.format.size),
-                bitrate: parseInt(data.format.bit_rate),
-                audioTracks: audioTracks,
-                subtitleTracks: subtitleTracks,
-                videoStreams: videoStreams,
-                hasMultipleAudio: audioTracks.length > 1,
-                hasEmbeddedSubtitles: subtitleTracks.length > 0
-            };
+    // Flushing every cue lets requests read the files while the pass is still running
+    streams.filter(stream => !stream.bitmap).forEach(stream => {
+        args.push('-map', `0:s:${stream.index}`, '-c:s', 'webvtt', '-flush_packets', '1', '-f', 'webvtt', stream.vttPath);
+        if (stream.assPath) {
+            args.push('-map', `0:s:${stream.index}`, '-c:s', 'copy', '-flush_packets', '1', '-f', 'ass', stream.assPath);
+        }
+    });
+    // Frames that share a timestamp are kept, so frame n is always file n + 1, and each file only
+    // appears under its name once it is complete
+    bitmaps.forEach(stream => {
+        args.push('-map', `[bitmap${stream.index}]`, '-fps_mode', 'passthrough',
+            '-f', 'image2', '-atomic_writing', '1', path.join(stream.dir, '%d.png'));
+    });
+    return args;
+}
 
-            resolve(analysis);
-        } catch (error) {
-            console.error('Analysis error:', error);
-            resolve({
-                error: error.message,
-                ffprobeAvailable: false
+// [Parsed_showinfo_0 @ 0x...] n:   3 pts:   2000 pts_time:2 ... checksum:0D648971 ... mean:[3 ] ...
+function parseShowinfoFrame(line) {
+    const match = line.match(/Parsed_showinfo_(\d+) @ [^\]]+\] n:\s*(\d+) .*?pts_time:(\S+) .*? checksum:([0-9A-F]+) .*? mean:\[([^\]]*)\]/);
+    if (!match) return null;
+
+    return {
+        filter: parseInt(match[1]),
+        frame: {
+            number: parseInt(match[2]) + 1,
+            time: parseFloat(match[3]),
+            checksum: match[4],
+            // Fully transparent - nothing on screen (ffmpeg ends the list with a backspace)
+            empty: (match[5].match(/[\d.]+/g) || []).every(value => parseFloat(value) === 0)
+        }
+    };
+}
+
+// A whole-file pass can take as long as it needs while it keeps moving
+function runSubtitleExtraction(videoUrl, args, { onProgress, onFrame }) {
+    let stdout = '';
+
+    return mediaJobs.run('ffmpeg', args, {
+        label: 'subtitles',
+        url: videoUrl,
+        queueTimeout: BACKGROUND_QUEUE_TIMEOUT,
+        stallTimeout: SUBTITLE_STALL_TIMEOUT,
+        onStdout: (chunk) => {
+            stdout += chunk;
+            const lines = stdout.split('\n');
+            stdout = lines.pop();
+
+            lines.forEach(line => {
+                // Both are in microseconds; older builds only report out_time_ms ("N/A" until the first packet)
+                const match = line.match(/^out_time_(?:us|ms)=(\d+)/);
+                if (match) onProgress(parseInt(match[1]) / 1e6);
             });
+        },
+        onStderrLine: (line) => {
+            const info = parseShowinfoFrame(line);
+            if (info) onFrame(info.filter, info.frame);
+            return !!info;
         }
+    }).promise;
+}
+
+// Cut a file that is still being written back to its last complete cue (VTT) or line (ASS).
+// Before the first one is complete that leaves just the WebVTT header, or nothing for ASS.
+function trimPartialSubtitle(text, format) {
+    const separator = format === 'ass' ? '\n' : '\n\n';
+    const boundary = text.lastIndexOf(separator);
+    const trimmed = boundary === -1 ? '' : text.slice(0, boundary + separator.length);
+    return format === 'vtt' && !trimmed.startsWith('WEBVTT') ? 'WEBVTT\n\n' : trimmed;
+}
+
+// Without partial, waits for the pass to finish; with it, sends whatever has been extracted
+async function sendExtractedSubtitle(job, subtitleIndex, format, partial, clientRes) {
+    if (!partial) {
+        await job.done;
+    }
+    if (job.status === 'error') {
+        throw new Error(job.error);
+    }
+
+    // The stream list is only known once the pass has analysed the video
+    const stream = job.streams && job.streams.find(s => s.index === subtitleIndex);
+    if (job.streams && !stream) {
+        clientRes.writeHead(404, { 'Content-Type': 'application/json' });
+        clientRes.end(JSON.stringify({ error: `No subtitle stream ${subtitleIndex}` }));
+        return;
+    }
+    // format 'ass' keeps the styling of ASS/SSA streams for the player's renderer;
+    // picture-based streams always answer with their image index
+    const outputFormat = format === 'ass' && (!stream || stream.assPath) ? 'ass' : 'vtt';
+    const filePath = stream && !stream.bitmap && (outputFormat === 'ass' ? stream.assPath : stream.vttPath);
+    let text = filePath ? await fs.promises.readFile(filePath, 'utf8').catch(() => '') : '';
+    if (stream && stream.bitmap) {
+        // While the pass runs, a cue can be known before ffmpeg has written its picture
+        const written = job.status === 'ready' ? null : new Set(await fs.promises.readdir(stream.dir).catch(() => []));
+        text = buildBitmapSubtitleVtt(job, stream, written);
+    } else if (job.status !== 'ready') {
+        text = trimPartialSubtitle(text, outputFormat);
+    }
+
+    clientRes.writeHead(200, {
+        'Content-Type': outputFormat === 'ass' ? 'text/plain; charset=utf-8' : 'text/vtt; charset=utf-8',
+        'Access-Control-Expose-Headers': 'X-Extraction-Status, X-Extraction-Progress',
+        'Cache-Control': job.status === 'ready' ? 'public, max-age=3600' : 'no-cache',
+        'X-Extraction-Status': job.status,
+        'X-Extraction-Progress': String(Math.round(job.progress * 100))
     });
+    clientRes.end(text);
 }
 
-async function extractSubtitle(videoUrl, subtitleIndex, clientReq, clientRes) {
-    return new Promise(async (resolve, reject) => {
-        try {
-            // Check if ffmpeg is available
-            try {
-                await execAsync('ffmpeg -version');
-            } catch (err) {
-                reject(new Error('ffmpeg not available'));
-                return;
-            }
+// WebVTT image index: one cue per subpicture whose text is the URL of its PNG
+// (written: the PNG files on disk so far, to leave out cues without one; null lists every cue)
+function buildBitmapSubtitleVtt(job, stream, written = null) {
+    const imageUrl = `/extract-subtitle/image?url=${encodeURIComponent(job.url)}&index=${stream.index}`;
+    const lines = ['WEBVTT', ''];
 
-            // Create a temporary file path
-            const tempFile = `/tmp/subtitle_${Date.now()}.vtt`;
+    stream.cues.filter(cue => !written || written.has(`${cue.frame}.png`)).forEach(cue => {
+        lines.push(`${SubtitleFormats.formatTimestamp(cue.start)} --> ${SubtitleFormats.formatTimestamp(cue.end)}`);
+        lines.push(`${imageUrl}&frame=${cue.frame}`);
+        lines.push('');
+    });
 
-            // Extract subtitle using ffmpeg and convert to VTT
-            const command = `ffmpeg -i "${videoUrl}" -map 0:s:${subtitleIndex} "${tempFile}" -y`;
+    return lines.join('\n');
+}
 
-            await execAsync(command, {
-                timeout: 30000
-            });
+// Decide which streams can be copied as-is from the ffprobe analysis
+function planTranscode(analysis, audioTrack = 0) {
+    const videoCodec = analysis.videoStreams?.[0]?.codec;
+    const audioCodec = analysis.audioTracks?.[audioTrack]?.codec;
+    return {
+        video: !videoCodec || BROWSER_VIDEO_CODECS.includes(videoCodec) ? 'copy' : 'transcode',
+        audio: !audioCodec || BROWSER_AUDIO_CODECS.includes(audioCodec) ? 'copy' : 'transcode'
+    };
+}
 
-            // Read the extracted file
-            fs.readFile(tempFile, 'utf8', (err, data) => {
-                if (err) {
-                    reject(new Error('Failed to read extracted subtitle'));
-                    return;
-                }
+// ffmpeg and ffprobe read videos through our own /proxy, so every connection they make
+// (redirects, HLS segments and keys included) passes the destination policy and sends the
+// proxy's browser-like headers. The protocol whitelist keeps file: and friends out, and the
+// service token gets ffmpeg past access control.
+function ffmpegInput(videoUrl) {
+    return [
+        '-protocol_whitelist', 'http,tcp,crypto',
+        '-headers', `Authorization: Bearer ${MEDIA_ACCESS_TOKEN}\r\n`,
+        '-i', `http://127.0.0.1:${PORT}${toProxyUrl(videoUrl)}`
+    ];
+}
 
-                // Set response headers
+function buildTranscodeArgs(videoUrl, { start, audioTrack, video, audio }) {
+    const args = ['-hide_banner', '-loglevel', 'error'];
+
+    // Input seeking: ffmpeg jumps straight to the offset with a Range request
+    if (start > 0) {
+        args.push('-ss', start.toFixed(3));
+    }
+
+    // Only the selected audio stream is kept, so every browser plays the right language
+    args.push(...ffmpegInput(videoUrl), '-map', '0:v:0', '-map', `0:a:${audioTrack}?`, '-sn');
+
+    if (video === 'copy') {
+        args.push('-c:v', 'copy');
+    } else {
+        args.push('-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p');
+    }
+
+    if (audio === 'copy') {
+        // Older ffmpeg builds still flag Opus and FLAC in MP4 as experimental
+        args.push('-c:a', 'copy', '-strict', 'experimental');
+    } else {
+        args.push('-c:a', 'aac', '-b:a', '192k', '-ac', '2');
+    }
+
+    // Fragmented MP4 can be played while it is still being written
+    args.push('-movflags', 'frag_keyframe+empty_moov+default_base_moof', '-f', 'mp4', 'pipe:1');
+    return args;
+}
+
+async function transcodeVideo(videoUrl, options, clientReq, clientRes) {
+    let { video, audio } = options;
+    const isMode = (mode) => mode === 'copy' || mode === 'transcode';
+
+    // The player knows best what it can decode; otherwise fall back to our whitelist
+    if (!isMode(video) || !isMode(audio)) {
+        const analysis = await analyzeVideo(videoUrl, { client: clientRes });
+        if (!analysis.ffprobeAvailable) {
+            throw new Error(analysis.error || 'ffprobe not available');
+        }
+        const plan = planTranscode(analysis, options.audioTrack);
+        video = isMode(video) ? video : plan.video;
+        audio = isMode(audio) ? audio : plan.audio;
+    }
+
+    console.log(`🎛️ Video: ${video}, audio: ${audio}`);
+    const args = buildTranscodeArgs(videoUrl, {
+        start: options.start,
+        audioTrack: options.audioTrack,
+        video,
+        audio
+    });
+
+    const job = streamJobs.run('ffmpeg', args, {
+        label: 'transcode',
+        url: videoUrl,
+        queueTimeout: TRANSCODE_QUEUE_TIMEOUT,
+        // Seeking restarts ffmpeg, so stop this one as soon as the player lets go
+        client: clientRes,
+        onStart: (ffmpeg) => {
+            // Only commit to a 200 once ffmpeg actually produces output
+            ffmpeg.stdout.once('data', (chunk) => {
                 clientRes.writeHead(200, {
-                    'Content-Type': 'text/vtt; charset=utf-8',
-                    'Access-Control-Allow-Origin': '*',
-                    'Cache-Control': 'public, max-age=3600'
+                    'Content-Type': 'video/mp4',
+                    'Cache-Control': 'no-cache',
+                    'Accept-Ranges': 'none',
+                    'X-Transcode-Start': String(options.start),
+                    'X-Transcode-Audio-Track': String(options.audioTrack),
+                    'X-Transcode-Video': video,
+                    'X-Transcode-Audio': audio
                 });
+                clientRes.write(chunk);
+                ffmpeg.stdout.pipe(clientRes);
+            });
+        }
+    });
 
-                clientRes.end(data);
+    try {
+        await job.promise;
+        console.log('✅ Transcode finished');
+    } catch (error) {
+        // Once streaming has started there is no error response left to send
+        if (!clientRes.headersSent) throw error;
+        if (!error.cancelled) console.error('❌ Transcode stopped:', error.message);
+    }
+    clientRes.end();
+}
 
-                // Clean up temp file
-                fs.unlink(tempFile, (unlinkErr) => {
-                    if (unlinkErr) console.error('Failed to delete temp file:', unlinkErr);
-                });
+function getThumbnailJob(videoUrl) {
+    let job = thumbnailJobs.get(videoUrl);
+    const canRetry = job && job.status === 'error' && Date.now() - job.finishedAt > THUMBNAIL_RETRY_DELAY;
 
-                console.log('✅ Subtitle extracted and sent');
-                resolve();
-            });
-        } catch (error) {
-            console.error('Extraction error:', error);
-            reject(error);
+    if (job && !canRetry) {
+        // Re-insert so the least recently used job is the first to be evicted
+        thumbnailJobs.delete(videoUrl);
+        thumbnailJobs.set(videoUrl, job);
+        return job;
+    }
+
+    const id = crypto.createHash('sha1').update(videoUrl).digest('hex').slice(0, 16);
+    const dir = path.join(THUMBNAIL_CACHE_DIR, id);
+    job = {
+        url: videoUrl,
+        dir: dir,
+        spritePath: path.join(dir, 'sprite.jpg'),
+        status: 'queued',
+        progress: 0,
+        duration: 0,
+        interval: 0,
+        count: 0,
+        columns: 0,
+        error: null,
+        finishedAt: 0
+    };
+    thumbnailJobs.delete(videoUrl);
+    thumbnailJobs.set(videoUrl, job);
+    evictThumbnailJobs();
+
+    thumbnailQueue = thumbnailQueue.then(() => generateThumbnails(job).catch((error) => {
+        console.error('❌ Thumbnail error:', error.message);
+        job.status = 'error';
+        job.error = error.message;
+        job.finishedAt = Date.now();
+    }));
+    return job;
+}
+
+function evictThumbnailJobs() {
+    for (const [videoUrl, job] of thumbnailJobs) {
+        if (thumbnailJobs.size <= MAX_THUMBNAIL_JOBS) break;
+        // Never pull files out from under a job that is still working
+        if (job.status === 'queued' || job.status === 'running') continue;
+
+        thumbnailJobs.delete(videoUrl);
+        fs.rm(job.dir, { recursive: true, force: true }, () => {});
+    }
+}
+
+function describeThumbnailJob(job) {
+    return {
+        status: job.status,
+        progress: Math.round(job.progress * 100),
+        error: job.error,
+        vtt: job.status === 'ready' ? `/thumbnails/index.vtt?url=${encodeURIComponent(job.url)}` : null
+    };
+}
+
+async function generateThumbnails(job) {
+    job.status = 'running';
+    console.log(`\n🖼️ Generating thumbnails: ${job.url}`);
+
+    const analysis = await analyzeVideo(job.url);
+    if (!analysis.ffprobeAvailable) {
+        throw new Error(analysis.error || 'ffprobe not available');
+    }
+    if (!analysis.videoStreams || analysis.videoStreams.length === 0) {
+        throw new Error('No video stream to take thumbnails from');
+    }
+    if (!(analysis.duration > 0)) {
+        throw new Error('Thumbnails need a known duration');
+    }
+
+    const interval = Math.max(THUMBNAIL_MIN_INTERVAL, analysis.duration / THUMBNAIL_COUNT);
+    const count = Math.ceil(analysis.duration / interval);
+    const framePath = (i) => path.join(job.dir, `frame-${String(i).padStart(4, '0')}.jpg`);
+
+    await fs.promises.rm(job.dir, { recursive: true, force: true });
+    await fs.promises.mkdir(job.dir, { recursive: true });
+
+    // One input-seeking ffmpeg run per frame only fetches the ranges it needs,
+    // instead of downloading and decoding the whole video
+    for (let i = 0; i < count; i++) {
+        let frameError = null;
+        await mediaJobs.run('ffmpeg', buildThumbnailArgs(job.url, i * interval, framePath(i)), {
+            label: 'thumbnail',
+            url: job.url,
+            queueTimeout: BACKGROUND_QUEUE_TIMEOUT,
+            timeout: THUMBNAIL_FRAME_TIMEOUT
+        }).promise.catch((error) => { frameError = error; });
+
+        if (!fs.existsSync(framePath(i))) {
+            // Frames near the end may not decode; repeat the previous one to keep the grid intact
+            if (i === 0) throw frameError || new Error('ffmpeg produced no thumbnail');
+            await fs.promises.copyFile(framePath(i - 1), framePath(i));
         }
+        job.progress = (i + 1) / count;
+    }
+
+    const columns = Math.min(THUMBNAIL_COLUMNS, count);
+    const rows = Math.ceil(count / columns);
+    await mediaJobs.run('ffmpeg', [
+        '-hide_banner',
+        '-loglevel', 'error',
+        '-y',
+        '-i', path.join(job.dir, 'frame-%04d.jpg'),
+        '-vf', `tile=${columns}x${rows}`,
+        '-frames:v', '1',
+        '-q:v', '4',
+        job.spritePath
+    ], {
+        label: 'thumbnail sprite',
+        url: job.url,
+        queueTimeout: BACKGROUND_QUEUE_TIMEOUT,
+        timeout: THUMBNAIL_FRAME_TIMEOUT
+    }).promise;
+
+    for (let i = 0; i < count; i++) {
+        await fs.promises.unlink(framePath(i));
+    }
+
+    Object.assign(job, {
+        status: 'ready',
+        duration: analysis.duration,
+        interval: interval,
+        count: count,
+        columns: columns,
+        finishedAt: Date.now()
     });
+    console.log(`✅ ${count} thumbnails ready (every ${interval.toFixed(1)}s)`);
+}
+
+function buildThumbnailArgs(videoUrl, time, outputPath) {
+    return [
+        '-hide_banner',
+        '-loglevel', 'error',
+        '-y',
+        '-ss', time.toFixed(3),
+        // The keyframe at or before the seek point will do for a preview, so nothing after it is decoded
+        '-noaccurate_seek',
+        ...ffmpegInput(videoUrl),
+        '-map', '0:v:0',
+        '-frames:v', '1',
+        // Letterbox into a fixed cell so every frame lines up in the sprite grid
+        '-vf', `scale=${THUMBNAIL_WIDTH}:${THUMBNAIL_HEIGHT}:force_original_aspect_ratio=decrease,` +
+            `pad=${THUMBNAIL_WIDTH}:${THUMBNAIL_HEIGHT}:(ow-iw)/2:(oh-ih)/2`,
+        '-q:v', '5',
+        outputPath
+    ];
+}
+
+// WebVTT thumbnail index: one cue per frame pointing at its cell with a #xywh fragment
+function buildThumbnailVtt(job) {
+    const spriteUrl = `/thumbnails/sprite.jpg?url=${encodeURIComponent(job.url)}`;
+    const lines = ['WEBVTT', ''];
+
+    for (let i = 0; i < job.count; i++) {
+        const start = i * job.interval;
+        const end = Math.min(job.duration, start + job.interval);
+        const x = (i % job.columns) * THUMBNAIL_WIDTH;
+        const y = Math.floor(i / job.columns) * THUMBNAIL_HEIGHT;
+
+        lines.push(`${SubtitleFormats.formatTimestamp(start)} --> ${SubtitleFormats.formatTimestamp(end)}`);
+        lines.push(`${spriteUrl}#xywh=${x},${y},${THUMBNAIL_WIDTH},${THUMBNAIL_HEIGHT}`);
+        lines.push('');
+    }
+
+    return lines.join('\n');
 }
 
 server.listen(PORT, () => {
@@ -742,4 +2196,15 @@ server.listen(PORT, () => {
 ║                                                        ║
 ╚════════════════════════════════════════════════════════╝
     `);
+
+    if (CACHE_SIZE_MB > 0) {
+        console.log(`💾 Range cache: up to ${CACHE_SIZE_MB} MB in ${CACHE_DIR}`);
+    }
+
+    if (accessControl.enabled) {
+        console.log('🔒 Access control on: sign in with AUTH_PASSWORD or an API token');
+        if (!process.env.AUTH_SECRET) {
+            console.warn('⚠️ AUTH_SECRET not set - sign-ins and share links stop working when the server restarts');
+        }
+    }
 });
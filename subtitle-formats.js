@@ -0,0 +1,673 @@
+/**
+ * Subtitle format/encoding detection and WebVTT normalisation, plus the ASS/SSA script parser
+ * behind the player's styled renderer
+ * Shared by server.js (require) and the browser player (<script>), so both convert the same way.
+ * Formats are recognised by content, not by file extension.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('@xmldom/xmldom').DOMParser);
+    } else {
+        root.SubtitleFormats = factory(root.DOMParser);
+    }
+})(typeof self !== 'undefined' ? self : this, function (XmlParser) {
+    'use strict';
+
+    const DEFAULT_FPS = 23.976;
+    const LRC_LAST_CUE_DURATION = 5; // seconds
+
+    // Human-readable names for the subtitle menu and logs
+    const FORMAT_NAMES = {
+        vtt: 'WebVTT',
+        srt: 'SubRip',
+        sbv: 'YouTube SBV',
+        microdvd: 'MicroDVD',
+        ttml: 'TTML/DFXP',
+        lrc: 'LRC',
+        ass: 'ASS/SSA'
+    };
+
+    // Encodings offered for re-decoding in the subtitle menu (WHATWG encoding labels)
+    const ENCODING_NAMES = {
+        'utf-8': 'UTF-8',
+        'utf-16le': 'UTF-16 LE',
+        'utf-16be': 'UTF-16 BE',
+        'windows-1252': 'Western (Windows-1252)',
+        'iso-8859-15': 'Western (ISO-8859-15)',
+        'windows-1250': 'Central European (Windows-1250)',
+        'iso-8859-2': 'Central European (ISO-8859-2)',
+        'windows-1251': 'Cyrillic (Windows-1251)',
+        'koi8-r': 'Cyrillic (KOI8-R)',
+        'windows-1253': 'Greek (Windows-1253)',
+        'iso-8859-7': 'Greek (ISO-8859-7)',
+        'windows-1254': 'Turkish (Windows-1254)',
+        'windows-1255': 'Hebrew (Windows-1255)',
+        'windows-1256': 'Arabic (Windows-1256)',
+        'shift_jis': 'Japanese (Shift-JIS)',
+        'gbk': 'Chinese Simplified (GBK)',
+        'big5': 'Chinese Traditional (Big5)',
+        'euc-kr': 'Korean (EUC-KR)'
+    };
+
+    // Frequent CJK characters; the simplified/traditional variants tell GBK and Big5 apart
+    const COMMON_HAN = '的一是不了人我在有他中大上你子到地也出就要可以好看心那都没能得自';
+    const SIMPLIFIED_HAN = '这们个来说时会对里过发么经当进种还从见吗话爱边样开';
+    const TRADITIONAL_HAN = '這們個來說時會對裡過發麼經當進種還從見嗎話愛邊樣開';
+
+    // Candidates tried when a file isn't valid UTF-8, in order of preference for ties.
+    // common: characters frequent in text that really uses the encoding; script: the rest of its alphabet
+    const LEGACY_ENCODINGS = [
+        { encoding: 'windows-1252', common: /[éèàçêôâîûùòëïüöäßñóáíúã]/, script: /\p{Script=Latin}/u },
+        { encoding: 'windows-1250', common: /[ąćęłńśźżčďěňřšťůžőű]/, script: /\p{Script=Latin}/u },
+        { encoding: 'iso-8859-2', common: /[ąćęłńśźżčďěňřšťůžőű]/, script: /\p{Script=Latin}/u },
+        { encoding: 'windows-1251', common: /[оеаинтсрвлкмдп]/, script: /\p{Script=Cyrillic}/u },
+        { encoding: 'koi8-r', common: /[оеаинтсрвлкмдп]/, script: /\p{Script=Cyrillic}/u },
+        { encoding: 'windows-1253', common: /[α-ωάέήίόύώ]/, script: /\p{Script=Greek}/u },
+        { encoding: 'iso-8859-7', common: /[α-ωάέήίόύώ]/, script: /\p{Script=Greek}/u },
+        { encoding: 'windows-1254', common: /[çğıöşüâî]/, script: /\p{Script=Latin}/u },
+        { encoding: 'windows-1255', common: /[\u05D0-\u05EA]/, script: /\p{Script=Hebrew}/u },
+        { encoding: 'windows-1256', common: /[\u0621-\u064A]/, script: /\p{Script=Arabic}/u },
+        { encoding: 'shift_jis', common: /[\u3040-\u30FF]/, script: /\p{Script=Han}/u, multibyte: true },
+        { encoding: 'gbk', common: new RegExp(`[${COMMON_HAN}${SIMPLIFIED_HAN}]`), script: /\p{Script=Han}/u, multibyte: true },
+        { encoding: 'big5', common: new RegExp(`[${COMMON_HAN}${TRADITIONAL_HAN}]`), script: /\p{Script=Han}/u, multibyte: true },
+        { encoding: 'euc-kr', common: /[\uAC00-\uD7A3]/, script: /\p{Script=Hangul}/u, multibyte: true }
+    ];
+
+    function stripBom(text) {
+        return text.replace(/^\uFEFF/, '');
+    }
+
+    function detectFormat(text) {
+        const content = stripBom(text).replace(/\r\n?/g, '\n').trimStart();
+
+        if (/^WEBVTT/.test(content)) return 'vtt';
+        if (/^\[Script Info\]/im.test(content) || /^\[V4\+? Styles\]/im.test(content)) return 'ass';
+        if (/^<(\?xml|tt[\s>:])/i.test(content) && /<(\w+:)?tt[\s>]/.test(content)) return 'ttml';
+        if (/^\{\d+\}\{\d*\}/m.test(content)) return 'microdvd';
+        if (/^\d+:\d{2}:\d{2}[,.]\d{1,3}\s*-->/m.test(content)) return 'srt';
+        if (/^\d+:\d{2}:\d{2}\.\d{3},\d+:\d{2}:\d{2}\.\d{3}\s*$/m.test(content)) return 'sbv';
+        if (/^\[\d+:\d{2}([.:]\d{1,3})?\]/m.test(content)) return 'lrc';
+        return null;
+    }
+
+    // "01:02:03,456", "02:03.45" or "1:02:03" -> seconds
+    function parseTimestamp(timestamp) {
+        const parts = timestamp.trim().replace(',', '.').split(':');
+        return parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+    }
+
+    function formatTimestamp(seconds) {
+        const ms = Math.max(0, Math.round(seconds * 1000));
+        const hours = Math.floor(ms / 3600000);
+        const minutes = Math.floor(ms / 60000) % 60;
+        const secs = Math.floor(ms / 1000) % 60;
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(ms % 1000, 3)}`;
+    }
+
+    function escapeText(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    function buildVtt(cues) {
+        const blocks = cues
+            .filter(cue => cue.end > cue.start && cue.text.trim())
+            // "-->" inside cue text would end the cue early
+            .map(cue => `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${cue.text.trim().replace(/-->/g, '->')}`);
+        return `WEBVTT\n\n${blocks.join('\n\n')}\n`;
+    }
+
+    // WebVTT cue text -> SRT: <b>, <i> and <u> survive, voice/class/timestamp tags and entities don't
+    function vttTextToSrt(text) {
+        return text
+            .replace(/<(?!\/?[biu]>)[^>]*>/g, '')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&nbsp;/g, '\u00A0')
+            .replace(/&amp;/g, '&');
+    }
+
+    function buildSrt(cues) {
+        const blocks = cues
+            .filter(cue => cue.end > cue.start && cue.text.trim())
+            .map((cue, i) => {
+                const timing = `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}`.replace(/\./g, ',');
+                return `${i + 1}\n${timing}\n${vttTextToSrt(cue.text.trim())}`;
+            });
+        return `${blocks.join('\n\n')}\n`;
+    }
+
+    // SRT keeps <b>, <i> and <u>; font tags and ASS-style overrides ({\an8}) have no WebVTT equivalent
+    function cleanSrtText(text) {
+        return text
+            .replace(/\{\\[^}]*\}/g, '')
+            .replace(/<(?!\/?[biu]>)[^>]*>/gi, '')
+            .replace(/&(?![a-z]+;|#\d+;)/gi, '&amp;');
+    }
+
+    function parseSrt(content) {
+        const cues = [];
+        content.split(/\n\s*\n/).forEach(block => {
+            const lines = block.split('\n');
+            const timingIndex = lines.findIndex(line => line.includes('-->'));
+            if (timingIndex === -1) return;
+
+            const match = lines[timingIndex].match(/([\d:,.]+)\s*-->\s*([\d:,.]+)/);
+            if (!match) return;
+
+            cues.push({
+                start: parseTimestamp(match[1]),
+                end: parseTimestamp(match[2]),
+                text: cleanSrtText(lines.slice(timingIndex + 1).join('\n'))
+            });
+        });
+        return cues;
+    }
+
+    function parseSbv(content) {
+        const cues = [];
+        content.split(/\n\s*\n/).forEach(block => {
+            const lines = block.trim().split('\n');
+            const match = lines[0].match(/^(\d+:\d{2}:\d{2}\.\d{3}),(\d+:\d{2}:\d{2}\.\d{3})$/);
+            if (!match) return;
+
+            cues.push({
+                start: parseTimestamp(match[1]),
+                end: parseTimestamp(match[2]),
+                text: escapeText(lines.slice(1).join('\n'))
+            });
+        });
+        return cues;
+    }
+
+    // {startFrame}{endFrame}Line one|Line two - frame numbers need the video's frame rate.
+    // Many files declare it in a first cue like {1}{1}23.976.
+    function parseMicroDvd(content, fps) {
+        const cues = [];
+        let frameRate = fps || DEFAULT_FPS;
+
+        content.split('\n').forEach((line, index) => {
+            const match = line.trim().match(/^\{(\d+)\}\{(\d*)\}(.*)$/);
+            if (!match) return;
+
+            const declaredFps = parseFloat(match[3]);
+            if (index === 0 && !fps && /^[\d.]+$/.test(match[3].trim()) && declaredFps > 0) {
+                frameRate = declaredFps;
+                return;
+            }
+
+            const start = parseInt(match[1]) / frameRate;
+            // An empty end frame means "until the next line" - approximated with 3 seconds
+            const end = match[2] ? parseInt(match[2]) / frameRate : start + 3;
+
+            // Control codes like {y:i} apply to the whole cue; a leading "/" italicises one line
+            const isItalic = /\{y:i\}/i.test(match[3]);
+            const text = match[3]
+                .replace(/\{[^}]*\}/g, '')
+                .split('|')
+                .map(part => part.startsWith('/') || isItalic ? `<i>${escapeText(part.replace(/^\//, ''))}</i>` : escapeText(part))
+                .join('\n');
+
+            cues.push({ start, end, text });
+        });
+        return cues;
+    }
+
+    // [mm:ss.xx] lyric lines; one line may carry several timestamps, and [offset:+/-ms] shifts them all
+    function parseLrc(content) {
+        const entries = [];
+        let offset = 0;
+
+        content.split('\n').forEach(line => {
+            const offsetMatch = line.match(/^\[offset:\s*([+-]?\d+)\]/i);
+            if (offsetMatch) {
+                offset = parseInt(offsetMatch[1]) / 1000;
+                return;
+            }
+
+            const stamps = [];
+            let rest = line.trim();
+            let match;
+            while ((match = rest.match(/^\[(\d+:\d{2}(?:[.:]\d{1,3})?)\]/))) {
+                // Some writers separate hundredths with a colon: [01:02:50]
+                stamps.push(parseTimestamp(match[1].replace(/^(\d+:\d{2}):/, '$1.')));
+                rest = rest.slice(match[0].length);
+            }
+
+            // Enhanced LRC word timings (<mm:ss.xx>) aren't shown
+            const text = escapeText(rest.replace(/<\d+:\d{2}(?:[.:]\d{1,3})?>/g, '').trim());
+            stamps.forEach(time => entries.push({ time: Math.max(0, time - offset), text }));
+        });
+
+        entries.sort((a, b) => a.time - b.time);
+
+        // Each line lasts until the next one starts
+        return entries.map((entry, i) => ({
+            start: entry.time,
+            end: i + 1 < entries.length ? entries[i + 1].time : entry.time + LRC_LAST_CUE_DURATION,
+            text: entry.text
+        }));
+    }
+
+    function getAttribute(element, localName) {
+        const attributes = element.attributes || [];
+        for (let i = 0; i < attributes.length; i++) {
+            const attribute = attributes[i];
+            if ((attribute.localName || attribute.name.split(':').pop()) === localName) {
+                return attribute.value;
+            }
+        }
+        return null;
+    }
+
+    // TTML time expressions: clock time (00:00:01.500, 00:00:01:12 with frames) or offsets (1.5s, 1500ms, 30f, 900t)
+    function parseTtmlTime(value, timing) {
+        if (!value) return null;
+        const expression = value.trim();
+
+        const clock = expression.match(/^(\d+):(\d{2}):(\d{2})(?:\.(\d+)|:(\d+(?:\.\d+)?))?$/);
+        if (clock) {
+            const seconds = parseInt(clock[1]) * 3600 + parseInt(clock[2]) * 60 + parseInt(clock[3]);
+            if (clock[4]) return seconds + parseFloat(`0.${clock[4]}`);
+            if (clock[5]) return seconds + parseFloat(clock[5]) / timing.frameRate;
+            return seconds;
+        }
+
+        const offset = expression.match(/^(\d+(?:\.\d+)?)(h|ms|m|s|f|t)$/);
+        if (offset) {
+            const amount = parseFloat(offset[1]);
+            switch (offset[2]) {
+                case 'h': return amount * 3600;
+                case 'm': return amount * 60;
+                case 's': return amount;
+                case 'ms': return amount / 1000;
+                case 'f': return amount / timing.frameRate;
+                case 't': return amount / timing.tickRate;
+            }
+        }
+        return null;
+    }
+
+    function ttmlText(node) {
+        let text = '';
+        for (let child = node.firstChild; child; child = child.nextSibling) {
+            if (child.nodeType === 3) {
+                // Whitespace in TTML source is layout, not content
+                text += child.nodeValue.replace(/\s+/g, ' ');
+            } else if (child.nodeType === 1) {
+                const name = child.localName || child.nodeName.split(':').pop();
+                text += name === 'br' ? '\n' : ttmlText(child);
+            }
+        }
+        return text;
+    }
+
+    function parseTtml(content) {
+        if (!XmlParser) throw new Error('No XML parser available for TTML');
+
+        const doc = new XmlParser().parseFromString(content, 'text/xml');
+        const root = doc.documentElement;
+        if (!root || (root.localName || root.nodeName.split(':').pop()) !== 'tt') {
+            throw new Error('Invalid TTML document');
+        }
+
+        const frameRate = parseFloat(getAttribute(root, 'frameRate')) || 30;
+        const multiplier = (getAttribute(root, 'frameRateMultiplier') || '1 1').split(/\s+/).map(Number);
+        const timing = {
+            frameRate: frameRate * (multiplier[0] / (multiplier[1] || 1) || 1),
+            tickRate: parseFloat(getAttribute(root, 'tickRate')) || 1
+        };
+
+        const cues = [];
+        // begin on <body>/<div> offsets the times of everything inside
+        const walk = (element, parentBegin) => {
+            const name = element.localName || element.nodeName.split(':').pop();
+            const begin = parentBegin + (parseTtmlTime(getAttribute(element, 'begin'), timing) || 0);
+
+            if (name === 'p') {
+                const end = parseTtmlTime(getAttribute(element, 'end'), timing);
+                const duration = parseTtmlTime(getAttribute(element, 'dur'), timing);
+                cues.push({
+                    start: begin,
+                    end: end !== null ? parentBegin + end : begin + (duration || 0),
+                    text: escapeText(ttmlText(element).split('\n').map(line => line.trim()).join('\n'))
+                });
+                return;
+            }
+
+            for (let child = element.firstChild; child; child = child.nextSibling) {
+                if (child.nodeType === 1) walk(child, begin);
+            }
+        };
+        walk(root, 0);
+
+        return cues.sort((a, b) => a.start - b.start);
+    }
+
+    function tryDecode(bytes, encoding, fatal) {
+        try {
+            return new TextDecoder(encoding, { fatal }).decode(bytes);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // How plausible a decoding is: frequent letters of the candidate's alphabet score,
+    // while mojibake tells (stray symbols, mixed alphabets, cAsE flips, accent runs) cost
+    function scoreDecoding(text, candidate) {
+        let score = 0;
+        let nonAscii = 0;
+
+        text.split(/[\s\d.,!?;:'"()\-]+/).forEach(word => {
+            const scripts = new Set();
+            let latinRun = 0;
+            let previousLower = false;
+
+            for (const char of word) {
+                if (char.charCodeAt(0) < 0x80) {
+                    if (/[A-Z]/.test(char) && previousLower) score -= 2;
+                    latinRun = 0;
+                    previousLower = /[a-z]/.test(char);
+                    if (/[a-z]/i.test(char)) scripts.add('Latin');
+                    continue;
+                }
+                nonAscii++;
+
+                if (/[\u0080-\u009F\uFFFD]/.test(char)) {
+                    score -= 5;
+                } else if (/[\p{S}\p{No}\uFF61-\uFF9F]/u.test(char)) {
+                    // Symbols, superscripts and half-width katakana rarely appear in real subtitles
+                    score -= 2;
+                } else if (candidate.common.test(char)) {
+                    score += 2;
+                } else if (candidate.script.test(char)) {
+                    score += 1;
+                }
+
+                const isUpper = char !== char.toLowerCase();
+                if (isUpper && previousLower) score -= 2;
+                previousLower = char !== char.toUpperCase();
+
+                if (/\p{Script=Latin}/u.test(char)) {
+                    latinRun++;
+                    if (latinRun > 2) score -= 2;
+                    scripts.add('Latin');
+                } else if (/[\p{Script=Cyrillic}\p{Script=Greek}]/u.test(char)) {
+                    scripts.add(/\p{Script=Cyrillic}/u.test(char) ? 'Cyrillic' : 'Greek');
+                }
+            }
+
+            // Each byte is a letter in every Latin/Cyrillic/Greek codepage, but real words don't mix alphabets
+            if (scripts.size > 1) score -= 5;
+        });
+
+        return nonAscii > 0 ? score / nonAscii : 0;
+    }
+
+    /**
+     * Decode subtitle bytes to text.
+     * Order: explicit charset, byte order mark, BOM-less UTF-16, valid UTF-8, then the best scoring legacy encoding.
+     * @param {Uint8Array} bytes - Raw file contents
+     * @param {string} [charset] - Override, any WHATWG encoding label
+     * @returns {{text: string, encoding: string}}
+     * @throws {Error} code ECHARSET when the charset isn't a known label
+     */
+    function decodeText(bytes, charset) {
+        if (charset) {
+            let decoder;
+            try {
+                decoder = new TextDecoder(charset);
+            } catch (e) {
+                const error = new Error(`Unknown charset: ${charset}`);
+                error.code = 'ECHARSET';
+                throw error;
+            }
+            return { text: decoder.decode(bytes), encoding: decoder.encoding };
+        }
+
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return { text: new TextDecoder('utf-8').decode(bytes), encoding: 'utf-8' };
+        }
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return { text: new TextDecoder('utf-16le').decode(bytes), encoding: 'utf-16le' };
+        }
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return { text: new TextDecoder('utf-16be').decode(bytes), encoding: 'utf-16be' };
+        }
+
+        // UTF-16 without a BOM: ASCII text leaves every other byte zero
+        const sample = bytes.subarray(0, 4096);
+        let evenZeros = 0;
+        let oddZeros = 0;
+        for (let i = 0; i < sample.length; i++) {
+            if (sample[i] === 0) {
+                if (i % 2 === 0) evenZeros++; else oddZeros++;
+            }
+        }
+        const half = sample.length / 2;
+        if (oddZeros > half * 0.2 && evenZeros < oddZeros / 4) {
+            return { text: new TextDecoder('utf-16le').decode(bytes), encoding: 'utf-16le' };
+        }
+        if (evenZeros > half * 0.2 && oddZeros < evenZeros / 4) {
+            return { text: new TextDecoder('utf-16be').decode(bytes), encoding: 'utf-16be' };
+        }
+
+        const utf8 = tryDecode(bytes, 'utf-8', true);
+        if (utf8 !== null) {
+            return { text: utf8, encoding: 'utf-8' };
+        }
+
+        let best = null;
+        LEGACY_ENCODINGS.forEach(candidate => {
+            // Multi-byte encodings must decode cleanly; single-byte ones decode anything
+            const text = tryDecode(bytes, candidate.encoding, !!candidate.multibyte);
+            if (text === null) return;
+
+            const score = scoreDecoding(text, candidate);
+            if (!best || score > best.score) {
+                best = { text, encoding: candidate.encoding, score };
+            }
+        });
+
+        if (!best) {
+            return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'windows-1252' };
+        }
+        return { text: best.text, encoding: best.encoding };
+    }
+
+    // SSA (v4) numbers alignments 1-3 bottom, 5-7 top, 9-11 middle; ASS (v4+) uses numpad layout
+    function legacyAlignment(value) {
+        if (value >= 9) return value - 5;
+        if (value >= 5) return value + 2;
+        return value;
+    }
+
+    // Style booleans are -1 (true) or 0, though some tools write 1
+    function isAssFlagSet(value) {
+        return parseInt(value) === -1 || parseInt(value) === 1;
+    }
+
+    // Splits a "Key: a, b, c" line into values following the section's Format line.
+    // The last field (Text) keeps its commas.
+    function parseAssFields(line, fields) {
+        const values = line.slice(line.indexOf(':') + 1).split(',');
+        const record = {};
+        fields.forEach((field, i) => {
+            record[field] = i === fields.length - 1
+                ? values.slice(i).join(',')
+                : (values[i] || '').trim();
+        });
+        return record;
+    }
+
+    const ASS_DEFAULT_STYLE_FIELDS = ['name', 'fontname', 'fontsize', 'primarycolour', 'secondarycolour', 'outlinecolour',
+        'backcolour', 'bold', 'italic', 'underline', 'strikeout', 'scalex', 'scaley', 'spacing', 'angle', 'borderstyle',
+        'outline', 'shadow', 'alignment', 'marginl', 'marginr', 'marginv', 'encoding'];
+    const ASS_DEFAULT_EVENT_FIELDS = ['layer', 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text'];
+
+    // Missing fields fall back to the values of a fresh "Default" style
+    function buildAssStyle(style, legacy) {
+        const alignment = parseInt(style.alignment) || 2;
+        const number = (value, fallback) => value === undefined || value === '' ? fallback : parseFloat(value);
+        return {
+            name: (style.name || 'Default').replace(/^\*/, ''),
+            fontName: style.fontname || 'Arial',
+            fontSize: number(style.fontsize, 20),
+            primaryColour: style.primarycolour || '&H00FFFFFF',
+            secondaryColour: style.secondarycolour || '&H000000FF',
+            // SSA calls it TertiaryColour
+            outlineColour: style.outlinecolour || style.tertiarycolour || '&H00000000',
+            backColour: style.backcolour || '&H80000000',
+            bold: parseInt(style.bold) || 0,
+            italic: isAssFlagSet(style.italic),
+            underline: isAssFlagSet(style.underline),
+            strikeOut: isAssFlagSet(style.strikeout),
+            spacing: number(style.spacing, 0),
+            angle: number(style.angle, 0),
+            borderStyle: parseInt(style.borderstyle) || 1,
+            outline: number(style.outline, 2),
+            shadow: number(style.shadow, 2),
+            alignment: legacy ? legacyAlignment(alignment) : alignment,
+            marginL: number(style.marginl, 10),
+            marginR: number(style.marginr, 10),
+            marginV: number(style.marginv, 10)
+        };
+    }
+
+    /**
+     * Parse an ASS/SSA script into its styles and events, keeping the override tags
+     * in the event text - rendering is up to the caller.
+     * @param {string} text - Script contents
+     * @returns {{playResX: number, playResY: number, wrapStyle: number, styles: Object, events: Array}}
+     *   styles always has a "Default" entry; event times are in seconds
+     */
+    function parseAss(text) {
+        const content = stripBom(text).replace(/\r\n?/g, '\n');
+        const info = {};
+        const styles = {};
+        const events = [];
+        let section = '';
+        let styleFields = ASS_DEFAULT_STYLE_FIELDS;
+        let eventFields = ASS_DEFAULT_EVENT_FIELDS;
+
+        content.split('\n').forEach(rawLine => {
+            const line = rawLine.trim();
+            const header = line.match(/^\[(.+)\]$/);
+            if (header) {
+                section = header[1].toLowerCase();
+                return;
+            }
+
+            const separator = line.indexOf(':');
+            if (separator === -1 || line.startsWith(';')) return;
+            const key = line.slice(0, separator).trim().toLowerCase();
+
+            if (section === 'script info') {
+                info[key] = line.slice(separator + 1).trim();
+            } else if (section === 'v4+ styles' || section === 'v4 styles') {
+                if (key === 'format') {
+                    styleFields = line.slice(separator + 1).split(',').map(field => field.trim().toLowerCase());
+                } else if (key === 'style') {
+                    const style = buildAssStyle(parseAssFields(line, styleFields), section === 'v4 styles');
+                    styles[style.name] = style;
+                }
+            } else if (section === 'events') {
+                if (key === 'format') {
+                    eventFields = line.slice(separator + 1).split(',').map(field => field.trim().toLowerCase());
+                } else if (key === 'dialogue') {
+                    const event = parseAssFields(rawLine, eventFields);
+                    events.push({
+                        order: events.length,
+                        // SSA has "Marked=0" where ASS has the layer
+                        layer: parseInt(event.layer) || 0,
+                        start: parseTimestamp(event.start || '0'),
+                        end: parseTimestamp(event.end || '0'),
+                        style: (event.style || 'Default').replace(/^\*/, ''),
+                        marginL: parseFloat(event.marginl) || 0,
+                        marginR: parseFloat(event.marginr) || 0,
+                        marginV: parseFloat(event.marginv) || 0,
+                        text: event.text || ''
+                    });
+                }
+            }
+        });
+
+        // Scripts without PlayRes are authored against 384x288; one given dimension implies the other at 4:3
+        let playResX = parseFloat(info.playresx) || 0;
+        let playResY = parseFloat(info.playresy) || 0;
+        if (!playResX && !playResY) {
+            playResX = 384;
+            playResY = 288;
+        } else if (!playResY) {
+            playResY = playResX === 1280 ? 1024 : playResX * 3 / 4;
+        } else if (!playResX) {
+            playResX = playResY === 1024 ? 1280 : playResY * 4 / 3;
+        }
+
+        if (!styles.Default) {
+            styles.Default = buildAssStyle({}, false);
+        }
+
+        return {
+            playResX,
+            playResY,
+            wrapStyle: parseInt(info.wrapstyle) || 0,
+            styles,
+            events: events.filter(event => event.end > event.start)
+        };
+    }
+
+    /**
+     * Convert subtitle text to WebVTT.
+     * ASS/SSA is not handled here - callers have their own converters for it.
+     * @param {string} text - Subtitle file contents
+     * @param {string} [format] - Format from detectFormat(), detected if omitted
+     * @param {{fps?: number}} [options] - Frame rate for MicroDVD files that don't declare one
+     * @returns {string} WebVTT document
+     */
+    function toVtt(text, format, options = {}) {
+        const content = stripBom(text).replace(/\r\n?/g, '\n');
+        const detected = format || detectFormat(content);
+
+        switch (detected) {
+            case 'vtt':
+                return content;
+            case 'srt':
+                return buildVtt(parseSrt(content));
+            case 'sbv':
+                return buildVtt(parseSbv(content));
+            case 'microdvd':
+                return buildVtt(parseMicroDvd(content, options.fps));
+            case 'ttml':
+                return buildVtt(parseTtml(content));
+            case 'lrc':
+                return buildVtt(parseLrc(content));
+            default:
+                throw new Error(detected ? `Unsupported subtitle format: ${detected}` : 'Unrecognised subtitle format');
+        }
+    }
+
+    /**
+     * Serialise cues (e.g. from a TextTrack) back into a subtitle file.
+     * @param {Array<{start: number, end: number, text: string}>} cues - Times in seconds, WebVTT cue text
+     * @param {'vtt'|'srt'} format
+     * @returns {string}
+     */
+    function fromCues(cues, format) {
+        return format === 'srt' ? buildSrt(cues) : buildVtt(cues);
+    }
+
+    return {
+        FORMAT_NAMES,
+        ENCODING_NAMES,
+        decodeText,
+        detectFormat,
+        toVtt,
+        fromCues,
+        parseAss,
+        legacyAlignment,
+        parseTimestamp,
+        formatTimestamp
+    };
+});
@@ -0,0 +1,209 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAccessControl } = require('../access-control');
+
+const VIDEO = 'https://cdn.example.com/videos/1/movie.mp4';
+const PREFIX = 'https://cdn.example.com/videos/1/';
+const now = () => Math.floor(Date.now() / 1000);
+const rejected = (message) => (error) => error.code === 'ELINK' && message.test(error.message);
+
+describe('signed links', () => {
+    const access = createAccessControl({ tokens: ['token'], secret: 'secret' });
+
+    it('open exactly the URL they were made for', () => {
+        const link = access.signLink(VIDEO);
+        assert.equal(link.expires, now() + access.linkTtl);
+        assert.deepEqual(access.verifyLink(VIDEO, link), { expires: link.expires });
+
+        [`${VIDEO}?x=1`, `${VIDEO}#t=10`, 'https://cdn.example.com/videos/1/other.mp4',
+            'https://cdn.example.com/videos/1/movie.mp4/', 'http://cdn.example.com/videos/1/movie.mp4'].forEach(url => {
+            assert.throws(() => access.verifyLink(url, link), rejected(/Invalid/), url);
+        });
+    });
+
+    it('are ignored when the request carries no signature', () => {
+        assert.equal(access.verifyLink(VIDEO, {}), null);
+        assert.equal(access.verifyLink(VIDEO, { expires: String(now() + 60) }), null);
+        assert.equal(access.verifyLink(VIDEO), null);
+    });
+
+    it('stop working once they expire', () => {
+        const expired = access.signLink(VIDEO, now() - 1);
+        assert.throws(() => access.verifyLink(VIDEO, expired), rejected(/expired/));
+
+        const valid = access.signLink(VIDEO, now() + 60);
+        assert.ok(access.verifyLink(VIDEO, { expires: String(valid.expires), sig: valid.sig }));
+    });
+
+    it('refuse a changed expiry or signature', () => {
+        const link = access.signLink(VIDEO, now() + 60);
+
+        [
+            { expires: link.expires + 3600, sig: link.sig },
+            { expires: `${link.expires}0`, sig: link.sig },
+            { expires: 'never', sig: link.sig },
+            { expires: -1, sig: link.sig },
+            { expires: link.expires, sig: `${link.sig}x` },
+            { expires: link.expires, sig: link.sig.slice(1) },
+            { expires: link.expires, sig: access.signLink(VIDEO, now() + 120).sig }
+        ].forEach(query => {
+            assert.throws(() => access.verifyLink(VIDEO, query), rejected(/Invalid/), JSON.stringify(query));
+        });
+    });
+
+    it('are bound to the secret that signed them', () => {
+        const link = access.signLink(VIDEO);
+        const other = createAccessControl({ tokens: ['token'], secret: 'another secret' });
+        assert.throws(() => other.verifyLink(VIDEO, link), rejected(/Invalid/));
+    });
+
+    it('can\'t be turned into a scoped link', () => {
+        const link = access.signLink(PREFIX, now() + 60);
+        assert.throws(() => access.verifyLink(VIDEO, { ...link, scope: PREFIX }), rejected(/Invalid/));
+    });
+});
+
+describe('scoped links', () => {
+    const access = createAccessControl({ tokens: ['token'], secret: 'secret' });
+    const expires = now() + 60;
+    const scoped = access.signPrefix(PREFIX, expires);
+
+    it('open every URL under their directory', () => {
+        ['https://cdn.example.com/videos/1/segment-1.m4s', 'https://cdn.example.com/videos/1/video/720p/init.mp4',
+            'https://cdn.example.com/videos/1/segment.m4s?token=abc'].forEach(url => {
+            assert.deepEqual(access.verifyLink(url, scoped), { expires }, url);
+        });
+    });
+
+    it('don\'t reach outside their directory', () => {
+        [
+            'https://cdn.example.com/videos/2/segment-1.m4s',
+            'https://cdn.example.com/videos/10/segment-1.m4s',
+            'https://cdn.example.com/videos/1/../2/segment-1.m4s',
+            'https://cdn.example.com/videos/1/%2e%2e/2/segment-1.m4s',
+            'https://cdn.example.com/videos/1/./../../secret',
+            'https://cdn.example.com/videos/1',
+            'https://cdn.example.com:8443/videos/1/segment-1.m4s',
+            'http://cdn.example.com/videos/1/segment-1.m4s',
+            'https://cdn.example.com.evil.test/videos/1/segment-1.m4s',
+            'https://evil.test/https://cdn.example.com/videos/1/',
+            'not a url'
+        ].forEach(url => {
+            assert.throws(() => access.verifyLink(url, scoped), rejected(/Invalid/), url);
+        });
+    });
+
+    it('refuse a widened or tampered scope', () => {
+        [
+            { ...scoped, scope: 'https://cdn.example.com/' },
+            { ...scoped, scope: 'https://cdn.example.com/videos/' },
+            { ...scoped, scope: 'https://cdn.example.com/videos/1/../' },
+            { ...scoped, scope: 'https://cdn.example.com/videos/1' },
+            { ...scoped, expires: expires + 3600 }
+        ].forEach(query => {
+            assert.throws(() => access.verifyLink('https://cdn.example.com/videos/1/segment-1.m4s', query),
+                rejected(/Invalid/), query.scope);
+        });
+    });
+
+    it('only work for normalized directory prefixes', () => {
+        ['https://cdn.example.com/videos/1', 'https://cdn.example.com/videos/1/../2/',
+            'https://CDN.example.com/videos/1/'].forEach(prefix => {
+            const link = access.signPrefix(prefix, expires);
+            assert.throws(() => access.verifyLink('https://cdn.example.com/videos/1/segment-1.m4s', link),
+                rejected(/Invalid/), prefix);
+        });
+    });
+
+    it('never cover a whole origin', () => {
+        const root = access.signPrefix('https://cdn.example.com/', expires);
+        assert.throws(() => access.verifyLink('https://cdn.example.com/videos/1/segment-1.m4s', root), rejected(/Invalid/));
+        assert.throws(() => access.verifyLink('https://cdn.example.com/admin', root), rejected(/Invalid/));
+    });
+
+    it('stop working once they expire', () => {
+        const expired = access.signPrefix(PREFIX, now() - 1);
+        assert.throws(() => access.verifyLink('https://cdn.example.com/videos/1/segment-1.m4s', expired),
+            rejected(/expired/));
+    });
+});
+
+describe('links written into manifests', () => {
+    const access = createAccessControl({ tokens: ['token'], secret: 'secret' });
+    const MANIFEST = 'https://cdn.example.com/videos/1/manifest.mpd';
+    const expires = now() + 60;
+
+    it('sign URLs on the manifest\'s own origin', () => {
+        ['https://cdn.example.com/videos/1/segment-1.m4s', 'https://cdn.example.com/keys/key.bin'].forEach(url => {
+            const link = access.signManifestLink(MANIFEST, url, expires);
+            assert.deepEqual(access.verifyLink(url, link), { expires }, url);
+        });
+    });
+
+    it('leave URLs on other origins unsigned', () => {
+        ['https://victim.test/admin', 'http://cdn.example.com/videos/1/segment-1.m4s',
+            'https://cdn.example.com:8443/videos/1/segment-1.m4s', 'not a url'].forEach(url => {
+            assert.equal(access.signManifestLink(MANIFEST, url, expires), null, url);
+        });
+    });
+
+    it('scope templates to directories on the manifest\'s own origin', () => {
+        const link = access.signManifestScope(MANIFEST, 'https://cdn.example.com/videos/1/video/', expires);
+        assert.deepEqual(access.verifyLink('https://cdn.example.com/videos/1/video/seg-1.m4s', link), { expires });
+        assert.ok(access.signManifestScope(MANIFEST, 'https://cdn.example.com/other/', expires));
+
+        ['https://victim.test/videos/', 'https://victim.test/', 'https://cdn.example.com/',
+            'https://cdn.example.com/videos/1', 'https://cdn.example.com/videos/1/../../', ''].forEach(prefix => {
+            assert.equal(access.signManifestScope(MANIFEST, prefix, expires), null, prefix);
+        });
+    });
+});
+
+describe('sign-in', () => {
+    const access = createAccessControl({ tokens: ['token'], password: 'hunter2', secret: 'secret' });
+    const request = (headers) => ({ headers });
+
+    it('accepts the password and API tokens, and nothing else', () => {
+        assert.equal(access.checkCredential('hunter2'), true);
+        assert.equal(access.checkCredential('token'), true);
+        assert.equal(access.checkCredential('hunter'), false);
+        assert.equal(access.checkCredential(''), false);
+    });
+
+    it('authenticates bearer tokens and session cookies', () => {
+        assert.equal(access.authenticate(request({ authorization: 'Bearer token' })), 'token');
+        assert.equal(access.authenticate(request({ authorization: 'Bearer internal' })), null);
+        assert.equal(access.authenticate(request({ authorization: 'Bearer hunter2' })), null);
+        assert.equal(access.authenticate(request({})), null);
+
+        const cookie = access.sessionCookie(false).split(';')[0];
+        assert.equal(access.authenticate(request({ cookie: `theme=dark; ${cookie}` })), 'session');
+        assert.match(access.sessionCookie(true), /; Secure$/);
+    });
+
+    it('refuses forged or expired sessions', () => {
+        const [name, value] = access.sessionCookie(false).split(';')[0].split('=');
+        const [expires, signature] = value.split('.');
+
+        [`${Number(expires) + 60}.${signature}`, `${expires}.${signature.slice(1)}`, `${expires}.`, expires,
+            `${now() - 1}.${signature}`].forEach(forged => {
+            assert.equal(access.authenticate(request({ cookie: `${name}=${forged}` })), null, forged);
+        });
+
+        const other = createAccessControl({ password: 'hunter2', secret: 'another secret' });
+        assert.equal(other.authenticate(request({ cookie: `${name}=${value}` })), null);
+    });
+
+    it('tells the server\'s own requests apart', () => {
+        const withService = createAccessControl({ tokens: ['token'], serviceToken: 'internal' });
+        assert.equal(withService.authenticate(request({ authorization: 'Bearer internal' })), 'service');
+        assert.equal(withService.authenticate(request({ authorization: 'Bearer token' })), 'token');
+    });
+
+    it('stays off without tokens or a password', () => {
+        assert.equal(createAccessControl().enabled, false);
+        assert.equal(createAccessControl({ serviceToken: 'internal' }).enabled, false);
+        assert.equal(access.enabled, true);
+    });
+});
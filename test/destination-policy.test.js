@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createDestinationPolicy } = require('../destination-policy');
+
+const refused = (error) => error.code === 'EDESTINATION';
+
+describe('destination policy', () => {
+    const policy = createDestinationPolicy();
+
+    it('lets public http(s) URLs through', () => {
+        assert.equal(policy.check('https://cdn.example.com/video.mp4').hostname, 'cdn.example.com');
+        assert.equal(policy.check('http://93.184.215.14/video.mp4').hostname, '93.184.215.14');
+        assert.equal(policy.check('http://[2606:2800:21f:cb07:6820:80da:af6b:8b2c]/').hostname,
+            '[2606:2800:21f:cb07:6820:80da:af6b:8b2c]');
+    });
+
+    it('refuses other protocols and invalid URLs', () => {
+        ['file:///etc/passwd', 'ftp://example.com/video.mp4', 'data:text/plain,hi', 'gopher://example.com/',
+            'not a url'].forEach(url => {
+            assert.throws(() => policy.check(url), refused, url);
+        });
+    });
+
+    it('refuses internal IPv4 addresses', () => {
+        ['127.0.0.1', '127.8.8.8', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+            '100.64.0.1', '0.0.0.0', '224.0.0.1', '255.255.255.255'].forEach(address => {
+            assert.throws(() => policy.check(`http://${address}/`), refused, address);
+        });
+        assert.doesNotThrow(() => policy.check('http://172.32.0.1/'));
+    });
+
+    it('refuses internal addresses written in other IPv4 notations', () => {
+        // The URL parser turns all of these into 127.0.0.1 or 169.254.169.254
+        ['http://2130706433/', 'http://0x7f000001/', 'http://0177.0.0.1/', 'http://127.1/',
+            'http://0xa9.0xfe.0xa9.0xfe/', 'http://127.0.0.1./'].forEach(url => {
+            assert.throws(() => policy.check(url), refused, url);
+        });
+    });
+
+    it('refuses internal IPv6 addresses', () => {
+        ['::1', '::', 'fe80::1', 'fc00::1', 'fd12:3456::1', 'fec0::1', 'ff02::1'].forEach(address => {
+            assert.throws(() => policy.check(`http://[${address}]/`), refused, address);
+        });
+    });
+
+    it('refuses IPv6 addresses that lead to IPv4 ones', () => {
+        [
+            '::ffff:127.0.0.1',     // IPv4-mapped
+            '::ffff:a9fe:a9fe',     // IPv4-mapped, 169.254.169.254
+            '::127.0.0.1',          // IPv4-compatible
+            '64:ff9b::7f00:1',      // NAT64
+            '64:ff9b::a9fe:a9fe',   // NAT64, 169.254.169.254
+            '64:ff9b:1::a00:1',     // local-use NAT64
+            '2002:7f00:1::1',       // 6to4 around 127.0.0.1
+            '2002:5db8:d70e::1'     // 6to4 around a public address - still refused
+        ].forEach(address => {
+            assert.throws(() => policy.check(`http://[${address}]/`), refused, address);
+        });
+    });
+
+    it('matches domain lists against the domain and its subdomains only', () => {
+        const listed = createDestinationPolicy({
+            allowedDomains: ['example.com', '*.videos.test'],
+            blockedDomains: ['.private.example.com']
+        });
+
+        assert.doesNotThrow(() => listed.check('https://example.com/a.mp4'));
+        assert.doesNotThrow(() => listed.check('https://cdn.example.com/a.mp4'));
+        assert.doesNotThrow(() => listed.check('https://EU.CDN.Videos.Test/a.mp4'));
+        assert.doesNotThrow(() => listed.check('https://example.com./a.mp4'));
+
+        ['https://notexample.com/', 'https://example.com.evil.test/', 'https://videos.test.evil.test/',
+            'https://private.example.com/', 'https://a.private.example.com/', 'https://private.example.com./',
+            'https://user@private.example.com/', 'http://93.184.215.14/'].forEach(url => {
+            assert.throws(() => listed.check(url), refused, url);
+        });
+    });
+
+    it('leaves internal addresses reachable when private networks are allowed', () => {
+        const open = createDestinationPolicy({ allowPrivateNetworks: true, blockedDomains: ['localhost'] });
+
+        assert.doesNotThrow(() => open.check('http://127.0.0.1:5000/'));
+        assert.doesNotThrow(() => open.check('http://[64:ff9b::7f00:1]/'));
+        assert.throws(() => open.check('http://localhost/'), refused);
+        assert.throws(() => open.check('file:///etc/passwd'), refused);
+    });
+
+    it('checks the addresses a hostname resolves to', async () => {
+        await assert.rejects(policy.resolve('http://localhost:4000/'), refused);
+        await assert.rejects(policy.resolve('http://127.0.0.1/'), refused);
+        assert.equal((await policy.resolve('http://93.184.215.14/')).hostname, '93.184.215.14');
+    });
+
+    it('refuses internal addresses at connection time through lookup', (t, done) => {
+        policy.lookup('localhost', { family: 4 }, (err, address) => {
+            assert.ok(refused(err));
+            assert.equal(address, undefined);
+            done();
+        });
+    });
+
+    it('hands the checked address to the connection when it passes', (t, done) => {
+        const open = createDestinationPolicy({ allowPrivateNetworks: true });
+        open.lookup('localhost', 4, (err, address, family) => {
+            assert.ifError(err);
+            assert.equal(address, '127.0.0.1');
+            assert.equal(family, 4);
+            done();
+        });
+    });
+});
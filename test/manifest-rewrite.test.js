@@ -0,0 +1,198 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DOMParser } = require('@xmldom/xmldom');
+
+const { isHlsPlaylist, isDashManifest, toProxyUrl, rewriteHlsPlaylist, rewriteDashManifest } = require('../manifest-rewrite');
+
+const PLAYLIST_URL = 'https://cdn.example.com/videos/1/master.m3u8';
+const MANIFEST_URL = 'https://cdn.example.com/videos/1/manifest.mpd';
+const proxied = (targetUrl) => `/proxy?url=${encodeURIComponent(targetUrl)}`;
+// $Identifiers$ are left for the player to fill in (works for templates without format tags)
+const proxiedTemplate = (templateUrl) => `/proxy?url=${encodeURIComponent(templateUrl).replace(/%24/g, '$')}`;
+
+// The rewritten manifest, with a lookup for the first element of a name under an element
+function rewrittenMpd(manifest, links) {
+    const doc = new DOMParser().parseFromString(rewriteDashManifest(manifest, MANIFEST_URL, links), 'application/xml');
+    const find = (name, within = doc) => within.getElementsByTagName(name)[0];
+    const representation = (id) => Array.from(doc.getElementsByTagName('Representation')).find(r => r.getAttribute('id') === id);
+    return { find, representation };
+}
+
+describe('HLS playlists', () => {
+    it('are recognised by content type or URL', () => {
+        assert.equal(isHlsPlaylist('https://cdn.example.com/live', 'application/vnd.apple.mpegurl; charset=utf-8'), true);
+        assert.equal(isHlsPlaylist('https://cdn.example.com/live', 'Audio/X-MpegURL'), true);
+        assert.equal(isHlsPlaylist('https://cdn.example.com/live/index.M3U8?token=1'), true);
+        assert.equal(isHlsPlaylist('https://cdn.example.com/live?format=.m3u8', 'text/plain'), false);
+        assert.equal(isHlsPlaylist('https://cdn.example.com/movie.mp4', 'video/mp4'), false);
+    });
+
+    it('send segments and variant playlists through the proxy', () => {
+        const playlist = [
+            '#EXTM3U',
+            '#EXT-X-STREAM-INF:BANDWIDTH=800000',
+            '720p/index.m3u8',
+            '',
+            '#EXTINF:4.0,',
+            '  /other/segment-1.ts  ',
+            '#EXTINF:4.0,',
+            'https://media.example.net/segment-2.ts?token=abc'
+        ].join('\r\n');
+
+        assert.deepEqual(rewriteHlsPlaylist(playlist, PLAYLIST_URL).split('\n'), [
+            '#EXTM3U',
+            '#EXT-X-STREAM-INF:BANDWIDTH=800000',
+            proxied('https://cdn.example.com/videos/1/720p/index.m3u8'),
+            '',
+            '#EXTINF:4.0,',
+            proxied('https://cdn.example.com/other/segment-1.ts'),
+            '#EXTINF:4.0,',
+            proxied('https://media.example.net/segment-2.ts?token=abc')
+        ]);
+    });
+
+    it('rewrite URI= attributes of keys, maps and renditions', () => {
+        const playlist = [
+            '#EXTM3U',
+            '#EXT-X-KEY:METHOD=AES-128,URI="keys/key.bin",IV=0x1',
+            '#EXT-X-MAP:URI="init.mp4",BYTERANGE="720@0"',
+            '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="a",URI="audio/en.m3u8",NAME="English"',
+            '#EXT-X-I-FRAME-STREAM-INF:BANDWIDTH=1,URI="iframes.m3u8"'
+        ].join('\n');
+
+        assert.deepEqual(rewriteHlsPlaylist(playlist, PLAYLIST_URL).split('\n'), [
+            '#EXTM3U',
+            `#EXT-X-KEY:METHOD=AES-128,URI="${proxied('https://cdn.example.com/videos/1/keys/key.bin')}",IV=0x1`,
+            `#EXT-X-MAP:URI="${proxied('https://cdn.example.com/videos/1/init.mp4')}",BYTERANGE="720@0"`,
+            `#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="a",URI="${proxied('https://cdn.example.com/videos/1/audio/en.m3u8')}",NAME="English"`,
+            `#EXT-X-I-FRAME-STREAM-INF:BANDWIDTH=1,URI="${proxied('https://cdn.example.com/videos/1/iframes.m3u8')}"`
+        ]);
+    });
+
+    it('leave keys that aren\'t fetched over http(s) alone', () => {
+        const playlist = '#EXTM3U\n#EXT-X-KEY:METHOD=SAMPLE-AES,URI="skd://key-id"\n' +
+            '#EXT-X-KEY:METHOD=AES-128,URI="data:text/plain;base64,AAAA"\nsegment.ts';
+
+        assert.deepEqual(rewriteHlsPlaylist(playlist, PLAYLIST_URL).split('\n'), [
+            '#EXTM3U',
+            '#EXT-X-KEY:METHOD=SAMPLE-AES,URI="skd://key-id"',
+            '#EXT-X-KEY:METHOD=AES-128,URI="data:text/plain;base64,AAAA"',
+            proxied('https://cdn.example.com/videos/1/segment.ts')
+        ]);
+    });
+
+    it('sign every URL they write when asked to', () => {
+        const signed = [];
+        const linkQuery = (targetUrl) => {
+            signed.push(targetUrl);
+            return '&expires=1&sig=x';
+        };
+        const playlist = '#EXTM3U\n#EXT-X-MAP:URI="init.mp4"\nsegment.ts';
+
+        assert.deepEqual(rewriteHlsPlaylist(playlist, PLAYLIST_URL, { linkQuery }).split('\n'), [
+            '#EXTM3U',
+            `#EXT-X-MAP:URI="${proxied('https://cdn.example.com/videos/1/init.mp4')}&expires=1&sig=x"`,
+            `${proxied('https://cdn.example.com/videos/1/segment.ts')}&expires=1&sig=x`
+        ]);
+        assert.deepEqual(signed, ['https://cdn.example.com/videos/1/init.mp4', 'https://cdn.example.com/videos/1/segment.ts']);
+        assert.equal(toProxyUrl('https://a.test/x y.ts'), '/proxy?url=https%3A%2F%2Fa.test%2Fx%20y.ts');
+    });
+
+    it('pass through anything that isn\'t a playlist', () => {
+        const page = '<html><body>Not found</body></html>';
+        assert.equal(rewriteHlsPlaylist(page, PLAYLIST_URL), page);
+        assert.equal(rewriteHlsPlaylist('\uFEFF\n#EXTM3U\nsegment.ts', PLAYLIST_URL),
+            `\uFEFF\n#EXTM3U\n${proxied('https://cdn.example.com/videos/1/segment.ts')}`);
+    });
+});
+
+describe('DASH manifests', () => {
+    const mpd = (body) => `<?xml version="1.0"?>\n<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="static">${body}</MPD>`;
+
+    it('are recognised by content type or URL', () => {
+        assert.equal(isDashManifest('https://cdn.example.com/live', 'application/dash+xml;profiles=x'), true);
+        assert.equal(isDashManifest('https://cdn.example.com/live/Manifest.MPD?token=1'), true);
+        assert.equal(isDashManifest('https://cdn.example.com/live', 'application/xml'), false);
+    });
+
+    it('resolve each BaseURL against the one above it', () => {
+        const { find, representation } = rewrittenMpd(mpd(
+            '<BaseURL>https://media.example.net/content/</BaseURL>' +
+            '<Period><BaseURL>p1/</BaseURL><AdaptationSet>' +
+            '<Representation id="a"><BaseURL>audio.mp4</BaseURL></Representation>' +
+            '<Representation id="b"><BaseURL>/root.mp4</BaseURL></Representation>' +
+            '</AdaptationSet></Period>'));
+
+        assert.equal(find('BaseURL').textContent, proxied('https://media.example.net/content/'));
+        assert.equal(find('BaseURL', find('Period')).textContent, proxied('https://media.example.net/content/p1/'));
+        assert.equal(find('BaseURL', representation('a')).textContent, proxied('https://media.example.net/content/p1/audio.mp4'));
+        assert.equal(find('BaseURL', representation('b')).textContent, proxied('https://media.example.net/root.mp4'));
+    });
+
+    it('pin an inherited SegmentTemplate on Representations with their own BaseURL', () => {
+        const { find, representation } = rewrittenMpd(mpd(
+            '<Period><BaseURL>p1/</BaseURL><AdaptationSet>' +
+            '<SegmentTemplate media="$RepresentationID$/seg-$Number%05d$.m4s" initialization="init-$RepresentationID$.mp4" timescale="1000"/>' +
+            '<Representation id="720p"/>' +
+            '<Representation id="1080p"><BaseURL>hi/</BaseURL></Representation>' +
+            '<Representation id="4k"><BaseURL>uhd/</BaseURL><SegmentTemplate initialization="own.mp4"/></Representation>' +
+            '</AdaptationSet></Period>'));
+
+        const shared = find('SegmentTemplate', find('AdaptationSet'));
+        assert.equal(shared.getAttribute('media'),
+            '/proxy?url=https%3A%2F%2Fcdn.example.com%2Fvideos%2F1%2Fp1%2F$RepresentationID$%2Fseg-$Number%05d$.m4s');
+        assert.equal(shared.getAttribute('initialization'),
+            proxiedTemplate('https://cdn.example.com/videos/1/p1/init-$RepresentationID$.mp4'));
+        assert.equal(shared.getAttribute('timescale'), '1000');
+
+        // Same base as the AdaptationSet: the shared template already resolves right
+        assert.equal(find('SegmentTemplate', representation('720p')), undefined);
+
+        const pinned = find('SegmentTemplate', representation('1080p'));
+        assert.equal(pinned.getAttribute('media'),
+            '/proxy?url=https%3A%2F%2Fcdn.example.com%2Fvideos%2F1%2Fp1%2Fhi%2F$RepresentationID$%2Fseg-$Number%05d$.m4s');
+        assert.equal(pinned.getAttribute('initialization'),
+            proxiedTemplate('https://cdn.example.com/videos/1/p1/hi/init-$RepresentationID$.mp4'));
+
+        // A template of its own keeps its attributes; only the inherited ones are added
+        const own = find('SegmentTemplate', representation('4k'));
+        assert.equal(own.getAttribute('initialization'), proxiedTemplate('https://cdn.example.com/videos/1/p1/uhd/own.mp4'));
+        assert.equal(own.getAttribute('media'),
+            '/proxy?url=https%3A%2F%2Fcdn.example.com%2Fvideos%2F1%2Fp1%2Fuhd%2F$RepresentationID$%2Fseg-$Number%05d$.m4s');
+    });
+
+    it('rewrite SegmentList entries and Location', () => {
+        const { find } = rewrittenMpd(mpd(
+            '<Location>live/manifest.mpd</Location>' +
+            '<Period><AdaptationSet><Representation id="b"><SegmentList>' +
+            '<Initialization sourceURL="b/init.mp4"/><SegmentURL media="b/1.m4s" mediaRange="0-99"/>' +
+            '</SegmentList></Representation></AdaptationSet></Period>'));
+
+        assert.equal(find('Location').textContent, proxied('https://cdn.example.com/videos/1/live/manifest.mpd'));
+        assert.equal(find('Initialization').getAttribute('sourceURL'), proxied('https://cdn.example.com/videos/1/b/init.mp4'));
+        assert.equal(find('SegmentURL').getAttribute('media'), proxied('https://cdn.example.com/videos/1/b/1.m4s'));
+        assert.equal(find('SegmentURL').getAttribute('mediaRange'), '0-99');
+    });
+
+    it('sign templates as templates and everything else as single URLs', () => {
+        const linkQuery = (targetUrl) => `&link=${encodeURIComponent(targetUrl)}`;
+        const templateLinkQuery = (templateUrl) => `&template=${encodeURIComponent(templateUrl)}`;
+        const { find } = rewrittenMpd(mpd(
+            '<Period><BaseURL>p1/</BaseURL><AdaptationSet>' +
+            '<SegmentTemplate media="seg-$Number$.m4s"/><Representation id="a"/>' +
+            '</AdaptationSet></Period>'), { linkQuery, templateLinkQuery });
+
+        assert.equal(find('BaseURL').textContent,
+            proxied('https://cdn.example.com/videos/1/p1/') + linkQuery('https://cdn.example.com/videos/1/p1/'));
+        assert.equal(find('SegmentTemplate').getAttribute('media'),
+            proxiedTemplate('https://cdn.example.com/videos/1/p1/seg-$Number$.m4s') +
+            templateLinkQuery('https://cdn.example.com/videos/1/p1/seg-$Number$.m4s'));
+    });
+
+    it('leave documents that aren\'t an MPD alone, and refuse broken XML', () => {
+        const other = '<?xml version="1.0"?><html><body>Not found</body></html>';
+        assert.equal(rewriteDashManifest(other, MANIFEST_URL), other);
+        assert.throws(() => rewriteDashManifest('<MPD><Period>', MANIFEST_URL), /Could not parse MPD/);
+    });
+});
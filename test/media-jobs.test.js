@@ -0,0 +1,129 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const { createJobRunner } = require('../media-jobs');
+
+// Jobs are node scripts, so the tests don't need ffmpeg
+const NODE = process.execPath;
+const script = (source) => ['-e', source];
+const SLEEP = script('setTimeout(() => {}, 10000)');
+const failed = (code, message) => (error) => error.code === code && message.test(error.message);
+
+// Let the runner spawn what it can (and children get going) before looking
+const settle = (ms = 50) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('media job runner', () => {
+    it('collects what a job writes and fails with its last stderr line', async () => {
+        const jobs = createJobRunner();
+
+        const { stdout } = await jobs.run(NODE, script('process.stdout.write("{\\"ok\\":true}")'), {
+            collectStdout: 1024
+        }).promise;
+        assert.equal(stdout, '{"ok":true}');
+
+        const failing = jobs.run(NODE, script('console.error("first"); console.error("Invalid data"); process.exit(1)'));
+        await assert.rejects(failing.promise, /failed: Invalid data$/);
+        await assert.rejects(jobs.run(NODE, script('process.stdout.write("x".repeat(100))'), {
+            collectStdout: 10
+        }).promise, /output too large/);
+    });
+
+    it('runs no more jobs at once than its concurrency', async () => {
+        const jobs = createJobRunner({ concurrency: 2 });
+        const started = [];
+        const handles = [1, 2, 3].map(n => jobs.run(NODE, SLEEP, { label: `job ${n}`, onStart: () => started.push(n) }));
+        await settle();
+
+        assert.deepEqual(started, [1, 2]);
+        assert.deepEqual(jobs.list().running.map(job => job.label), ['job 1', 'job 2']);
+        assert.deepEqual(jobs.list().queued.map(job => job.label), ['job 3']);
+
+        // A finished job makes room for the next in line
+        handles[0].cancel();
+        await assert.rejects(handles[0].promise);
+        await settle();
+        assert.deepEqual(started, [1, 2, 3]);
+
+        handles.slice(1).forEach(handle => handle.cancel());
+        await Promise.allSettled(handles.map(handle => handle.promise));
+        assert.equal(jobs.list().running.length, 0);
+    });
+
+    it('fails jobs that wait too long for a slot with EBUSY', async () => {
+        const jobs = createJobRunner({ concurrency: 1 });
+        const busy = jobs.run(NODE, SLEEP);
+        const waiting = jobs.run(NODE, SLEEP, { queueTimeout: 50 });
+
+        await assert.rejects(waiting.promise, failed('EBUSY', /waited too long/));
+        assert.equal(jobs.list().queued.length, 0);
+
+        busy.cancel();
+        await assert.rejects(busy.promise);
+    });
+
+    it('stops jobs that stall or run too long with ETIMEDOUT', async () => {
+        const jobs = createJobRunner();
+
+        const stalled = jobs.run(NODE, SLEEP, { stallTimeout: 300 });
+        await assert.rejects(stalled.promise, (error) => failed('ETIMEDOUT', /stalled/)(error) && !error.cancelled);
+
+        // Output keeps the stall timer away, but not the overall one
+        const chatty = jobs.run(NODE, script('setInterval(() => process.stdout.write("."), 20)'), {
+            stallTimeout: 300, timeout: 600
+        });
+        await assert.rejects(chatty.promise, failed('ETIMEDOUT', /timed out/));
+        assert.deepEqual(jobs.list().recent.map(job => job.status), ['failed', 'failed']);
+    });
+
+    it('cancels jobs through an AbortSignal', async () => {
+        const jobs = createJobRunner({ concurrency: 1 });
+        const controller = new AbortController();
+        const running = jobs.run(NODE, SLEEP, { signal: controller.signal });
+        const queued = jobs.run(NODE, SLEEP, { signal: controller.signal });
+        await settle();
+
+        controller.abort();
+        await Promise.all([running, queued].map(handle => {
+            return assert.rejects(handle.promise, (error) => error.cancelled && /cancelled/.test(error.message));
+        }));
+        assert.deepEqual(jobs.list().recent.map(job => job.status), ['cancelled', 'cancelled']);
+
+        await assert.rejects(jobs.run(NODE, SLEEP, { signal: AbortSignal.abort() }).promise, (error) => error.cancelled);
+    });
+
+    it('cancels a job when the response it works for closes early', async () => {
+        const jobs = createJobRunner();
+        const client = Object.assign(new EventEmitter(), { writableFinished: false });
+        const job = jobs.run(NODE, SLEEP, { client });
+        await settle();
+
+        client.emit('close');
+        await assert.rejects(job.promise, (error) => error.cancelled && /client disconnected/.test(error.message));
+        assert.equal(client.listenerCount('close'), 0);
+
+        // A response that ended normally has nothing left to cancel
+        const done = Object.assign(new EventEmitter(), { writableFinished: true });
+        const finished = jobs.run(NODE, script(''), { client: done });
+        done.emit('close');
+        await finished.promise;
+    });
+
+    it('reports a missing command as ENOENT', async () => {
+        const jobs = createJobRunner();
+        await assert.rejects(jobs.run('streamflow-no-such-command', []).promise,
+            failed('ENOENT', /streamflow-no-such-command not available/));
+        assert.equal(jobs.list().running.length, 0);
+    });
+
+    it('lists the video a job works on only when asked to', async () => {
+        const jobs = createJobRunner();
+        await jobs.run(NODE, script(''), { label: 'analyze', url: 'https://cdn.example.com/movie.mp4' }).promise;
+
+        const [job] = jobs.list().recent;
+        assert.equal(job.label, 'analyze');
+        assert.equal(job.status, 'done');
+        assert.equal(job.url, undefined);
+        assert.equal(jobs.list({ includeUrls: true }).recent[0].url, 'https://cdn.example.com/movie.mp4');
+    });
+});
@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PlaylistFormats = require('../playlist-formats');
+
+describe('playlists', () => {
+    it('read M3U titles and resolve relative entries against the playlist', () => {
+        const m3u = '#EXTM3U\n#EXTINF:120,First video\nhttps://a.test/1.mp4\n\n# comment\nrel/2.mp4\n';
+
+        assert.deepEqual(PlaylistFormats.parse(m3u, 'https://lists.test/dir/list.m3u'), [
+            { url: 'https://a.test/1.mp4', title: 'First video' },
+            { url: 'https://lists.test/dir/rel/2.mp4', title: null }
+        ]);
+        assert.deepEqual(PlaylistFormats.parse('rel/2.mp4'), []);
+    });
+
+    it('drop anything that isn\'t http(s)', () => {
+        const list = 'file:///etc/passwd\njavascript:alert(1)\ndata:video/mp4;base64,AAAA\nhttps://a.test/1.mp4\n';
+        assert.deepEqual(PlaylistFormats.parse(list, 'https://lists.test/list.m3u'),
+            [{ url: 'https://a.test/1.mp4', title: null }]);
+    });
+
+    it('split pasted lines holding several URLs', () => {
+        assert.deepEqual(PlaylistFormats.parse('#EXTINF:-1,Both\r\nhttps://a.test/1.mp4 http://a.test/2.mp4\r\n'), [
+            { url: 'https://a.test/1.mp4', title: null },
+            { url: 'http://a.test/2.mp4', title: null }
+        ]);
+    });
+
+    it('read PLS entries in number order', () => {
+        const pls = '[playlist]\nFile2=https://a.test/b.mp4\nTitle2=B\nFile1=a.mp4\nTitle10=orphan\nNumberOfEntries=2\n';
+
+        assert.deepEqual(PlaylistFormats.parse(pls, 'https://lists.test/x/list.pls'), [
+            { url: 'https://lists.test/x/a.mp4', title: null },
+            { url: 'https://a.test/b.mp4', title: 'B' }
+        ]);
+    });
+
+    it('refuse HLS stream playlists', () => {
+        assert.throws(() => PlaylistFormats.parse('#EXTM3U\n#EXT-X-TARGETDURATION:10\nseg.ts'), /HLS stream playlist/);
+    });
+
+    it('stop at the item limit', () => {
+        const list = Array.from({ length: PlaylistFormats.MAX_ITEMS + 10 }, (_, i) => `https://a.test/${i}.mp4`).join('\n');
+        assert.equal(PlaylistFormats.parse(list).length, PlaylistFormats.MAX_ITEMS);
+    });
+
+    it('write back what they read', () => {
+        const items = [
+            { url: 'https://a.test/1.mp4', title: 'One\nline' },
+            { url: 'https://a.test/2.mp4', title: null }
+        ];
+        const text = PlaylistFormats.stringify(items);
+
+        assert.equal(text, '#EXTM3U\n#EXTINF:-1,One line\nhttps://a.test/1.mp4\n#EXTINF:-1,\nhttps://a.test/2.mp4');
+        assert.deepEqual(PlaylistFormats.parse(text), [{ ...items[0], title: 'One line' }, items[1]]);
+        assert.equal(PlaylistFormats.stringify([{ url: 'https://a.test/1.mp4' }]), 'https://a.test/1.mp4');
+    });
+
+    it('are told apart from videos by their URL', () => {
+        assert.equal(PlaylistFormats.isPlaylistUrl('https://a.test/list.m3u8?x=1'), true);
+        assert.equal(PlaylistFormats.isPlaylistUrl('https://a.test/list.PLS'), true);
+        assert.equal(PlaylistFormats.isPlaylistUrl('https://a.test/video.mp4'), false);
+        assert.equal(PlaylistFormats.isPlaylistUrl('https://a.test/video.mp4?list=a.m3u'), false);
+        assert.equal(PlaylistFormats.isPlaylistUrl('ftp://a.test/list.m3u'), false);
+        assert.equal(PlaylistFormats.isPlaylistUrl('list.m3u'), false);
+    });
+});
@@ -0,0 +1,248 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+const { createRangeCache } = require('../range-cache');
+
+const BLOCK_SIZE = 10;
+const URL = 'https://cdn.example.com/movie.mp4';
+
+// Every byte differs from its neighbours, so a slice from the wrong offset can't match
+const fileOf = (size) => Buffer.from(Array.from({ length: size }, (_, i) => (i * 7 + 3) % 256));
+const infoOf = (data, etag = '"v1"') => ({ size: data.length, etag: etag, contentType: 'video/mp4' });
+
+// Upstream stand-in: serves [start, end] of data in odd-sized chunks, and remembers what was asked
+function upstream(data, chunkSize = 7) {
+    const fetchRange = async (start, end) => {
+        fetchRange.calls.push([start, end]);
+        const body = data.subarray(start, end + 1);
+        const chunks = [];
+        for (let i = 0; i < body.length; i += chunkSize) chunks.push(body.subarray(i, i + chunkSize));
+        return Readable.from(chunks);
+    };
+    fetchRange.calls = [];
+    return fetchRange;
+}
+
+async function readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+// Blocks land on disk asynchronously
+async function waitFor(condition) {
+    for (let i = 0; i < 200 && !condition(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    assert.ok(condition(), 'timed out waiting for the cache');
+}
+
+// Store [start, end) of data the way a passing response would
+async function storeRange(cache, data, start, end, info = infoOf(data)) {
+    const writer = cache.store(URL, info, start);
+    for (let i = start; i < end; i += 4) writer.write(data.subarray(i, Math.min(i + 4, end)));
+    const entry = cache.get(URL);
+    const first = Math.ceil(start / BLOCK_SIZE);
+    const last = end === data.length ? Math.ceil(end / BLOCK_SIZE) - 1 : Math.floor(end / BLOCK_SIZE) - 1;
+    if (last >= first) {
+        await waitFor(() => cache.covers(entry, first * BLOCK_SIZE, Math.min((last + 1) * BLOCK_SIZE, data.length) - 1));
+    }
+    return entry;
+}
+
+describe('range cache', () => {
+    let root;
+    let counter = 0;
+    const newCache = (options = {}) => createRangeCache({
+        dir: path.join(root, String(counter++)), maxBytes: 1000, blockSize: BLOCK_SIZE, ...options
+    });
+
+    before(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'streamflow-range-cache-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('answers any range of a fully cached file from disk', async () => {
+        const cache = newCache();
+        const data = fileOf(45);
+        const entry = await storeRange(cache, data, 0, data.length);
+        const fetchRange = upstream(data);
+
+        for (const [start, end] of [[0, 44], [0, 0], [9, 10], [10, 19], [3, 27], [40, 44], [44, 44], [19, 40]]) {
+            assert.ok(cache.covers(entry, start, end));
+            assert.deepEqual(await readAll(cache.read(entry, start, end, fetchRange)), data.subarray(start, end + 1),
+                `${start}-${end}`);
+        }
+        assert.deepEqual(fetchRange.calls, []);
+        assert.equal(cache.stats().hits, 8);
+        assert.equal(cache.stats().usedBytes, 45);
+    });
+
+    it('keeps only the whole blocks a response covered', async () => {
+        const cache = newCache();
+        const data = fileOf(50);
+        const entry = await storeRange(cache, data, 15, 37);
+
+        // 15-19 and 30-36 are parts of blocks, so only 20-29 is kept
+        assert.deepEqual([...entry.blocks], [2]);
+        assert.ok(cache.covers(entry, 20, 29));
+        assert.ok(!cache.covers(entry, 19, 29));
+        assert.ok(!cache.covers(entry, 20, 30));
+        assert.equal(cache.stats().files[0].cachedBytes, 10);
+    });
+
+    it('keeps a short last block', async () => {
+        const cache = newCache();
+        const data = fileOf(45);
+        const entry = await storeRange(cache, data, 30, 45);
+
+        assert.deepEqual([...entry.blocks].sort(), [3, 4]);
+        assert.equal(cache.stats().usedBytes, 15);
+        assert.deepEqual(await readAll(cache.read(entry, 38, 44, upstream(data))), data.subarray(38, 45));
+    });
+
+    it('fetches only the gaps between cached blocks, in whole blocks', async () => {
+        const cache = newCache();
+        const data = fileOf(50);
+        await storeRange(cache, data, 0, 10);
+        const entry = await storeRange(cache, data, 30, 40);
+        const fetchRange = upstream(data);
+
+        assert.deepEqual(await readAll(cache.read(entry, 5, 45, fetchRange)), data.subarray(5, 46));
+        assert.deepEqual(fetchRange.calls, [[10, 29], [40, 49]]);
+        assert.equal(cache.stats().partialHits, 1);
+        assert.equal(cache.stats().bytesFromUpstream, 26);
+        assert.equal(cache.stats().bytesFromCache, 15);
+
+        // The gaps were stored on the way through
+        await waitFor(() => cache.covers(entry, 0, 49));
+        const again = upstream(data);
+        assert.deepEqual(await readAll(cache.read(entry, 0, 49, again)), data);
+        assert.deepEqual(again.calls, []);
+    });
+
+    it('can fetch gaps without keeping them', async () => {
+        const cache = newCache();
+        const data = fileOf(50);
+        const entry = await storeRange(cache, data, 0, 10);
+
+        assert.deepEqual(await readAll(cache.read(entry, 0, 49, upstream(data), { store: false })), data);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.deepEqual([...entry.blocks], [0]);
+        assert.equal(cache.stats().usedBytes, 10);
+    });
+
+    it('reads ranges that start and end inside an uncached block', async () => {
+        const cache = newCache();
+        const data = fileOf(50);
+        const entry = await storeRange(cache, data, 20, 30);
+        const fetchRange = upstream(data, 3);
+
+        assert.deepEqual(await readAll(cache.read(entry, 12, 17, fetchRange)), data.subarray(12, 18));
+        await waitFor(() => cache.covers(entry, 10, 19));
+        assert.deepEqual(await readAll(cache.read(entry, 19, 31, fetchRange)), data.subarray(19, 32));
+        assert.deepEqual(fetchRange.calls, [[10, 19], [30, 39]]);
+    });
+
+    it('fails the read when upstream ends early', async () => {
+        const cache = newCache();
+        const data = fileOf(50);
+        const entry = await storeRange(cache, data, 0, 10);
+        const short = async () => Readable.from([data.subarray(10, 15)]);
+
+        await assert.rejects(readAll(cache.read(entry, 0, 29, short)), /ended early/);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.ok(!cache.covers(entry, 10, 19));
+    });
+
+    it('evicts the least recently used blocks over budget', async () => {
+        const cache = newCache({ maxBytes: 30 });
+        const data = fileOf(60);
+        const entry = await storeRange(cache, data, 0, 30);
+
+        // Reading block 0 makes block 1 the oldest
+        await readAll(cache.read(entry, 0, 9, upstream(data)));
+        await storeRange(cache, data, 30, 40);
+
+        assert.deepEqual([...entry.blocks].sort(), [0, 2, 3]);
+        assert.equal(cache.stats().usedBytes, 30);
+        assert.equal(cache.stats().evictions, 1);
+        await waitFor(() => fs.readdirSync(path.join(root, String(counter - 1))).length === 3);
+    });
+
+    it('replaces a file whose validators changed', async () => {
+        const cache = newCache();
+        const data = fileOf(30);
+        const old = await storeRange(cache, data, 0, 30);
+
+        const changed = fileOf(40);
+        const entry = await storeRange(cache, changed, 0, 10, infoOf(changed, '"v2"'));
+
+        assert.notEqual(entry, old);
+        assert.ok(old.removed);
+        assert.equal(entry.size, 40);
+        assert.equal(cache.stats().invalidations, 1);
+        assert.equal(cache.stats().usedBytes, 10);
+        assert.deepEqual(await readAll(cache.read(entry, 0, 9, upstream(changed))), changed.subarray(0, 10));
+    });
+
+    it('forgets an invalidated file and deletes its blocks', async () => {
+        const cache = newCache();
+        const dir = path.join(root, String(counter - 1));
+        const data = fileOf(30);
+        const entry = await storeRange(cache, data, 0, 30);
+
+        cache.invalidate(entry);
+        cache.invalidate(entry);
+
+        assert.equal(cache.get(URL), null);
+        assert.equal(cache.stats().usedBytes, 0);
+        assert.equal(cache.stats().invalidations, 1);
+        await waitFor(() => fs.readdirSync(dir).length === 0);
+
+        // Writes still in flight for it are dropped
+        const late = cache.store(URL, infoOf(data), 0);
+        cache.invalidate(cache.get(URL));
+        late.write(data.subarray(0, 10));
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.equal(cache.stats().blocks, 0);
+    });
+
+    it('clears its own leftover block files at startup', () => {
+        const dir = path.join(root, 'leftovers');
+        fs.mkdirSync(dir);
+        const id = 'a'.repeat(40);
+        ['notes.txt', `${id}-0`, `${id}-12`, `${id}-3.tmp7`, `${id}-x`].forEach(name => {
+            fs.writeFileSync(path.join(dir, name), 'x');
+        });
+
+        createRangeCache({ dir, maxBytes: 1000, blockSize: BLOCK_SIZE });
+        assert.deepEqual(fs.readdirSync(dir).sort(), [`${id}-x`, 'notes.txt']);
+    });
+
+    it('names cached files only when asked to', async () => {
+        const cache = newCache();
+        await storeRange(cache, fileOf(20), 0, 20);
+
+        assert.equal(cache.stats().files[0].url, undefined);
+        assert.equal(cache.stats({ includeUrls: true }).files[0].url, URL);
+        assert.equal(cache.stats().files[0].size, 20);
+    });
+
+    it('does nothing when turned off', () => {
+        const dir = path.join(root, 'off');
+        const cache = createRangeCache({ dir, maxBytes: 0 });
+
+        assert.equal(cache.store(URL, infoOf(fileOf(20)), 0), null);
+        assert.equal(cache.get(URL), null);
+        assert.equal(cache.stats().enabled, false);
+        assert.ok(!fs.existsSync(dir));
+    });
+});
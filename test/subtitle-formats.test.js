@@ -0,0 +1,123 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const SubtitleFormats = require('../subtitle-formats');
+
+describe('subtitle conversion', () => {
+    it('detects each format from its contents', () => {
+        [
+            ['WEBVTT\n\n00:01.000 --> 00:02.000\nHi', 'vtt'],
+            ['\uFEFF\r\n1\r\n00:00:01,000 --> 00:00:02,000\r\nHi', 'srt'],
+            ['0:00:01.000,0:00:02.000\nHi', 'sbv'],
+            ['{10}{20}Hi', 'microdvd'],
+            ['[00:01.00]Hi', 'lrc'],
+            ['<?xml version="1.0"?>\n<tt xmlns="http://www.w3.org/ns/ttml"></tt>', 'ttml'],
+            ['[Script Info]\nTitle: x', 'ass'],
+            ['just some text', null]
+        ].forEach(([text, format]) => {
+            assert.equal(SubtitleFormats.detectFormat(text), format, text);
+        });
+    });
+
+    it('converts SRT, keeping basic styling and escaping the rest', () => {
+        const srt = '\uFEFF1\r\n00:00:01,500 --> 00:00:03,000\r\n' +
+            '<font color="red">Hello</font> {\\an8}<i>world</i> & co\r\n\r\n' +
+            '2\r\n00:00:04,000 --> 00:00:05,250\r\nA --> B\r\n';
+
+        assert.equal(SubtitleFormats.toVtt(srt), 'WEBVTT\n\n' +
+            '00:00:01.500 --> 00:00:03.000\nHello <i>world</i> &amp; co\n\n' +
+            '00:00:04.000 --> 00:00:05.250\nA -> B\n');
+    });
+
+    it('converts SBV', () => {
+        assert.equal(SubtitleFormats.toVtt('0:00:01.000,0:00:02.500\nLine <one>\n\n0:00:03.000,0:00:04.000\nTwo\n'),
+            'WEBVTT\n\n00:00:01.000 --> 00:00:02.500\nLine &lt;one&gt;\n\n00:00:03.000 --> 00:00:04.000\nTwo\n');
+    });
+
+    it('converts MicroDVD with a declared, given or default frame rate', () => {
+        assert.equal(SubtitleFormats.toVtt('{1}{1}25\n{25}{50}Hello|/World\n{75}{}{y:i}Tail\n'),
+            'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nHello\n<i>World</i>\n\n' +
+            '00:00:03.000 --> 00:00:06.000\n<i>Tail</i>\n');
+        assert.equal(SubtitleFormats.toVtt('{50}{100}Hi\n', null, { fps: 50 }),
+            'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nHi\n');
+    });
+
+    it('converts LRC, applying the offset and repeated timestamps', () => {
+        assert.equal(SubtitleFormats.toVtt('[offset:+500]\n[00:01.00][00:05.00]Chorus\n[00:03.50]Verse <00:03.60>word\n'),
+            'WEBVTT\n\n00:00:00.500 --> 00:00:03.000\nChorus\n\n' +
+            '00:00:03.000 --> 00:00:04.500\nVerse word\n\n00:00:04.500 --> 00:00:09.500\nChorus\n');
+    });
+
+    it('converts TTML with begin/end and begin/dur timing', () => {
+        const ttml = '<?xml version="1.0"?><tt xmlns="http://www.w3.org/ns/ttml"><body><div>' +
+            '<p begin="00:00:01.000" end="00:00:02.000">One<br/>Two</p>' +
+            '<p begin="3s" dur="1.5s">Three &amp; <span>four</span></p>' +
+            '</div></body></tt>';
+
+        assert.equal(SubtitleFormats.toVtt(ttml),
+            'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nOne\nTwo\n\n00:00:03.000 --> 00:00:04.500\nThree &amp; four\n');
+    });
+
+    it('refuses text it can\'t read', () => {
+        assert.throws(() => SubtitleFormats.toVtt('just some text'), /Unrecognised subtitle format/);
+        assert.throws(() => SubtitleFormats.toVtt('[Script Info]\n'), /Unsupported subtitle format: ass/);
+    });
+
+    it('writes cues back out as SRT or WebVTT', () => {
+        const cues = [
+            { start: 1, end: 2, text: '<v Bob>Hi</v> &amp; <b>bye</b> &lt;3' },
+            { start: 3, end: 3, text: 'empty' },
+            { start: 3661.5, end: 3662, text: 'a --> b' }
+        ];
+
+        assert.equal(SubtitleFormats.fromCues(cues, 'srt'),
+            '1\n00:00:01,000 --> 00:00:02,000\nHi & <b>bye</b> <3\n\n2\n01:01:01,500 --> 01:01:02,000\na --> b\n');
+        assert.equal(SubtitleFormats.fromCues(cues, 'vtt'),
+            'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n<v Bob>Hi</v> &amp; <b>bye</b> &lt;3\n\n' +
+            '01:01:01.500 --> 01:01:02.000\na -> b\n');
+    });
+
+    it('reads and writes timestamps', () => {
+        assert.equal(SubtitleFormats.parseTimestamp('01:02:03,456'), 3723.456);
+        assert.equal(SubtitleFormats.parseTimestamp('02:03.45'), 123.45);
+        assert.equal(SubtitleFormats.formatTimestamp(3723.4567), '01:02:03.457');
+        assert.equal(SubtitleFormats.formatTimestamp(-1), '00:00:00.000');
+    });
+});
+
+describe('subtitle decoding', () => {
+    const decode = (bytes, charset) => SubtitleFormats.decodeText(Uint8Array.from(bytes), charset);
+
+    it('honours byte order marks', () => {
+        assert.deepEqual(decode(Buffer.from('\uFEFFCafé', 'utf8')), { text: 'Café', encoding: 'utf-8' });
+        assert.deepEqual(decode(Buffer.from('\uFEFFHi', 'utf16le')), { text: 'Hi', encoding: 'utf-16le' });
+        assert.deepEqual(decode(Buffer.from('\uFEFFHi', 'utf16le').swap16()), { text: 'Hi', encoding: 'utf-16be' });
+    });
+
+    it('recognises UTF-16 without a byte order mark', () => {
+        assert.deepEqual(decode(Buffer.from('Hello world', 'utf16le')), { text: 'Hello world', encoding: 'utf-16le' });
+        assert.deepEqual(decode(Buffer.from('Hello world', 'utf16le').swap16()),
+            { text: 'Hello world', encoding: 'utf-16be' });
+    });
+
+    it('prefers UTF-8 whenever the bytes are valid UTF-8', () => {
+        assert.deepEqual(decode(Buffer.from('Привет, café', 'utf8')), { text: 'Привет, café', encoding: 'utf-8' });
+    });
+
+    it('picks the legacy encoding whose text reads like words', () => {
+        assert.deepEqual(decode(Buffer.from('Café crème brûlée, déjà vu', 'latin1')),
+            { text: 'Café crème brûlée, déjà vu', encoding: 'windows-1252' });
+        // "Привет, как дела?" in windows-1251
+        assert.deepEqual(decode([0xCF, 0xF0, 0xE8, 0xE2, 0xE5, 0xF2, 0x2C, 0x20, 0xEA, 0xE0, 0xEA, 0x20, 0xE4, 0xE5, 0xEB, 0xE0, 0x3F]),
+            { text: 'Привет, как дела?', encoding: 'windows-1251' });
+        // "こんにちは" in Shift_JIS
+        assert.deepEqual(decode([0x82, 0xB1, 0x82, 0xF1, 0x82, 0xC9, 0x82, 0xBF, 0x82, 0xCD]),
+            { text: 'こんにちは', encoding: 'shift_jis' });
+    });
+
+    it('uses an explicit charset as given', () => {
+        assert.deepEqual(decode([0xCF, 0xF0, 0xE8], 'cp1251'), { text: 'При', encoding: 'windows-1251' });
+        assert.throws(() => decode([0x41], 'no-such-charset'),
+            { code: 'ECHARSET', message: 'Unknown charset: no-such-charset' });
+    });
+});
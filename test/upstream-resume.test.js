@@ -0,0 +1,163 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { responseSpan, ifRangeValidator, resumableBody } = require('../upstream-resume');
+
+const FILE = Buffer.from(Array.from({ length: 64 * 1024 }, (_, i) => (i * 7 + 3) % 256));
+const RETRY = { delay: 5, maxDelay: 20 };
+
+const response = (statusCode, headers) => ({ statusCode, headers });
+
+async function readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+describe('response spans', () => {
+    it('read the bytes a response carries', () => {
+        assert.deepEqual(responseSpan(response(200, { 'content-length': '100', 'accept-ranges': 'bytes', etag: '"a"' })),
+            { start: 0, end: 99, size: 100, etag: '"a"', lastModified: null, resumable: true });
+        assert.deepEqual(responseSpan(response(206, { 'content-range': 'bytes 10-19/100' })),
+            { start: 10, end: 19, size: 100, etag: null, lastModified: null, resumable: true });
+        assert.equal(responseSpan(response(206, { 'content-range': 'bytes 10-19/*' })).size, null);
+        assert.equal(responseSpan(response(200, { 'content-length': '100' })).resumable, false);
+    });
+
+    it('are unknown without a length, or when the body is compressed', () => {
+        assert.equal(responseSpan(response(200, {})), null);
+        assert.equal(responseSpan(response(206, { 'content-range': 'bytes */100' })), null);
+        assert.equal(responseSpan(response(200, { 'content-length': '100', 'content-encoding': 'gzip' })), null);
+        assert.equal(responseSpan(response(404, { 'content-length': '100' })), null);
+    });
+
+    it('pin resumes with a strong validator only', () => {
+        assert.equal(ifRangeValidator({ etag: '"a"', lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT' }), '"a"');
+        assert.equal(ifRangeValidator({ etag: 'W/"a"', lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT' }),
+            'Mon, 01 Jan 2024 00:00:00 GMT');
+        assert.equal(ifRangeValidator({ etag: null, lastModified: null }), null);
+    });
+});
+
+describe('resumable bodies', () => {
+    let server;
+    let baseUrl;
+    let behaviour; // (req, res, requestNumber) => void
+    let requests;
+
+    // Send [start, end] of FILE, cutting the connection after `cutAfter` bytes when given
+    function sendFile(req, res, { etag = '"v1"', ranges = true, cutAfter = null } = {}) {
+        const range = (req.headers.range || '').match(/^bytes=(\d+)-(\d+)?$/);
+        const ifRange = req.headers['if-range'];
+        const honourRange = ranges && range && (!ifRange || ifRange === etag);
+        const start = honourRange ? parseInt(range[1]) : 0;
+        const end = honourRange && range[2] ? parseInt(range[2]) : FILE.length - 1;
+
+        const headers = { 'Content-Length': end - start + 1, 'ETag': etag };
+        if (ranges) headers['Accept-Ranges'] = 'bytes';
+        if (honourRange) headers['Content-Range'] = `bytes ${start}-${end}/${FILE.length}`;
+        res.writeHead(honourRange ? 206 : 200, headers);
+
+        const body = FILE.subarray(start, end + 1);
+        if (cutAfter === null) {
+            res.end(body);
+        } else {
+            res.write(body.subarray(0, cutAfter), () => res.socket.destroy());
+        }
+    }
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            requests.push({ range: req.headers.range, ifRange: req.headers['if-range'] });
+            behaviour(req, res, requests.length);
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/file`;
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    // Make the first request and wrap its body, as the proxy does
+    function open(headers = {}, options = RETRY) {
+        requests = [];
+        const request = (requestOptions, onResponse) => http.request(baseUrl, requestOptions, onResponse);
+        return new Promise((resolve, reject) => {
+            const req = request({ headers }, (res) => resolve(resumableBody(res, request, headers, options)));
+            req.on('error', reject);
+            req.end();
+        });
+    }
+
+    it('pick up where the connection dropped', async () => {
+        behaviour = (req, res, n) => sendFile(req, res, { cutAfter: n <= 2 ? 20000 : null });
+        const retries = [];
+
+        const body = await open({}, { ...RETRY, onRetry: info => retries.push(info.position) });
+        assert.deepEqual(await readAll(body), FILE);
+        assert.deepEqual(requests, [
+            { range: undefined, ifRange: undefined },
+            { range: `bytes=20000-${FILE.length - 1}`, ifRange: '"v1"' },
+            { range: `bytes=40000-${FILE.length - 1}`, ifRange: '"v1"' }
+        ]);
+        assert.deepEqual(retries, [20000, 40000]);
+    });
+
+    it('resume a range request within its range', async () => {
+        behaviour = (req, res, n) => sendFile(req, res, { cutAfter: n === 1 ? 100 : null });
+
+        const body = await open({ 'Range': 'bytes=1000-1999' });
+        assert.deepEqual(await readAll(body), FILE.subarray(1000, 2000));
+        assert.deepEqual(requests[1], { range: 'bytes=1100-1999', ifRange: '"v1"' });
+    });
+
+    it('fail when the file changed in between', async () => {
+        behaviour = (req, res, n) => sendFile(req, res, n === 1 ? { cutAfter: 20000 } : { etag: '"v2"' });
+
+        const body = await open();
+        await assert.rejects(readAll(body), { code: 'ECHANGED' });
+        assert.equal(requests.length, 2);
+    });
+
+    it('fail when the server can\'t resume', async () => {
+        behaviour = (req, res) => sendFile(req, res, { ranges: false, cutAfter: 20000 });
+
+        await assert.rejects(readAll(await open()), /ended at byte 20000|connection lost/);
+        assert.equal(requests.length, 1);
+    });
+
+    it('give up after the attempts run out', async () => {
+        behaviour = (req, res, n) => {
+            if (n === 1) {
+                sendFile(req, res, { cutAfter: 20000 });
+            } else {
+                res.writeHead(503);
+                res.end();
+            }
+        };
+
+        await assert.rejects(readAll(await open({}, { ...RETRY, attempts: 3 })), /HTTP 503/);
+        assert.equal(requests.length, 4);
+    });
+
+    it('count attempts from the last one that brought data', async () => {
+        behaviour = (req, res, n) => sendFile(req, res, { cutAfter: n <= 4 ? 10000 : null });
+
+        const body = await open({}, { ...RETRY, attempts: 1 });
+        assert.deepEqual(await readAll(body), FILE);
+        assert.equal(requests.length, 5);
+    });
+
+    it('leave responses of unknown length as they are', async () => {
+        behaviour = (req, res) => {
+            res.writeHead(200, { 'Transfer-Encoding': 'chunked' });
+            res.end(FILE.subarray(0, 100));
+        };
+
+        const body = await open();
+        assert.ok(body instanceof http.IncomingMessage);
+        assert.deepEqual(await readAll(body), FILE.subarray(0, 100));
+    });
+});
@@ -0,0 +1,180 @@
+/**
+ * Upstream response bodies that survive the connection dropping
+ * When a transfer ends short of its Content-Length/Content-Range, the rest is asked for again
+ * with a Range request from where it stopped, pinned to the same file with If-Range, backing
+ * off between attempts. A transfer that can't be resumed (no byte ranges, the file changed,
+ * attempts used up) errors instead of ending quietly, so the client sees a failed response
+ * rather than a truncated file.
+ */
+
+const { PassThrough } = require('stream');
+
+function changedError() {
+    const error = new Error('File changed upstream');
+    error.code = 'ECHANGED';
+    return error;
+}
+
+/**
+ * Which bytes of which file an upstream response carries, or null when its length isn't known
+ * (size is null for "bytes a-b/*")
+ * @param {import('http').IncomingMessage} proxyRes
+ * @returns {{start: number, end: number, size: number|null, etag: string|null, lastModified: string|null, resumable: boolean}|null}
+ */
+function responseSpan(proxyRes) {
+    const headers = proxyRes.headers;
+    if (headers['content-encoding'] && headers['content-encoding'] !== 'identity') {
+        return null;
+    }
+
+    let span = null;
+    if (proxyRes.statusCode === 206) {
+        const match = (headers['content-range'] || '').match(/^bytes (\d+)-(\d+)\/(\d+|\*)$/);
+        if (match) {
+            span = {
+                start: parseInt(match[1]),
+                end: parseInt(match[2]),
+                size: match[3] === '*' ? null : parseInt(match[3])
+            };
+        }
+    } else if (proxyRes.statusCode === 200 && parseInt(headers['content-length']) > 0) {
+        const length = parseInt(headers['content-length']);
+        span = { start: 0, end: length - 1, size: length };
+    }
+    if (!span) {
+        return null;
+    }
+
+    span.etag = headers['etag'] || null;
+    span.lastModified = headers['last-modified'] || null;
+    span.resumable = proxyRes.statusCode === 206 || headers['accept-ranges'] === 'bytes';
+    return span;
+}
+
+/**
+ * If-Range only works with a strong validator; null when the file has none
+ * @param {{etag?: string|null, lastModified?: string|null}} validators
+ * @returns {string|null}
+ */
+function ifRangeValidator({ etag, lastModified }) {
+    return etag && !etag.startsWith('W/') ? etag : lastModified;
+}
+
+// The rest of an interrupted transfer, from `position` to the end of `span` - only if it is
+// still the same file (otherwise rejects with code ECHANGED)
+function requestRemainder(request, requestHeaders, span, position) {
+    return new Promise((resolve, reject) => {
+        const headers = { ...requestHeaders, 'Range': `bytes=${position}-${span.end}` };
+        delete headers['If-Range'];
+        if (ifRangeValidator(span)) {
+            headers['If-Range'] = ifRangeValidator(span);
+        }
+
+        const options = {
+            method: 'GET',
+            headers: headers,
+            timeout: 30000
+        };
+
+        const proxyReq = request(options, (proxyRes) => {
+            const next = responseSpan(proxyRes);
+            if (proxyRes.statusCode >= 500) {
+                proxyRes.resume();
+                reject(new Error(`HTTP ${proxyRes.statusCode}`));
+                return;
+            }
+            if (!next || proxyRes.statusCode !== 206 || next.start !== position || next.size !== span.size ||
+                next.etag !== span.etag || next.lastModified !== span.lastModified) {
+                proxyRes.resume();
+                reject(changedError());
+                return;
+            }
+            resolve(proxyRes);
+        });
+
+        proxyReq.on('timeout', () => {
+            proxyReq.destroy();
+            reject(new Error('Request timeout'));
+        });
+
+        proxyReq.on('error', reject);
+        proxyReq.end();
+    });
+}
+
+/**
+ * The body of an upstream response as one stream that carries on after the connection drops.
+ * Responses of unknown length are returned as they are.
+ * @param {import('http').IncomingMessage} proxyRes
+ * @param {(options: object, onResponse: (res: import('http').IncomingMessage) => void) => import('http').ClientRequest} request -
+ *   makes another request to the same URL, like http.request with the URL bound
+ * @param {object} requestHeaders - the headers the first request was made with
+ * @param {object} [options]
+ * @param {number} [options.attempts=5] - reconnects in a row that bring no data before giving up
+ * @param {number} [options.delay=500] - ms before the first reconnect, doubling each time...
+ * @param {number} [options.maxDelay=8000] - ...up to this
+ * @param {(info: {position: number, reason: Error, delay: number, attempt: number, attempts: number}) => void} [options.onRetry]
+ * @returns {import('stream').Readable}
+ */
+function resumableBody(proxyRes, request, requestHeaders, { attempts = 5, delay = 500, maxDelay = 8000, onRetry } = {}) {
+    const span = responseSpan(proxyRes);
+    if (!span) {
+        return proxyRes;
+    }
+
+    const body = new PassThrough();
+    let position = span.start;
+    let failures = 0;
+    let current = null;
+    let retryTimer = null;
+
+    const retry = (reason) => {
+        if (body.destroyed) return;
+        if (!span.resumable || reason.code === 'ECHANGED' || failures >= attempts) {
+            body.destroy(reason);
+            return;
+        }
+
+        const wait = Math.min(delay * 2 ** failures, maxDelay);
+        failures++;
+        if (onRetry) onRetry({ position, reason, delay: wait, attempt: failures, attempts });
+        retryTimer = setTimeout(() => {
+            requestRemainder(request, requestHeaders, span, position).then(attach, retry);
+        }, wait);
+    };
+
+    const attach = (res) => {
+        let ended = false;
+        current = res;
+        res.on('data', (chunk) => {
+            position += chunk.length;
+            failures = 0;
+            if (!body.write(chunk)) {
+                res.pause();
+                body.once('drain', () => res.resume());
+            }
+        });
+        res.on('end', () => {
+            ended = true;
+            if (position > span.end) {
+                body.end();
+            } else {
+                retry(new Error(`ended at byte ${position} of ${span.end + 1}`));
+            }
+        });
+        res.on('error', () => {}); // handled on 'close'
+        res.on('close', () => {
+            if (!ended) retry(new Error('connection lost'));
+        });
+    };
+
+    body.on('close', () => {
+        clearTimeout(retryTimer);
+        if (current) current.destroy();
+    });
+
+    attach(proxyRes);
+    return body;
+}
+
+module.exports = { changedError, responseSpan, ifRangeValidator, resumableBody };